@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {DEFAULT_BROWSER_NAME, getConnectedBrowser} from './browser.js';
+
+export interface BrowserInfo {
+  name: string;
+  // Describes the options the browser is launched or connected with.
+  description: string;
+  // Whether the browser was launched or connected and is still connected.
+  running: boolean;
+  selected: boolean;
+}
+
+/**
+ * The named browsers a client can switch between. The browsers are shared
+ * by all clients but every client selects its own browser. Browsers are
+ * launched or connected when they are first used.
+ */
+export class BrowserPool {
+  #descriptions: Map<string, string>;
+  #selectedName = DEFAULT_BROWSER_NAME;
+
+  constructor(descriptions: Map<string, string>) {
+    this.#descriptions = descriptions;
+  }
+
+  get selectedName(): string {
+    return this.#selectedName;
+  }
+
+  get size(): number {
+    return this.#descriptions.size;
+  }
+
+  list(): BrowserInfo[] {
+    return [...this.#descriptions].map(([name, description]) => ({
+      name,
+      description,
+      running: getConnectedBrowser(name) !== undefined,
+      selected: name === this.#selectedName,
+    }));
+  }
+
+  select(name: string): void {
+    if (!this.#descriptions.has(name)) {
+      throw new Error(
+        `No browser named "${name}". Available browsers: ${[...this.#descriptions.keys()].join(', ')}.`,
+      );
+    }
+    this.#selectedName = name;
+  }
+}
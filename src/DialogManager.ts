@@ -0,0 +1,296 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {logger} from './logger.js';
+import type {Dialog, Page} from './third_party/index.js';
+
+export const DIALOG_POLICIES = [
+  'auto-accept',
+  'auto-dismiss',
+  'prompt-value',
+  'ask',
+] as const;
+
+export type DialogPolicy = (typeof DIALOG_POLICIES)[number];
+
+export interface DialogPolicySettings {
+  policy: DialogPolicy;
+  // The text entered into prompts with the prompt-value policy.
+  promptValue?: string;
+}
+
+export interface DialogRecord {
+  id: number;
+  type: string;
+  message: string;
+  defaultValue?: string;
+  // The URL of the page that opened the dialog.
+  url: string;
+  resolution: 'pending' | 'accepted' | 'dismissed';
+  // What resolved the dialog: a policy, handle_dialog, or closing the page.
+  resolvedBy?: DialogPolicy | 'handle_dialog' | 'page_closed';
+  // The text entered into a prompt.
+  promptText?: string;
+  timestamp: number;
+}
+
+interface PendingDialog {
+  page: Page;
+  dialog: Dialog;
+  record: DialogRecord;
+}
+
+const MAX_DIALOG_HISTORY = 100;
+
+/**
+ * Handles the dialogs of the pages according to the dialog policy of the
+ * page, or the global one, and keeps a history of them. Dialogs of pages
+ * with the ask policy stay open until handle_dialog is called.
+ */
+export class DialogManager {
+  #globalPolicy: DialogPolicySettings = {policy: 'ask'};
+  #pagePolicies = new WeakMap<Page, DialogPolicySettings>();
+  #watchedPages = new WeakSet<Page>();
+  #pending: PendingDialog[] = [];
+  #history: DialogRecord[] = [];
+  #nextDialogId = 1;
+  // Called once a dialog was handled by a policy or left pending.
+  #listeners = new Set<(page: Page, record: DialogRecord) => void>();
+
+  addPage(page: Page): void {
+    if (this.#watchedPages.has(page)) {
+      return;
+    }
+    this.#watchedPages.add(page);
+    page.on('dialog', dialog => {
+      void this.#onDialog(page, dialog);
+    });
+    page.once('close', () => {
+      for (const pending of this.#pending.filter(item => item.page === page)) {
+        this.#resolved(pending, 'dismissed', 'page_closed');
+      }
+    });
+  }
+
+  getGlobalPolicy(): DialogPolicySettings {
+    return this.#globalPolicy;
+  }
+
+  /**
+   * Returns the policy set for the page, if any.
+   */
+  getPagePolicy(page: Page): DialogPolicySettings | undefined {
+    return this.#pagePolicies.get(page);
+  }
+
+  #getEffectivePolicy(page: Page): DialogPolicySettings {
+    return this.#pagePolicies.get(page) ?? this.#globalPolicy;
+  }
+
+  /**
+   * Sets the policy of the page, or the global policy that applies to pages
+   * without a policy of their own. Pending dialogs the policy applies to are
+   * resolved right away.
+   */
+  async setPolicy(settings: DialogPolicySettings, page?: Page): Promise<void> {
+    if (
+      settings.policy === 'prompt-value' &&
+      settings.promptValue === undefined
+    ) {
+      throw new Error('A promptValue is required for the prompt-value policy.');
+    }
+    if (page) {
+      this.#pagePolicies.set(page, settings);
+    } else {
+      this.#globalPolicy = settings;
+    }
+    for (const pending of [...this.#pending]) {
+      if (this.#getEffectivePolicy(pending.page).policy !== 'ask') {
+        await this.#applyPolicy(pending);
+      }
+    }
+  }
+
+  /**
+   * Returns the pending dialog of the page, or else the most recent pending
+   * dialog of any page.
+   */
+  getPendingDialog(page: Page): Dialog | undefined {
+    return this.#findPending(page)?.dialog;
+  }
+
+  async handlePendingDialog(
+    page: Page,
+    action: 'accept' | 'dismiss',
+    promptText?: string,
+  ): Promise<DialogRecord> {
+    const pending = this.#findPending(page);
+    if (!pending) {
+      throw new Error('No open dialog found');
+    }
+    try {
+      if (action === 'accept') {
+        await pending.dialog.accept(promptText);
+      } else {
+        await pending.dialog.dismiss();
+      }
+    } catch (error) {
+      // Likely already handled by the user outside of MCP.
+      logger(error);
+    }
+    return this.#resolved(
+      pending,
+      action === 'accept' ? 'accepted' : 'dismissed',
+      'handle_dialog',
+      action === 'accept' ? promptText : undefined,
+    );
+  }
+
+  getHistory(): DialogRecord[] {
+    return this.#history;
+  }
+
+  /**
+   * Runs an action that unloads the page, like a navigation or closing it,
+   * and rejects as soon as a beforeunload dialog stops the page from
+   * unloading: either the dialog waits for handle_dialog or the policy
+   * dismissed it, which cancels the unload.
+   */
+  async runUnloadingAction<T>(
+    page: Page,
+    action: () => Promise<T>,
+  ): Promise<T> {
+    let removeListener: (() => void) | undefined;
+    const blocked = new Promise<never>((_resolve, reject) => {
+      const listener = (dialogPage: Page, record: DialogRecord) => {
+        if (dialogPage !== page || record.type !== 'beforeunload') {
+          return;
+        }
+        if (record.resolution === 'pending') {
+          reject(
+            new Error(
+              `A beforeunload dialog (dialogid=${record.id}) is asking whether to leave the page. Call handle_dialog with accept to leave the page or with dismiss to stay on it`,
+            ),
+          );
+        } else if (record.resolution === 'dismissed') {
+          reject(
+            new Error(
+              `The beforeunload dialog (dialogid=${record.id}) was dismissed by the ${record.resolvedBy} dialog policy, so the page stayed open`,
+            ),
+          );
+        }
+      };
+      this.#listeners.add(listener);
+      removeListener = () => {
+        this.#listeners.delete(listener);
+      };
+    });
+    const result = action();
+    // A blocked action only settles once the dialog is handled.
+    result.catch(error => {
+      logger('The unloading action failed', error);
+    });
+    try {
+      return await Promise.race([result, blocked]);
+    } finally {
+      removeListener?.();
+    }
+  }
+
+  /**
+   * Takes over the policies and the history of the dialog manager of a
+   * browser that disconnected. Page policies move to the pages that replaced
+   * the previous pages. Dialogs that were still open are gone with their
+   * pages.
+   */
+  recoverFrom(previous: DialogManager, restoredPages: Map<Page, Page>): void {
+    for (const pending of [...previous.#pending]) {
+      previous.#resolved(pending, 'dismissed', 'page_closed');
+    }
+    this.#globalPolicy = previous.#globalPolicy;
+    for (const [previousPage, page] of restoredPages) {
+      const settings = previous.#pagePolicies.get(previousPage);
+      if (settings) {
+        this.#pagePolicies.set(page, settings);
+      }
+    }
+    this.#history = [...previous.#history, ...this.#history].slice(
+      -MAX_DIALOG_HISTORY,
+    );
+    this.#nextDialogId = Math.max(this.#nextDialogId, previous.#nextDialogId);
+  }
+
+  #findPending(page: Page): PendingDialog | undefined {
+    return (
+      this.#pending.find(item => item.page === page) ?? this.#pending.at(-1)
+    );
+  }
+
+  async #onDialog(page: Page, dialog: Dialog): Promise<void> {
+    const record: DialogRecord = {
+      id: this.#nextDialogId++,
+      type: dialog.type(),
+      message: dialog.message(),
+      url: page.url(),
+      resolution: 'pending',
+      timestamp: Date.now(),
+    };
+    if (dialog.type() === 'prompt') {
+      record.defaultValue = dialog.defaultValue();
+    }
+    this.#history.push(record);
+    if (this.#history.length > MAX_DIALOG_HISTORY) {
+      this.#history.shift();
+    }
+    const pending = {page, dialog, record};
+    this.#pending.push(pending);
+    if (this.#getEffectivePolicy(page).policy !== 'ask') {
+      await this.#applyPolicy(pending);
+    }
+    for (const listener of this.#listeners) {
+      listener(page, record);
+    }
+  }
+
+  async #applyPolicy(pending: PendingDialog): Promise<void> {
+    const {policy, promptValue} = this.#getEffectivePolicy(pending.page);
+    const accept = policy !== 'auto-dismiss';
+    const promptText =
+      policy === 'prompt-value' && pending.dialog.type() === 'prompt'
+        ? promptValue
+        : undefined;
+    try {
+      if (accept) {
+        await pending.dialog.accept(promptText);
+      } else {
+        await pending.dialog.dismiss();
+      }
+    } catch (error) {
+      logger('Failed to handle the dialog', error);
+    }
+    this.#resolved(
+      pending,
+      accept ? 'accepted' : 'dismissed',
+      policy,
+      promptText,
+    );
+  }
+
+  #resolved(
+    pending: PendingDialog,
+    resolution: 'accepted' | 'dismissed',
+    resolvedBy: NonNullable<DialogRecord['resolvedBy']>,
+    promptText?: string,
+  ): DialogRecord {
+    this.#pending = this.#pending.filter(item => item !== pending);
+    pending.record.resolution = resolution;
+    pending.record.resolvedBy = resolvedBy;
+    if (promptText !== undefined) {
+      pending.record.promptText = promptText;
+    }
+    return pending.record;
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {logger} from './logger.js';
+import type {
+  Browser,
+  BrowserContext,
+  CDPSession,
+  Protocol,
+} from './third_party/index.js';
+
+export type DownloadState = 'in_progress' | 'completed' | 'canceled';
+
+export interface DownloadInfo {
+  id: number;
+  // The URL the file was downloaded from.
+  url: string;
+  // The filename suggested by the server or the download attribute.
+  filename: string;
+  // Where the file was saved. Set shortly after the download completed.
+  filePath?: string;
+  mimeType?: string;
+  // Whether the MIME type was guessed from the filename, as opposed to taken
+  // from a data URL.
+  mimeTypeGuessed: boolean;
+  // The number of bytes received so far.
+  size: number;
+  // The expected size, if the server sent it.
+  totalSize?: number;
+  state: DownloadState;
+}
+
+interface DownloadRecord extends DownloadInfo {
+  guid: string;
+}
+
+const MAX_DOWNLOADS = 100;
+
+// The download events do not include the MIME type, so it is guessed from
+// the extension of the suggested filename.
+const MIME_TYPES: Record<string, string> = {
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip',
+};
+
+/**
+ * Returns the MIME type of a data URL, or the MIME type matching the
+ * extension of the filename.
+ */
+export function guessMimeType(
+  url: string,
+  filename: string,
+): string | undefined {
+  const dataUrlMatch = /^data:([^;,]+)/.exec(url);
+  if (dataUrlMatch) {
+    return dataUrlMatch[1];
+  }
+  return MIME_TYPES[path.extname(filename).toLowerCase()];
+}
+
+/**
+ * Returns a path in the directory for the filename that is not taken yet, by
+ * appending a counter like browsers do.
+ */
+async function getUniqueFilePath(
+  dir: string,
+  filename: string,
+): Promise<string> {
+  const {name, ext} = path.parse(path.basename(filename) || 'download');
+  for (let counter = 0; ; counter++) {
+    const candidate = path.join(
+      dir,
+      counter ? `${name} (${counter})${ext}` : `${name}${ext}`,
+    );
+    try {
+      await fs.access(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Saves the downloads of the pages to a directory and tracks their progress
+ * using the Browser domain. Chrome names the files after the download guids
+ * while they download, they are renamed to the suggested filename once
+ * completed.
+ */
+export class DownloadCollector {
+  #browser: Browser;
+  #downloadDir: string;
+  // Whether the download of the frame belongs to the pages of the context.
+  #ownsFrame: (frameId: string) => Promise<boolean>;
+  #session?: CDPSession;
+  #downloads = new Map<string, DownloadRecord>();
+  #nextDownloadId = 1;
+
+  constructor(
+    browser: Browser,
+    downloadDir: string,
+    ownsFrame: (frameId: string) => Promise<boolean>,
+  ) {
+    this.#browser = browser;
+    // Chrome requires an absolute path.
+    this.#downloadDir = path.resolve(downloadDir);
+    this.#ownsFrame = ownsFrame;
+  }
+
+  get downloadDir(): string {
+    return this.#downloadDir;
+  }
+
+  async init(): Promise<void> {
+    await fs.mkdir(this.#downloadDir, {recursive: true});
+    this.#session = await this.#browser.target().createCDPSession();
+    this.#session.on('Browser.downloadWillBegin', this.#onDownloadWillBegin);
+    this.#session.on('Browser.downloadProgress', this.#onDownloadProgress);
+  }
+
+  /**
+   * Saves the downloads of the browser context, or of the default browser
+   * context, to the download directory.
+   */
+  async enable(browserContext?: BrowserContext): Promise<void> {
+    if (!this.#session) {
+      throw new Error('The download collector is not initialized.');
+    }
+    await this.#session.send('Browser.setDownloadBehavior', {
+      behavior: 'allowAndName',
+      downloadPath: this.#downloadDir,
+      eventsEnabled: true,
+      ...(browserContext?.id ? {browserContextId: browserContext.id} : {}),
+    });
+  }
+
+  dispose(): void {
+    const session = this.#session;
+    this.#session = undefined;
+    if (!session) {
+      return;
+    }
+    session.off('Browser.downloadWillBegin', this.#onDownloadWillBegin);
+    session.off('Browser.downloadProgress', this.#onDownloadProgress);
+    session.detach().catch(error => {
+      logger('Failed to detach from the browser', error);
+    });
+  }
+
+  getDownloads(): DownloadInfo[] {
+    return [...this.#downloads.values()].map(toDownloadInfo);
+  }
+
+  getDownload(id: number): DownloadInfo {
+    for (const record of this.#downloads.values()) {
+      if (record.id === id) {
+        return toDownloadInfo(record);
+      }
+    }
+    throw new Error(`No download with id ${id}. Call list_downloads first.`);
+  }
+
+  /**
+   * Takes over the downloads of the collector of a browser that
+   * disconnected. Their files are moved to the download directory of this
+   * collector. Returns the downloads that could not be taken over, like the
+   * ones that were still in progress.
+   */
+  async recoverFrom(previous: DownloadCollector): Promise<DownloadInfo[]> {
+    const lost: DownloadInfo[] = [];
+    const recovered = new Map<string, DownloadRecord>();
+    for (const record of previous.#downloads.values()) {
+      if (record.state === 'in_progress') {
+        lost.push(toDownloadInfo(record));
+        continue;
+      }
+      if (
+        record.filePath &&
+        path.dirname(record.filePath) !== this.#downloadDir
+      ) {
+        try {
+          const filePath = await getUniqueFilePath(
+            this.#downloadDir,
+            path.basename(record.filePath),
+          );
+          await fs.rename(record.filePath, filePath);
+          record.filePath = filePath;
+        } catch (error) {
+          logger(`Failed to move the download ${record.filePath}`, error);
+          lost.push(toDownloadInfo(record));
+          continue;
+        }
+      }
+      recovered.set(record.guid, record);
+    }
+    this.#downloads = new Map([...recovered, ...this.#downloads]);
+    this.#nextDownloadId = Math.max(
+      this.#nextDownloadId,
+      previous.#nextDownloadId,
+    );
+    return lost;
+  }
+
+  #onDownloadWillBegin = (
+    event: Protocol.Browser.DownloadWillBeginEvent,
+  ): void => {
+    const mimeType = guessMimeType(event.url, event.suggestedFilename);
+    this.#downloads.set(event.guid, {
+      id: this.#nextDownloadId++,
+      guid: event.guid,
+      url: event.url,
+      filename: event.suggestedFilename,
+      mimeType,
+      mimeTypeGuessed: mimeType !== undefined && !event.url.startsWith('data:'),
+      size: 0,
+      state: 'in_progress',
+    });
+    if (this.#downloads.size > MAX_DOWNLOADS) {
+      const [oldestGuid] = this.#downloads.keys();
+      this.#downloads.delete(oldestGuid);
+    }
+    void this.#ownsFrame(event.frameId).then(owned => {
+      if (!owned) {
+        // Another client's download in the same browser.
+        this.#downloads.delete(event.guid);
+      }
+    });
+  };
+
+  #onDownloadProgress = (
+    event: Protocol.Browser.DownloadProgressEvent,
+  ): void => {
+    const record = this.#downloads.get(event.guid);
+    if (!record || record.state !== 'in_progress') {
+      return;
+    }
+    record.size = event.receivedBytes;
+    record.totalSize = event.totalBytes || undefined;
+    if (event.state === 'canceled') {
+      record.state = 'canceled';
+    } else if (event.state === 'completed') {
+      record.state = 'completed';
+      void this.#moveToSuggestedFilename(record);
+    }
+  };
+
+  async #moveToSuggestedFilename(record: DownloadRecord): Promise<void> {
+    const guidPath = path.join(this.#downloadDir, record.guid);
+    try {
+      const filePath = await getUniqueFilePath(
+        this.#downloadDir,
+        record.filename,
+      );
+      await fs.rename(guidPath, filePath);
+      record.filePath = filePath;
+    } catch (error) {
+      logger(`Failed to rename the download ${guidPath}`, error);
+      record.filePath = guidPath;
+    }
+  }
+}
+
+function toDownloadInfo(record: DownloadRecord): DownloadInfo {
+  return {
+    id: record.id,
+    url: record.url,
+    filename: record.filename,
+    filePath: record.filePath,
+    mimeType: record.mimeType,
+    mimeTypeGuessed: record.mimeTypeGuessed,
+    size: record.size,
+    totalSize: record.totalSize,
+    state: record.state,
+  };
+}
@@ -7,31 +7,63 @@ import fs from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
 
+import {
+  DEFAULT_BROWSER_NAME,
+  getLoadedExtensions,
+  supportsCdp,
+} from './browser.js';
+import type {LoadedExtension} from './browser.js';
+import type {BrowserInfo, BrowserPool} from './BrowserPool.js';
 import {extractUrlLikeFromDevToolsTitle, urlsEqual} from './DevtoolsUtils.js';
+import {DialogManager} from './DialogManager.js';
+import type {DialogPolicySettings, DialogRecord} from './DialogManager.js';
+import {DownloadCollector} from './DownloadCollector.js';
+import type {DownloadInfo} from './DownloadCollector.js';
+import {emulateCpuThrottling, emulateNetworkConditions} from './emulation.js';
+import {readExtensionManifest} from './extensions.js';
+import type {ExtensionInfo} from './extensions.js';
+import {getFrameOrigin, isOutOfProcessFrame} from './frames.js';
+import type {FrameInfo} from './frames.js';
+import type {Logger} from './logger.js';
 import type {ListenerMap} from './PageCollector.js';
 import {NetworkCollector, PageCollector} from './PageCollector.js';
 import {Locator} from './third_party/index.js';
 import type {
   Browser,
+  BrowserContext,
   ConsoleMessage,
-  Debugger,
   Dialog,
   ElementHandle,
+  Frame,
   HTTPRequest,
   Page,
-  SerializedAXNode,
   PredefinedNetworkConditions,
+  SerializedAXNode,
+  Target,
+  WebWorker,
 } from './third_party/index.js';
+import type {ToolPolicy} from './toolPolicy.js';
 import {listPages} from './tools/pages.js';
 import {takeSnapshot} from './tools/snapshot.js';
 import {CLOSE_PAGE_ERROR} from './tools/ToolDefinition.js';
 import type {Context, DevToolsData} from './tools/ToolDefinition.js';
 import type {TraceResult} from './trace-processing/parse.js';
+import type {BlockedRequest, UrlPolicy} from './UrlPolicy.js';
+import {StepType} from './userFlow.js';
+import type {UserFlowStep} from './userFlow.js';
 import {WaitForHelper} from './WaitForHelper.js';
+import {WorkerCollector} from './WorkerCollector.js';
+import type {
+  WorkerConsoleMessage,
+  WorkerInfo,
+  WorkerNetworkRequest,
+} from './WorkerCollector.js';
 
 export interface TextSnapshotNode extends SerializedAXNode {
   id: string;
   backendNodeId?: number;
+  // Set on the iframe nodes that embed the content of a frame.
+  frame?: FrameInfo;
   children: TextSnapshotNode[];
 }
 
@@ -45,10 +77,61 @@ export interface TextSnapshot {
 interface McpContextOptions {
   // Whether the DevTools windows are exposed as pages for debugging of DevTools.
   experimentalDevToolsDebugging: boolean;
+  // Whether the context gets its own incognito browser context that is closed
+  // when the context is disposed.
+  isolatedBrowserContext?: boolean;
+  // The policy that determines which tools are exposed to the client.
+  toolPolicy?: ToolPolicy;
+  // Restricts the URLs the pages of the context can load.
+  urlPolicy?: UrlPolicy;
+  // The name of the browser of the context in the browser pool.
+  browserName?: string;
+  // The browsers the client can switch between.
+  browserPool?: BrowserPool;
+  // Whether pages opened by a tool call, such as popups, get selected.
+  selectOpenedPages?: boolean;
+  // The directory downloads are saved to. Defaults to a temporary directory.
+  downloadDir?: string;
+  // Whether the server connected to a running browser instead of launching
+  // it. The downloads of its default browser context then only go to the
+  // download directory if one was given.
+  externalBrowser?: boolean;
+}
+
+/**
+ * Describes what was restored after the browser disconnected or a page
+ * crashed, and what could not be restored.
+ */
+export interface RecoveryReport {
+  reason: string;
+  recovered: string[];
+  lost: string[];
+}
+
+export interface StoredScreenshot {
+  data: Uint8Array<ArrayBufferLike>;
+  mimeType: 'image/png' | 'image/jpeg' | 'image/webp';
 }
 
 const DEFAULT_TIMEOUT = 5_000;
 const NAVIGATION_TIMEOUT = 10_000;
+// Artifacts exposed as resources are kept in memory so only the most recent
+// ones are retained.
+const MAX_STORED_SNAPSHOTS = 20;
+const MAX_STORED_SCREENSHOTS = 10;
+const MAX_STORED_RAW_TRACES = 5;
+// Pages at these URLs are reused when restoring pages after a reconnect.
+const BLANK_PAGE_URLS = new Set(['about:blank', 'chrome://newtab/']);
+
+function setWithLimit<K, V>(map: Map<K, V>, key: K, value: V, limit: number) {
+  map.set(key, value);
+  for (const oldestKey of map.keys()) {
+    if (map.size <= limit) {
+      break;
+    }
+    map.delete(oldestKey);
+  }
+}
 
 function getNetworkMultiplierFromString(condition: string | null): number {
   const puppeteerCondition =
@@ -67,6 +150,19 @@ function getNetworkMultiplierFromString(condition: string | null): number {
   return 1;
 }
 
+async function restoreEmulation(
+  page: Page,
+  networkConditions: string | undefined,
+  cpuThrottlingRate: number | undefined,
+): Promise<void> {
+  if (networkConditions) {
+    await emulateNetworkConditions(page, networkConditions);
+  }
+  if (cpuThrottlingRate && cpuThrottlingRate > 1) {
+    await emulateCpuThrottling(page, cpuThrottlingRate);
+  }
+}
+
 function getExtensionFromMimeType(mimeType: string) {
   switch (mimeType) {
     case 'image/png':
@@ -81,42 +177,77 @@ function getExtensionFromMimeType(mimeType: string) {
 
 export class McpContext implements Context {
   browser: Browser;
-  logger: Debugger;
+  logger: Logger;
+  // Set if the context owns an isolated browser context.
+  browserContext?: BrowserContext;
 
   // The most recent page state.
   #pages: Page[] = [];
+  // The named isolated browser contexts pages were opened in with new_page.
+  #isolatedContexts = new Map<string, BrowserContext>();
   #pageToDevToolsPage = new Map<Page, Page>();
   #selectedPageIdx = 0;
   // The most recent snapshot.
   #textSnapshot: TextSnapshot | null = null;
   #networkCollector: NetworkCollector;
   #consoleCollector: PageCollector<ConsoleMessage | Error>;
+  // Workers can only be inspected over CDP.
+  #workerCollector?: WorkerCollector;
+  // Downloads can only be captured over CDP.
+  #downloadCollector?: DownloadCollector;
+  // Removed on dispose, unlike a download directory given with --downloadDir.
+  #temporaryDownloadDir?: string;
+  // Stable ids of the frames listed by list_frames.
+  #frameIds = new WeakMap<Frame, number>();
+  #nextFrameId = 1;
+  // Stable ids of the pages that resource URIs refer to.
+  #pageIds = new WeakMap<Page, number>();
+  #nextPageId = 1;
 
   #isRunningTrace = false;
   #networkConditionsMap = new WeakMap<Page, string>();
   #cpuThrottlingRateMap = new WeakMap<Page, number>();
-  #dialog?: Dialog;
+  #dialogManager = new DialogManager();
+  // The pages opened by tool calls since the last response.
+  #openedPages: Page[] = [];
+  #crashedPages = new Set<Page>();
+  #pagesWatchedForCrashes = new WeakSet<Page>();
+  #recoveryReports: RecoveryReport[] = [];
+  // The user actions performed through the tools as DevTools Recorder steps.
+  #userFlowSteps: UserFlowStep[] = [];
+  // The tools that were used but have no equivalent Recorder step.
+  #unsupportedUserFlowActions = new Set<string>();
 
   #nextSnapshotId = 1;
+  #snapshots = new Map<string, TextSnapshot>();
   #traceResults: TraceResult[] = [];
+  #rawTraces = new Map<number, Uint8Array<ArrayBufferLike>>();
+  #nextScreenshotId = 1;
+  #screenshots = new Map<string, StoredScreenshot>();
 
   #locatorClass: typeof Locator;
   #options: McpContextOptions;
+  // Aborted when the running tool call is cancelled or times out.
+  #abortSignal?: AbortSignal;
+  // Notifies the client about the progress of the running tool call.
+  #progressReporter?: (message: string) => void;
 
   private constructor(
     browser: Browser,
-    logger: Debugger,
+    logger: Logger,
     options: McpContextOptions,
     locatorClass: typeof Locator,
+    browserContext?: BrowserContext,
   ) {
     this.browser = browser;
+    this.browserContext = browserContext;
     this.logger = logger;
     this.#locatorClass = locatorClass;
     this.#options = options;
 
-    this.#networkCollector = new NetworkCollector(this.browser);
+    this.#networkCollector = new NetworkCollector(this.#pageSource);
 
-    this.#consoleCollector = new PageCollector(this.browser, collect => {
+    this.#consoleCollector = new PageCollector(this.#pageSource, collect => {
       return {
         console: event => {
           collect(event);
@@ -134,25 +265,384 @@ export class McpContext implements Context {
     });
   }
 
+  /**
+   * The browser or the isolated browser context the pages are taken from.
+   */
+  get #pageSource(): Browser | BrowserContext {
+    return this.browserContext ?? this.browser;
+  }
+
   async #init() {
-    await this.createPagesSnapshot();
+    const pages = await this.createPagesSnapshot();
+    if (!pages.length) {
+      // Isolated browser contexts start without any pages.
+      await this.#pageSource.newPage();
+      await this.createPagesSnapshot();
+    }
     this.setSelectedPageIdx(0);
     await this.#networkCollector.init();
     await this.#consoleCollector.init();
+    if (supportsCdp(this.browser)) {
+      this.#workerCollector = new WorkerCollector(
+        this.browser,
+        this.#pageSource,
+        browserContext => this.#ownsBrowserContext(browserContext),
+      );
+      await this.#workerCollector.init();
+      let downloadCollector: DownloadCollector | undefined;
+      try {
+        let downloadDir = this.#options.downloadDir;
+        if (!downloadDir) {
+          downloadDir = await fs.mkdtemp(
+            path.join(os.tmpdir(), 'chrome-devtools-mcp-downloads-'),
+          );
+          this.#temporaryDownloadDir = downloadDir;
+        }
+        downloadCollector = new DownloadCollector(
+          this.browser,
+          downloadDir,
+          frameId => this.#ownsFrame(frameId),
+        );
+        await downloadCollector.init();
+        if (
+          this.browserContext ||
+          !this.#options.externalBrowser ||
+          this.#options.downloadDir
+        ) {
+          await downloadCollector.enable(this.browserContext);
+        }
+        this.#downloadCollector = downloadCollector;
+      } catch (error) {
+        // The other tools remain usable.
+        downloadCollector?.dispose();
+        this.logger('Failed to set up the capture of downloads', error);
+      }
+    }
+  }
+
+  /**
+   * Returns whether the frame belongs to a page of the context, including
+   * pages that are not part of the last pages snapshot yet.
+   */
+  async #ownsFrame(frameId: string): Promise<boolean> {
+    const pages = await this.#pageSource.pages();
+    for (const isolatedContext of this.#isolatedContexts.values()) {
+      pages.push(...(await isolatedContext.pages()));
+    }
+    return pages.some(page => {
+      // @ts-expect-error id is internal.
+      return page.frames().some(frame => frame._id === frameId);
+    });
+  }
+
+  #ownsBrowserContext(browserContext: BrowserContext): boolean {
+    // Without an isolated context, the whole browser belongs to the context.
+    if (this.#pageSource === this.browser) {
+      return true;
+    }
+    return (
+      browserContext === this.#pageSource ||
+      [...this.#isolatedContexts.values()].includes(browserContext)
+    );
   }
 
   static async from(
     browser: Browser,
-    logger: Debugger,
+    logger: Logger,
     opts: McpContextOptions,
     /* Let tests use unbundled Locator class to avoid overly strict checks within puppeteer that fail when mixing bundled and unbundled class instances */
     locatorClass: typeof Locator = Locator,
   ) {
-    const context = new McpContext(browser, logger, opts, locatorClass);
+    const browserContext = opts.isolatedBrowserContext
+      ? await browser.createBrowserContext()
+      : undefined;
+    const context = new McpContext(
+      browser,
+      logger,
+      opts,
+      locatorClass,
+      browserContext,
+    );
     await context.#init();
     return context;
   }
 
+  /**
+   * Releases the resources owned by the context. Closes the isolated browser
+   * context and all of its pages and removes the temporary download
+   * directory.
+   */
+  async dispose(): Promise<void> {
+    this.#workerCollector?.dispose();
+    this.#downloadCollector?.dispose();
+    if (this.#temporaryDownloadDir) {
+      await fs.rm(this.#temporaryDownloadDir, {recursive: true, force: true});
+      this.#temporaryDownloadDir = undefined;
+    }
+    if (!this.browser.connected) {
+      // The browser contexts went away with the connection.
+      this.#isolatedContexts.clear();
+      return;
+    }
+    for (const isolatedContext of this.#isolatedContexts.values()) {
+      if (!isolatedContext.closed) {
+        await isolatedContext.close();
+      }
+    }
+    this.#isolatedContexts.clear();
+    if (this.browserContext && !this.browserContext.closed) {
+      await this.browserContext.close();
+    }
+  }
+
+  /**
+   * Restores the state of a context whose browser disconnected: reopens its
+   * pages, selects the page that was selected and re-applies the emulation
+   * settings. Stored traces, snapshots and screenshots are taken over.
+   */
+  async recoverFrom(previous: McpContext): Promise<void> {
+    const report: RecoveryReport = {
+      reason: 'The browser disconnected and the server reconnected to it.',
+      recovered: [],
+      lost: [],
+    };
+    this.#snapshots = previous.#snapshots;
+    this.#nextSnapshotId = previous.#nextSnapshotId;
+    this.#traceResults = previous.#traceResults;
+    this.#rawTraces = previous.#rawTraces;
+    this.#screenshots = previous.#screenshots;
+    this.#nextScreenshotId = previous.#nextScreenshotId;
+
+    const availablePages = [...this.#pages];
+    const restoredPages = new Map<Page, Page>();
+    for (const [idx, previousPage] of previous.#pages.entries()) {
+      const url = previousPage.url();
+      const isolatedContext = previous.getIsolatedContextName(previousPage);
+      let page: Page;
+      try {
+        page = isolatedContext
+          ? await this.#reopenPageInIsolatedContext(url, isolatedContext)
+          : await this.#reopenPage(url, availablePages);
+      } catch (error) {
+        report.lost.push(
+          `Page ${idx} (${url}) could not be reopened: ${(error as Error).message}`,
+        );
+        continue;
+      }
+      restoredPages.set(previousPage, page);
+      report.recovered.push(`Page ${idx} (${url}) was reopened.`);
+      const dialogPolicy = previous.#dialogManager.getPagePolicy(previousPage);
+      if (dialogPolicy) {
+        report.recovered.push(
+          `The ${dialogPolicy.policy} dialog policy of page ${idx}.`,
+        );
+      }
+      if (isolatedContext) {
+        report.lost.push(
+          `The cookies and storage of the isolated context "${isolatedContext}" of page ${idx}.`,
+        );
+      }
+      const networkConditions =
+        previous.#networkConditionsMap.get(previousPage);
+      const cpuThrottlingRate =
+        previous.#cpuThrottlingRateMap.get(previousPage);
+      if (!networkConditions && !cpuThrottlingRate) {
+        continue;
+      }
+      try {
+        await restoreEmulation(page, networkConditions, cpuThrottlingRate);
+        if (networkConditions) {
+          this.#networkConditionsMap.set(page, networkConditions);
+          report.recovered.push(
+            `Network emulation (${networkConditions}) of page ${idx}.`,
+          );
+        }
+        if (cpuThrottlingRate) {
+          this.#cpuThrottlingRateMap.set(page, cpuThrottlingRate);
+          report.recovered.push(
+            `CPU throttling (${cpuThrottlingRate}x) of page ${idx}.`,
+          );
+        }
+      } catch (error) {
+        report.lost.push(
+          `The emulation settings of page ${idx}: ${(error as Error).message}`,
+        );
+      }
+    }
+
+    await this.createPagesSnapshot();
+    const selectedPage = restoredPages.get(
+      previous.#pages[previous.#selectedPageIdx],
+    );
+    if (selectedPage) {
+      this.setSelectedPageIdx(this.#pages.indexOf(selectedPage));
+      report.recovered.push(
+        `Page ${this.#selectedPageIdx} is selected as before.`,
+      );
+    } else {
+      this.setSelectedPageIdx(0);
+      report.lost.push(
+        `The selected page ${previous.#selectedPageIdx}. Page 0 is selected instead.`,
+      );
+    }
+    const openDialogs = previous.#dialogManager
+      .getHistory()
+      .filter(record => record.resolution === 'pending');
+    this.#dialogManager.recoverFrom(previous.#dialogManager, restoredPages);
+    const globalDialogPolicy = this.#dialogManager.getGlobalPolicy().policy;
+    if (globalDialogPolicy !== 'ask') {
+      report.recovered.push(`The global ${globalDialogPolicy} dialog policy.`);
+    }
+    if (this.#dialogManager.getHistory().length) {
+      report.recovered.push('The dialog history.');
+    }
+    for (const record of openDialogs) {
+      report.lost.push(
+        `The open ${record.type} dialog (dialogid=${record.id}).`,
+      );
+    }
+
+    this.#userFlowSteps = [...previous.#userFlowSteps, ...this.#userFlowSteps];
+    for (const toolName of previous.#unsupportedUserFlowActions) {
+      this.#unsupportedUserFlowActions.add(toolName);
+    }
+    if (this.#userFlowSteps.length) {
+      report.recovered.push(
+        `The recorded user flow (${this.#userFlowSteps.length} steps).`,
+      );
+    }
+
+    if (previous.#downloadCollector) {
+      if (this.#downloadCollector) {
+        const lostDownloads = await this.#downloadCollector.recoverFrom(
+          previous.#downloadCollector,
+        );
+        for (const download of lostDownloads) {
+          report.lost.push(
+            `The download ${download.id} (${download.filename}), which was ${download.state === 'in_progress' ? 'in progress' : 'not saved'}.`,
+          );
+        }
+        if (this.#downloadCollector.getDownloads().length) {
+          report.recovered.push('The list of downloads.');
+        }
+      } else if (previous.#downloadCollector.getDownloads().length) {
+        report.lost.push('The list of downloads.');
+      }
+    }
+
+    report.lost.push(
+      'The network requests and console messages collected before the disconnect.',
+    );
+    if (previous.#textSnapshot) {
+      report.lost.push(
+        `The latest page snapshot. Call ${takeSnapshot.name} to get a fresh one.`,
+      );
+    }
+    this.logger(`Recovered the context: ${JSON.stringify(report)}`);
+    this.#recoveryReports.push(report);
+  }
+
+  /**
+   * Reuses a page that is already at the URL or a blank page if possible.
+   * Otherwise, opens a new page.
+   */
+  async #reopenPage(url: string, availablePages: Page[]): Promise<Page> {
+    const takePage = (predicate: (page: Page) => boolean) => {
+      const idx = availablePages.findIndex(predicate);
+      return idx === -1 ? undefined : availablePages.splice(idx, 1)[0];
+    };
+    const existingPage = takePage(page => page.url() === url);
+    if (existingPage) {
+      return existingPage;
+    }
+    if (!this.isUrlAllowed(url)) {
+      throw new Error('The URL is blocked by the URL policy.');
+    }
+    const page =
+      takePage(page => BLANK_PAGE_URLS.has(page.url())) ??
+      (await this.#pageSource.newPage());
+    if (!BLANK_PAGE_URLS.has(url)) {
+      await page.goto(url, {timeout: NAVIGATION_TIMEOUT});
+    }
+    return page;
+  }
+
+  async #reopenPageInIsolatedContext(
+    url: string,
+    isolatedContext: string,
+  ): Promise<Page> {
+    if (!this.isUrlAllowed(url)) {
+      throw new Error('The URL is blocked by the URL policy.');
+    }
+    const browserContext = await this.#getIsolatedContext(isolatedContext);
+    const page = await browserContext.newPage();
+    if (!BLANK_PAGE_URLS.has(url)) {
+      await page.goto(url, {timeout: NAVIGATION_TIMEOUT});
+    }
+    return page;
+  }
+
+  /**
+   * Reloads the pages that crashed since the last call and re-applies their
+   * emulation settings.
+   */
+  async recoverCrashedPages(): Promise<void> {
+    for (const page of this.#crashedPages) {
+      this.#crashedPages.delete(page);
+      if (page.isClosed()) {
+        continue;
+      }
+      const idx = this.#pages.indexOf(page);
+      const report: RecoveryReport = {
+        reason: `Page ${idx} (${page.url()}) crashed and was reloaded.`,
+        recovered: [],
+        lost: [],
+      };
+      try {
+        await page.reload({timeout: NAVIGATION_TIMEOUT});
+        report.recovered.push(`Page ${idx} (${page.url()}) was reloaded.`);
+        await restoreEmulation(
+          page,
+          this.#networkConditionsMap.get(page),
+          this.#cpuThrottlingRateMap.get(page),
+        );
+      } catch (error) {
+        report.lost.push(
+          `Page ${idx} could not be reloaded: ${(error as Error).message}`,
+        );
+      }
+      report.lost.push(`The state of page ${idx} before the crash.`);
+      if (this.#textSnapshot && idx === this.#selectedPageIdx) {
+        this.#textSnapshot = null;
+        report.lost.push(
+          `The latest page snapshot. Call ${takeSnapshot.name} to get a fresh one.`,
+        );
+      }
+      this.logger(`Recovered a crashed page: ${JSON.stringify(report)}`);
+      this.#recoveryReports.push(report);
+    }
+  }
+
+  /**
+   * Returns the recoveries since the last call.
+   */
+  takeRecoveryReports(): RecoveryReport[] {
+    const reports = this.#recoveryReports;
+    this.#recoveryReports = [];
+    return reports;
+  }
+
+  #watchForCrashes(page: Page): void {
+    if (this.#pagesWatchedForCrashes.has(page)) {
+      return;
+    }
+    this.#pagesWatchedForCrashes.add(page);
+    page.on('error', error => {
+      this.logger(`Page ${page.url()} crashed`, error);
+      this.#crashedPages.add(page);
+    });
+  }
+
   resolveCdpRequestId(cdpRequestId: string): number | undefined {
     const selectedPage = this.getSelectedPage();
     if (!cdpRequestId) {
@@ -209,12 +699,95 @@ export class McpContext implements Context {
     return this.#consoleCollector.getById(this.getSelectedPage(), id);
   }
 
-  async newPage(): Promise<Page> {
-    const page = await this.browser.newPage();
+  async #getIsolatedContext(name: string): Promise<BrowserContext> {
+    let browserContext = this.#isolatedContexts.get(name);
+    if (!browserContext || browserContext.closed) {
+      browserContext = await this.browser.createBrowserContext();
+      this.#isolatedContexts.set(name, browserContext);
+      await this.#downloadCollector?.enable(browserContext);
+    }
+    return browserContext;
+  }
+
+  /**
+   * Closes the isolated contexts whose last page was closed.
+   */
+  async #disposeEmptyIsolatedContexts(): Promise<void> {
+    for (const [name, browserContext] of this.#isolatedContexts) {
+      if (!browserContext.closed && (await browserContext.pages()).length) {
+        continue;
+      }
+      this.#isolatedContexts.delete(name);
+      if (!browserContext.closed) {
+        await browserContext.close();
+      }
+    }
+  }
+
+  /**
+   * Returns the name of the isolated context the page was opened in, if any.
+   */
+  getIsolatedContextName(page: Page): string | undefined {
+    for (const [name, browserContext] of this.#isolatedContexts) {
+      if (page.browserContext() === browserContext) {
+        return name;
+      }
+    }
+    return;
+  }
+
+  /**
+   * Returns the page that opened the page, e.g. with window.open or a link
+   * with a target, if it is still open.
+   */
+  getOpenerPage(page: Page): Page | undefined {
+    const opener = page.target().opener();
+    if (!opener) {
+      return;
+    }
+    return this.#pages.find(candidate => candidate.target() === opener);
+  }
+
+  /**
+   * Returns the pages opened by tool calls since the last call.
+   */
+  takeOpenedPages(): Page[] {
+    const pages = this.#openedPages.filter(page => this.#pages.includes(page));
+    this.#openedPages = [];
+    return pages;
+  }
+
+  async #trackOpenedPages(targets: Target[]): Promise<void> {
+    await this.createPagesSnapshot();
+    const openedPages: Page[] = [];
+    for (const target of targets) {
+      const page = await target.page();
+      // Pages of other browser contexts belong to other clients.
+      if (page && this.#pages.includes(page)) {
+        this.#networkCollector.addPage(page);
+        this.#consoleCollector.addPage(page);
+        this.#workerCollector?.addPage(page);
+        openedPages.push(page);
+      }
+    }
+    this.#openedPages.push(...openedPages);
+    const lastOpenedPage = openedPages.at(-1);
+    if (this.#options.selectOpenedPages && lastOpenedPage) {
+      this.setSelectedPageIdx(this.#pages.indexOf(lastOpenedPage));
+    }
+  }
+
+  async newPage(isolatedContext?: string): Promise<Page> {
+    const pageSource = isolatedContext
+      ? await this.#getIsolatedContext(isolatedContext)
+      : this.#pageSource;
+    const page = await pageSource.newPage();
+    await this.#options.urlPolicy?.enforceOnPage(page);
     const pages = await this.createPagesSnapshot();
     this.setSelectedPageIdx(pages.indexOf(page));
     this.#networkCollector.addPage(page);
     this.#consoleCollector.addPage(page);
+    this.#workerCollector?.addPage(page);
     return page;
   }
   async closePage(pageIdx: number): Promise<void> {
@@ -222,14 +795,47 @@ export class McpContext implements Context {
       throw new Error(CLOSE_PAGE_ERROR);
     }
     const page = this.getPageByIdx(pageIdx);
+    // Running the beforeunload handlers lets the dialog policy decide whether
+    // the page may be closed.
+    await this.#dialogManager.runUnloadingAction(page, async () => {
+      const closed = new Promise<void>(resolve => {
+        page.once('close', () => resolve());
+      });
+      await page.close({runBeforeUnload: true});
+      await closed;
+    });
+    await this.createPagesSnapshot();
     this.setSelectedPageIdx(0);
-    await page.close({runBeforeUnload: false});
   }
 
   getNetworkRequestById(reqid: number): HTTPRequest {
     return this.#networkCollector.getById(this.getSelectedPage(), reqid);
   }
 
+  /**
+   * Returns an id of the page that, unlike its index, does not change when
+   * other pages are closed.
+   */
+  getPageId(page: Page): number {
+    let id = this.#pageIds.get(page);
+    if (id === undefined) {
+      id = this.#nextPageId++;
+      this.#pageIds.set(page, id);
+    }
+    return id;
+  }
+
+  /**
+   * Returns a network request of any open page, not only the selected one.
+   */
+  getNetworkRequestOfPage(pageId: number, reqid: number): HTTPRequest {
+    const page = this.#pages.find(page => this.#pageIds.get(page) === pageId);
+    if (!page) {
+      throw new Error(`The page of request ${reqid} is closed.`);
+    }
+    return this.#networkCollector.getById(page, reqid);
+  }
+
   setNetworkConditions(conditions: string | null): void {
     const page = this.getSelectedPage();
     if (conditions === null) {
@@ -264,12 +870,55 @@ export class McpContext implements Context {
     return this.#isRunningTrace;
   }
 
+  /**
+   * Returns the open dialog of the selected page, or else of any other page.
+   */
   getDialog(): Dialog | undefined {
-    return this.#dialog;
+    return this.#dialogManager.getPendingDialog(this.getSelectedPage());
   }
 
-  clearDialog(): void {
-    this.#dialog = undefined;
+  handleDialog(
+    action: 'accept' | 'dismiss',
+    promptText?: string,
+  ): Promise<DialogRecord> {
+    return this.#dialogManager.handlePendingDialog(
+      this.getSelectedPage(),
+      action,
+      promptText,
+    );
+  }
+
+  getDialogPolicy(): DialogPolicySettings {
+    return this.#dialogManager.getGlobalPolicy();
+  }
+
+  getPageDialogPolicy(pageIdx: number): DialogPolicySettings | undefined {
+    return this.#dialogManager.getPagePolicy(this.getPageByIdx(pageIdx));
+  }
+
+  async setDialogPolicy(
+    settings: DialogPolicySettings,
+    pageIdx?: number,
+  ): Promise<void> {
+    await this.#dialogManager.setPolicy(
+      settings,
+      pageIdx === undefined ? undefined : this.getPageByIdx(pageIdx),
+    );
+  }
+
+  getDialogHistory(): DialogRecord[] {
+    return this.#dialogManager.getHistory();
+  }
+
+  /**
+   * Runs an action that unloads the selected page and fails fast when a
+   * beforeunload dialog keeps the page from unloading.
+   */
+  runUnloadingAction<T>(action: () => Promise<T>): Promise<T> {
+    return this.#dialogManager.runUnloadingAction(
+      this.getSelectedPage(),
+      action,
+    );
   }
 
   getSelectedPage(): Page {
@@ -285,6 +934,26 @@ export class McpContext implements Context {
     return page;
   }
 
+  getToolPolicy(): ToolPolicy | undefined {
+    return this.#options.toolPolicy;
+  }
+
+  isUrlAllowed(url: string): boolean {
+    return this.#options.urlPolicy?.isAllowed(url) ?? true;
+  }
+
+  /**
+   * Returns the requests of the context's pages that were blocked by the URL
+   * policy since the last call.
+   */
+  takeBlockedRequests(): BlockedRequest[] {
+    const urlPolicy = this.#options.urlPolicy;
+    if (!urlPolicy) {
+      return [];
+    }
+    return this.#pages.flatMap(page => urlPolicy.takeBlockedRequests(page));
+  }
+
   getPageByIdx(idx: number): Page {
     const pages = this.#pages;
     const page = pages[idx];
@@ -298,16 +967,8 @@ export class McpContext implements Context {
     return this.#selectedPageIdx;
   }
 
-  #dialogHandler = (dialog: Dialog): void => {
-    this.#dialog = dialog;
-  };
-
   setSelectedPageIdx(idx: number): void {
-    const oldPage = this.getSelectedPage();
-    oldPage.off('dialog', this.#dialogHandler);
     this.#selectedPageIdx = idx;
-    const newPage = this.getSelectedPage();
-    newPage.on('dialog', this.#dialogHandler);
     this.#updateSelectedPageTimeouts();
   }
 
@@ -364,7 +1025,15 @@ export class McpContext implements Context {
    * Creates a snapshot of the pages.
    */
   async createPagesSnapshot(): Promise<Page[]> {
-    const allPages = await this.browser.pages();
+    await this.#disposeEmptyIsolatedContexts();
+    // Pages are grouped by browser context, in the order the contexts were
+    // created. The pages of the browser already include the isolated ones.
+    const allPages = await this.#pageSource.pages();
+    if (this.#pageSource !== this.browser) {
+      for (const isolatedContext of this.#isolatedContexts.values()) {
+        allPages.push(...(await isolatedContext.pages()));
+      }
+    }
 
     this.#pages = allPages.filter(page => {
       // If we allow debugging DevTools windows, return all pages.
@@ -375,12 +1044,21 @@ export class McpContext implements Context {
       );
     });
 
+    for (const page of this.#pages) {
+      this.#watchForCrashes(page);
+      this.#dialogManager.addPage(page);
+    }
+
     await this.detectOpenDevToolsWindows();
 
     return this.#pages;
   }
 
   async detectOpenDevToolsWindows() {
+    if (!supportsCdp(this.browser)) {
+      // DevTools windows can only be inspected over CDP.
+      return;
+    }
     this.logger('Detecting open DevTools windows');
     const pages = await this.browser.pages();
     this.#pageToDevToolsPage = new Map<Page, Page>();
@@ -414,6 +1092,187 @@ export class McpContext implements Context {
     return this.#pages;
   }
 
+  getBrowserName(): string {
+    return this.#options.browserName ?? DEFAULT_BROWSER_NAME;
+  }
+
+  listBrowsers(): BrowserInfo[] {
+    if (!this.#options.browserPool) {
+      return [
+        {
+          name: this.getBrowserName(),
+          description: 'The only browser of the server.',
+          running: true,
+          selected: true,
+        },
+      ];
+    }
+    return this.#options.browserPool.list();
+  }
+
+  selectBrowser(name: string): void {
+    if (!this.#options.browserPool) {
+      throw new Error('The server does not support switching browsers.');
+    }
+    this.#options.browserPool.select(name);
+  }
+
+  /**
+   * Returns the workers of the selected page, including the shared workers
+   * and service workers of its origin.
+   */
+  getWorkers(): WorkerInfo[] {
+    return this.#workerCollector?.getWorkers(this.getSelectedPage()) ?? [];
+  }
+
+  #getWorkerCollector(): WorkerCollector {
+    if (!this.#workerCollector) {
+      throw new Error('Workers can only be inspected in Chrome.');
+    }
+    return this.#workerCollector;
+  }
+
+  getWorkerById(id: number): WebWorker {
+    return this.#getWorkerCollector().getWorker(id);
+  }
+
+  getWorkerConsoleMessages(id: number): WorkerConsoleMessage[] {
+    return this.#getWorkerCollector().getConsoleMessages(id);
+  }
+
+  getWorkerNetworkRequests(id: number): WorkerNetworkRequest[] {
+    return this.#getWorkerCollector().getNetworkRequests(id);
+  }
+
+  #getFrameInfo(frame: Frame): FrameInfo {
+    let id = this.#frameIds.get(frame);
+    if (id === undefined) {
+      id = this.#nextFrameId++;
+      this.#frameIds.set(frame, id);
+    }
+    const parent = frame.parentFrame();
+    return {
+      id,
+      ...(parent ? {parentId: this.#getFrameInfo(parent).id} : {}),
+      url: frame.url(),
+      origin: getFrameOrigin(frame),
+      outOfProcess: isOutOfProcessFrame(frame),
+    };
+  }
+
+  /**
+   * Returns the frames of the selected page, parents before their children.
+   */
+  getFrames(): FrameInfo[] {
+    const frames: FrameInfo[] = [];
+    const visit = (frame: Frame) => {
+      frames.push(this.#getFrameInfo(frame));
+      for (const child of frame.childFrames()) {
+        visit(child);
+      }
+    };
+    visit(this.getSelectedPage().mainFrame());
+    return frames;
+  }
+
+  getFrameById(id: number): Frame {
+    const frame = this.getSelectedPage()
+      .frames()
+      .find(frame => this.#frameIds.get(frame) === id);
+    if (!frame || frame.detached) {
+      throw new Error(
+        `No frame with id ${id} on the selected page. Call list_frames first.`,
+      );
+    }
+    return frame;
+  }
+
+  #getDownloadCollector(): DownloadCollector {
+    if (!this.#downloadCollector) {
+      throw new Error('Downloads can only be inspected in Chrome.');
+    }
+    return this.#downloadCollector;
+  }
+
+  getDownloadDir(): string {
+    return this.#getDownloadCollector().downloadDir;
+  }
+
+  getDownloads(): DownloadInfo[] {
+    return this.#getDownloadCollector().getDownloads();
+  }
+
+  getDownloadById(id: number): DownloadInfo {
+    return this.#getDownloadCollector().getDownload(id);
+  }
+
+  async listExtensions(): Promise<ExtensionInfo[]> {
+    const serviceWorkerUrls = this.browser
+      .targets()
+      .filter(target => target.type() === 'service_worker')
+      .map(target => target.url());
+    return await Promise.all(
+      getLoadedExtensions(this.browser).map(async ({id, path}) => {
+        const manifest = await readExtensionManifest(path);
+        const baseUrl = `chrome-extension://${id}/`;
+        return {
+          id,
+          name: manifest.name,
+          version: manifest.version,
+          path,
+          popupUrl: manifest.popup && new URL(manifest.popup, baseUrl).href,
+          optionsUrl:
+            manifest.options && new URL(manifest.options, baseUrl).href,
+          serviceWorkerUrl: serviceWorkerUrls.find(url => {
+            return url.startsWith(baseUrl);
+          }),
+        };
+      }),
+    );
+  }
+
+  #getLoadedExtension(id: string): LoadedExtension {
+    const extensions = getLoadedExtensions(this.browser);
+    const extension = extensions.find(extension => extension.id === id);
+    if (!extension) {
+      throw new Error(
+        extensions.length
+          ? `No extension with id "${id}". Loaded extensions: ${extensions.map(extension => extension.id).join(', ')}.`
+          : 'No extensions are loaded. Start the server with --loadExtension to debug an extension.',
+      );
+    }
+    return extension;
+  }
+
+  async getExtension(id: string): Promise<ExtensionInfo> {
+    this.#getLoadedExtension(id);
+    const extensions = await this.listExtensions();
+    return extensions.find(extension => extension.id === id)!;
+  }
+
+  getExtensionConsoleMessages(id: string): WorkerConsoleMessage[] {
+    this.#getLoadedExtension(id);
+    const workerCollector = this.#workerCollector;
+    if (!workerCollector) {
+      return [];
+    }
+    return workerCollector
+      .getWorkersByUrlPrefix(`chrome-extension://${id}/`)
+      .flatMap(worker => workerCollector.getConsoleMessages(worker.id))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Reloads the extension from its directory, like the reload button of
+   * chrome://extensions does. The collected console messages are cleared.
+   */
+  async reloadExtension(id: string): Promise<void> {
+    const extension = this.#getLoadedExtension(id);
+    await this.browser.installExtension(extension.path);
+    this.#workerCollector?.clearByUrlPrefix(`chrome-extension://${id}/`);
+    await this.createPagesSnapshot();
+  }
+
   getDevToolsPage(page: Page): Page | undefined {
     return this.#pageToDevToolsPage.get(page);
   }
@@ -458,8 +1317,11 @@ export class McpContext implements Context {
   async createTextSnapshot(
     verbose = false,
     devtoolsData: DevToolsData | undefined = undefined,
+    frameId?: number,
   ): Promise<void> {
     const page = this.getSelectedPage();
+    const frame =
+      frameId === undefined ? page.mainFrame() : this.getFrameById(frameId);
     const rootNode = await page.accessibility.snapshot({
       includeIframes: true,
       interestingOnly: !verbose,
@@ -496,11 +1358,27 @@ export class McpContext implements Context {
     };
 
     const rootNodeWithId = assignIds(rootNode);
+    await this.#annotateFrames(idToNode.values());
+    let root: TextSnapshotNode | undefined = rootNodeWithId;
+    if (frame !== page.mainFrame()) {
+      root = [...idToNode.values()].find(node => node.frame?.id === frameId);
+      if (!root) {
+        throw new Error(
+          `The content of the frame ${frameId} is not part of the accessibility tree of the page.`,
+        );
+      }
+    }
     this.#textSnapshot = {
-      root: rootNodeWithId,
+      root,
       snapshotId: String(snapshotId),
       idToNode,
     };
+    setWithLimit(
+      this.#snapshots,
+      this.#textSnapshot.snapshotId,
+      this.#textSnapshot,
+      MAX_STORED_SNAPSHOTS,
+    );
     const data = devtoolsData ?? (await this.getDevToolsData());
     if (data?.cdpBackendNodeId) {
       this.#textSnapshot.selectedElementUid = this.resolveCdpElementId(
@@ -509,10 +1387,62 @@ export class McpContext implements Context {
     }
   }
 
+  /**
+   * Marks the iframe nodes of the snapshot with the frame they embed, so
+   * that frame boundaries show in the snapshot.
+   */
+  async #annotateFrames(nodes: Iterable<TextSnapshotNode>): Promise<void> {
+    for (const node of nodes) {
+      if (node.role !== 'Iframe') {
+        continue;
+      }
+      const handle = await node.elementHandle();
+      if (!handle) {
+        continue;
+      }
+      try {
+        const frame = await handle.contentFrame();
+        if (frame) {
+          node.frame = this.#getFrameInfo(frame);
+        }
+      } catch (error) {
+        // Frames can get detached at any time.
+        this.logger('Failed to resolve the frame of an iframe', error);
+      } finally {
+        void handle.dispose();
+      }
+    }
+  }
+
   getTextSnapshot(): TextSnapshot | null {
     return this.#textSnapshot;
   }
 
+  /**
+   * Returns one of the recent snapshots, even if it is stale.
+   */
+  getTextSnapshotById(snapshotId: string): TextSnapshot | undefined {
+    return this.#snapshots.get(snapshotId);
+  }
+
+  getTextSnapshotIds(): string[] {
+    return [...this.#snapshots.keys()];
+  }
+
+  storeScreenshot(screenshot: StoredScreenshot): string {
+    const id = String(this.#nextScreenshotId++);
+    setWithLimit(this.#screenshots, id, screenshot, MAX_STORED_SCREENSHOTS);
+    return id;
+  }
+
+  getScreenshotById(id: string): StoredScreenshot | undefined {
+    return this.#screenshots.get(id);
+  }
+
+  getScreenshotIds(): string[] {
+    return [...this.#screenshots.keys()];
+  }
+
   async saveTemporaryFile(
     data: Uint8Array<ArrayBufferLike>,
     mimeType: 'image/png' | 'image/jpeg' | 'image/webp',
@@ -547,23 +1477,96 @@ export class McpContext implements Context {
     }
   }
 
-  storeTraceRecording(result: TraceResult): void {
+  /**
+   * Stores a trace and returns its id. The raw trace data is only kept for
+   * the most recent traces.
+   */
+  storeTraceRecording(
+    result: TraceResult,
+    rawTrace?: Uint8Array<ArrayBufferLike>,
+  ): number {
     this.#traceResults.push(result);
+    const id = this.#traceResults.length;
+    if (rawTrace) {
+      setWithLimit(this.#rawTraces, id, rawTrace, MAX_STORED_RAW_TRACES);
+    }
+    return id;
+  }
+
+  recordUserFlowStep(step: UserFlowStep): void {
+    if (!this.#userFlowSteps.length && step.type !== StepType.Navigate) {
+      // Flows start at the page the first action was performed on.
+      const url = this.getSelectedPage().url();
+      if (!BLANK_PAGE_URLS.has(url)) {
+        this.#userFlowSteps.push({type: StepType.Navigate, url});
+      }
+    }
+    this.#userFlowSteps.push(step);
+  }
+
+  recordUnsupportedUserFlowAction(toolName: string): void {
+    this.#unsupportedUserFlowActions.add(toolName);
+  }
+
+  getRecordedUserFlow(): {
+    steps: UserFlowStep[];
+    unsupportedActions: string[];
+  } {
+    return {
+      steps: [...this.#userFlowSteps],
+      unsupportedActions: [...this.#unsupportedUserFlowActions],
+    };
+  }
+
+  getRawTraceById(id: number): Uint8Array<ArrayBufferLike> | undefined {
+    return this.#rawTraces.get(id);
+  }
+
+  getRawTraceIds(): number[] {
+    return [...this.#rawTraces.keys()];
   }
 
   recordedTraces(): TraceResult[] {
     return this.#traceResults;
   }
 
+  setAbortSignal(signal: AbortSignal | undefined): void {
+    this.#abortSignal = signal;
+  }
+
+  getAbortSignal(): AbortSignal | undefined {
+    return this.#abortSignal;
+  }
+
+  setProgressReporter(reporter: ((message: string) => void) | undefined) {
+    this.#progressReporter = reporter;
+  }
+
+  reportProgress(message: string): void {
+    this.logger(`Progress: ${message}`);
+    this.#progressReporter?.(message);
+  }
+
   getWaitForHelper(
     page: Page,
     cpuMultiplier: number,
     networkMultiplier: number,
   ) {
-    return new WaitForHelper(page, cpuMultiplier, networkMultiplier);
+    return new WaitForHelper(
+      page,
+      cpuMultiplier,
+      networkMultiplier,
+      this.#abortSignal,
+    );
   }
 
-  waitForEventsAfterAction(action: () => Promise<unknown>): Promise<void> {
+  /**
+   * Runs the action and waits for the navigation and DOM changes it causes.
+   * Pages the action opened are reported in the response.
+   */
+  async waitForEventsAfterAction(
+    action: () => Promise<unknown>,
+  ): Promise<void> {
     const page = this.getSelectedPage();
     const cpuMultiplier = this.getCpuThrottlingRate();
     const networkMultiplier = getNetworkMultiplierFromString(
@@ -574,7 +1577,21 @@ export class McpContext implements Context {
       cpuMultiplier,
       networkMultiplier,
     );
-    return waitForHelper.waitForEventsAfterAction(action);
+    const openedTargets: Target[] = [];
+    const onTargetCreated = (target: Target) => {
+      if (target.type() === 'page') {
+        openedTargets.push(target);
+      }
+    };
+    this.browser.on('targetcreated', onTargetCreated);
+    try {
+      await waitForHelper.waitForEventsAfterAction(action);
+    } finally {
+      this.browser.off('targetcreated', onTargetCreated);
+    }
+    if (openedTargets.length) {
+      await this.#trackOpenedPages(openedTargets);
+    }
   }
 
   getNetworkRequestStableId(request: HTTPRequest): number {
@@ -584,12 +1601,15 @@ export class McpContext implements Context {
   waitForTextOnPage({
     text,
     timeout,
+    frameId,
   }: {
     text: string;
     timeout?: number | undefined;
+    frameId?: number | undefined;
   }): Promise<Element> {
     const page = this.getSelectedPage();
-    const frames = page.frames();
+    const frames =
+      frameId === undefined ? page.frames() : [this.getFrameById(frameId)];
 
     const locator = this.#locatorClass.race(
       frames.flatMap(frame => [
@@ -602,14 +1622,14 @@ export class McpContext implements Context {
       locator.setTimeout(timeout);
     }
 
-    return locator.wait();
+    return locator.wait({signal: this.#abortSignal});
   }
 
   /**
    * We need to ignore favicon request as they make our test flaky
    */
   async setUpNetworkCollectorForTesting() {
-    this.#networkCollector = new NetworkCollector(this.browser, collect => {
+    this.#networkCollector = new NetworkCollector(this.#pageSource, collect => {
       return {
         request: req => {
           if (req.url().includes('favicon.ico')) {
@@ -12,14 +12,31 @@ import {
   getFormattedHeaderValue,
   getFormattedResponseBody,
   getFormattedRequestBody,
+  getRequestSummaryData,
   getShortDescriptionForRequest,
   getStatusFromRequest,
 } from './formatters/networkFormatter.js';
-import {formatSnapshotNode} from './formatters/snapshotFormatter.js';
+import {
+  countSnapshotNodes,
+  formatSnapshotNode,
+  getSnapshotNodeData,
+  MAX_STRUCTURED_SNAPSHOT_NODES,
+} from './formatters/snapshotFormatter.js';
 import type {McpContext} from './McpContext.js';
+import type {
+  ConsoleMessageOutputData,
+  NetworkRequestData,
+  PaginationData,
+  ResponseOutputData,
+} from './outputSchema.js';
+import {
+  getRequestBodyResourceUri,
+  getSnapshotResourceUri,
+} from './resources.js';
 import type {
   ConsoleMessage,
   ImageContent,
+  ResourceLink,
   ResourceType,
   TextContent,
 } from './third_party/index.js';
@@ -27,10 +44,12 @@ import {handleDialog} from './tools/pages.js';
 import type {
   DevToolsData,
   ImageContentData,
+  ResourceLinkData,
   Response,
   SnapshotParams,
 } from './tools/ToolDefinition.js';
 import {paginate} from './utils/pagination.js';
+import type {PaginationResult} from './utils/pagination.js';
 import type {PaginationOptions} from './utils/types.js';
 
 export class McpResponse implements Response {
@@ -40,6 +59,9 @@ export class McpResponse implements Response {
   #attachedConsoleMessageId?: number;
   #textResponseLines: string[] = [];
   #images: ImageContentData[] = [];
+  #resourceLinks: ResourceLinkData[] = [];
+  #toolStructuredContent: Record<string, unknown> = {};
+  #structuredContent: Record<string, unknown> = {};
   #networkRequestsOptions?: {
     include: boolean;
     pagination?: PaginationOptions;
@@ -163,6 +185,17 @@ export class McpResponse implements Response {
     this.#images.push(value);
   }
 
+  attachResourceLink(value: ResourceLinkData): void {
+    this.#resourceLinks.push(value);
+  }
+
+  setStructuredContent(value: Record<string, unknown>): void {
+    this.#toolStructuredContent = {
+      ...this.#toolStructuredContent,
+      ...value,
+    };
+  }
+
   get responseLines(): readonly string[] {
     return this.#textResponseLines;
   }
@@ -171,14 +204,26 @@ export class McpResponse implements Response {
     return this.#images;
   }
 
+  get resourceLinks(): ResourceLinkData[] {
+    return this.#resourceLinks;
+  }
+
   get snapshotParams(): SnapshotParams | undefined {
     return this.#snapshotParams;
   }
 
+  /**
+   * The structured counterpart of the text response. Only available after
+   * the response has been formatted.
+   */
+  get structuredContent(): Record<string, unknown> {
+    return this.#structuredContent;
+  }
+
   async handle(
     toolName: string,
     context: McpContext,
-  ): Promise<Array<TextContent | ImageContent>> {
+  ): Promise<Array<TextContent | ImageContent | ResourceLink>> {
     if (this.#includePages) {
       await context.createPagesSnapshot();
     }
@@ -188,9 +233,15 @@ export class McpResponse implements Response {
       await context.createTextSnapshot(
         this.#snapshotParams.verbose,
         this.#devToolsData,
+        this.#snapshotParams.frameId,
       );
       const snapshot = context.getTextSnapshot();
       if (snapshot) {
+        this.attachResourceLink({
+          uri: getSnapshotResourceUri(snapshot.snapshotId),
+          name: `Snapshot ${snapshot.snapshotId}`,
+          mimeType: 'text/plain',
+        });
         if (this.#snapshotParams.filePath) {
           await context.saveFile(
             new TextEncoder().encode(
@@ -220,6 +271,16 @@ export class McpResponse implements Response {
       const response = request.response();
       if (response) {
         bodies.responseBody = await getFormattedResponseBody(response);
+        this.attachResourceLink({
+          uri: getRequestBodyResourceUri(
+            context.getPageId(context.getSelectedPage()),
+            this.#attachedNetworkRequestId,
+          ),
+          name: `Response body of reqid=${this.#attachedNetworkRequestId}`,
+          mimeType:
+            response.headers()['content-type'] ?? 'application/octet-stream',
+          description: 'The full, untruncated response body.',
+        });
       }
     }
 
@@ -325,11 +386,32 @@ export class McpResponse implements Response {
       consoleListData: ConsoleMessageData[] | undefined;
       formattedSnapshot: string | undefined;
     },
-  ): Array<TextContent | ImageContent> {
+  ): Array<TextContent | ImageContent | ResourceLink> {
     const response = [`# ${toolName} response`];
+    const structuredContent: ResponseOutputData = {};
     for (const line of this.#textResponseLines) {
       response.push(line);
     }
+    if (this.#textResponseLines.length) {
+      structuredContent.message = this.#textResponseLines.join('\n');
+    }
+
+    const recoveries = context.takeRecoveryReports();
+    if (recoveries.length) {
+      response.push('## Browser recovery');
+      for (const recovery of recoveries) {
+        response.push(recovery.reason);
+        if (recovery.recovered.length) {
+          response.push('Recovered:');
+          response.push(...recovery.recovered.map(line => `- ${line}`));
+        }
+        if (recovery.lost.length) {
+          response.push('Lost:');
+          response.push(...recovery.lost.map(line => `- ${line}`));
+        }
+      }
+      structuredContent.recoveries = recoveries;
+    }
 
     const networkConditions = context.getNetworkConditions();
     if (networkConditions) {
@@ -338,12 +420,17 @@ export class McpResponse implements Response {
       response.push(
         `Default navigation timeout set to ${context.getNavigationTimeout()} ms`,
       );
+      structuredContent.networkEmulation = {
+        conditions: networkConditions,
+        navigationTimeout: context.getNavigationTimeout(),
+      };
     }
 
     const cpuThrottlingRate = context.getCpuThrottlingRate();
     if (cpuThrottlingRate > 1) {
       response.push(`## CPU emulation`);
       response.push(`Emulating: ${cpuThrottlingRate}x slowdown`);
+      structuredContent.cpuThrottlingRate = cpuThrottlingRate;
     }
 
     const dialog = context.getDialog();
@@ -355,15 +442,58 @@ export class McpResponse implements Response {
       response.push(`# Open dialog
 ${dialog.type()}: ${dialog.message()}${defaultValueIfNeeded}.
 Call ${handleDialog.name} to handle it before continuing.`);
+      structuredContent.dialog = {
+        type: dialog.type(),
+        message: dialog.message(),
+        defaultValue:
+          dialog.type() === 'prompt' ? dialog.defaultValue() : undefined,
+      };
+    }
+
+    const openedPages = context.takeOpenedPages();
+    if (openedPages.length) {
+      response.push('## Opened pages');
+      structuredContent.openedPages = [];
+      for (const page of openedPages) {
+        const pageIdx = context.getPages().indexOf(page);
+        const opener = context.getOpenerPage(page);
+        const openerIdx = opener ? context.getPages().indexOf(opener) : -1;
+        const selected = pageIdx === context.getSelectedPageIdx();
+        response.push(
+          `This action opened page ${pageIdx}${openerIdx !== -1 ? ` (opener: page ${openerIdx})` : ''}${selected ? ', which is now selected' : ''}.`,
+        );
+        structuredContent.openedPages.push({
+          pageIdx,
+          url: page.url(),
+          selected,
+          ...(openerIdx !== -1 ? {openerIdx} : {}),
+        });
+      }
     }
 
     if (this.#includePages) {
       const parts = [`## Pages`];
+      if (context.listBrowsers().length > 1) {
+        parts.push(`Browser: ${context.getBrowserName()}`);
+        structuredContent.browser = context.getBrowserName();
+      }
+      structuredContent.pages = [];
       let idx = 0;
       for (const page of context.getPages()) {
+        const selected = idx === context.getSelectedPageIdx();
+        const isolatedContext = context.getIsolatedContextName(page);
+        const opener = context.getOpenerPage(page);
+        const openerIdx = opener ? context.getPages().indexOf(opener) : -1;
         parts.push(
-          `${idx}: ${page.url()}${idx === context.getSelectedPageIdx() ? ' [selected]' : ''}`,
+          `${idx}: ${page.url()}${isolatedContext ? ` [isolatedContext=${isolatedContext}]` : ''}${openerIdx !== -1 ? ` [opener=${openerIdx}]` : ''}${selected ? ' [selected]' : ''}`,
         );
+        structuredContent.pages.push({
+          pageIdx: idx,
+          url: page.url(),
+          selected,
+          ...(isolatedContext ? {isolatedContext} : {}),
+          ...(openerIdx !== -1 ? {openerIdx} : {}),
+        });
         idx++;
       }
       response.push(...parts);
@@ -373,9 +503,51 @@ Call ${handleDialog.name} to handle it before continuing.`);
       response.push('## Page content');
       response.push(data.formattedSnapshot);
     }
+    const snapshot = this.#snapshotParams
+      ? context.getTextSnapshot()
+      : undefined;
+    if (snapshot) {
+      const truncated =
+        !this.#snapshotParams?.filePath &&
+        countSnapshotNodes(snapshot.root) > MAX_STRUCTURED_SNAPSHOT_NODES;
+      structuredContent.snapshot = {
+        snapshotId: snapshot.snapshotId,
+        uri: getSnapshotResourceUri(snapshot.snapshotId),
+        filePath: this.#snapshotParams?.filePath,
+        root: this.#snapshotParams?.filePath
+          ? undefined
+          : getSnapshotNodeData(
+              snapshot.root,
+              snapshot,
+              truncated ? 0 : Infinity,
+            ),
+        ...(truncated ? {truncated} : {}),
+      };
+    }
+
+    const networkRequest = this.#formatNetworkRequestData(context, data.bodies);
+    response.push(...networkRequest.text);
+    if (networkRequest.data) {
+      structuredContent.networkRequest = networkRequest.data;
+    }
+    const blockedRequests = context.takeBlockedRequests();
+    if (blockedRequests.length) {
+      response.push('## Blocked requests');
+      response.push('The following requests were refused by the URL policy:');
+      for (const blockedRequest of blockedRequests) {
+        response.push(
+          `- ${blockedRequest.url} (${blockedRequest.resourceType})`,
+        );
+      }
+      structuredContent.blockedRequests = blockedRequests;
+    }
 
-    response.push(...this.#formatNetworkRequestData(context, data.bodies));
     response.push(...this.#formatConsoleData(data.consoleData));
+    if (data.consoleData) {
+      structuredContent.consoleMessage = getConsoleMessageOutputData(
+        data.consoleData,
+      );
+    }
 
     if (this.#networkRequestsOptions?.include) {
       let requests = context.getNetworkRequests(
@@ -394,13 +566,13 @@ Call ${handleDialog.name} to handle it before continuing.`);
       }
 
       response.push('## Network requests');
+      const paginatedRequests = this.#dataWithPagination(
+        requests,
+        this.#networkRequestsOptions.pagination,
+      );
       if (requests.length) {
-        const data = this.#dataWithPagination(
-          requests,
-          this.#networkRequestsOptions.pagination,
-        );
-        response.push(...data.info);
-        for (const request of data.items) {
+        response.push(...paginatedRequests.info);
+        for (const request of paginatedRequests.items) {
           response.push(
             getShortDescriptionForRequest(
               request,
@@ -413,26 +585,49 @@ Call ${handleDialog.name} to handle it before continuing.`);
       } else {
         response.push('No requests found.');
       }
+      structuredContent.networkRequests = {
+        items: paginatedRequests.items.map(request => {
+          const reqid = context.getNetworkRequestStableId(request);
+          return getRequestSummaryData(
+            request,
+            reqid,
+            reqid ===
+              this.#networkRequestsOptions?.networkRequestIdInDevToolsUI,
+          );
+        }),
+        pagination: paginatedRequests.pagination,
+      };
     }
 
     if (this.#consoleDataOptions?.include) {
       const messages = data.consoleListData ?? [];
 
       response.push('## Console messages');
+      const paginatedMessages = this.#dataWithPagination(
+        messages,
+        this.#consoleDataOptions.pagination,
+      );
       if (messages.length) {
-        const data = this.#dataWithPagination(
-          messages,
-          this.#consoleDataOptions.pagination,
-        );
-        response.push(...data.info);
+        response.push(...paginatedMessages.info);
         response.push(
-          ...data.items.map(message => formatConsoleEventShort(message)),
+          ...paginatedMessages.items.map(message =>
+            formatConsoleEventShort(message),
+          ),
         );
       } else {
         response.push('<no console messages found>');
       }
+      structuredContent.consoleMessages = {
+        items: paginatedMessages.items.map(getConsoleMessageOutputData),
+        pagination: paginatedMessages.pagination,
+      };
     }
 
+    this.#structuredContent = {
+      ...structuredContent,
+      ...this.#toolStructuredContent,
+    };
+
     const text: TextContent = {
       type: 'text',
       text: response.join('\n'),
@@ -444,7 +639,14 @@ Call ${handleDialog.name} to handle it before continuing.`);
       } as const;
     });
 
-    return [text, ...images];
+    const resourceLinks: ResourceLink[] = this.#resourceLinks.map(link => {
+      return {
+        type: 'resource_link',
+        ...link,
+      } as const;
+    });
+
+    return [text, ...images, ...resourceLinks];
   }
 
   #dataWithPagination<T>(data: T[], pagination?: PaginationOptions) {
@@ -470,6 +672,7 @@ Call ${handleDialog.name} to handle it before continuing.`);
     return {
       info: response,
       items: paginationResult.items,
+      pagination: getPaginationData(paginationResult, data.length),
     };
   }
 
@@ -489,11 +692,11 @@ Call ${handleDialog.name} to handle it before continuing.`);
       requestBody?: string;
       responseBody?: string;
     },
-  ): string[] {
+  ): {text: string[]; data?: NetworkRequestData} {
     const response: string[] = [];
     const id = this.#attachedNetworkRequestId;
     if (!id) {
-      return response;
+      return {text: response};
     }
 
     const httpRequest = context.getNetworkRequestById(id);
@@ -539,10 +742,54 @@ Call ${handleDialog.name} to handle it before continuing.`);
         indent++;
       }
     }
-    return response;
+    return {
+      text: response,
+      data: {
+        ...getRequestSummaryData(httpRequest, id),
+        requestHeaders: httpRequest.headers(),
+        requestBody: data.requestBody,
+        responseHeaders: httpResponse?.headers(),
+        responseBody: data.responseBody,
+        redirectChain: redirectChain.map(request => {
+          return getRequestSummaryData(
+            request,
+            context.getNetworkRequestStableId(request),
+          );
+        }),
+      },
+    };
   }
 
   resetResponseLineForTesting() {
     this.#textResponseLines = [];
   }
 }
+
+function getPaginationData<T>(
+  result: PaginationResult<T>,
+  total: number,
+): PaginationData {
+  return {
+    startIndex: result.startIndex,
+    endIndex: result.endIndex,
+    total,
+    pageIdx: result.currentPage,
+    totalPages: result.totalPages,
+    invalidPage: result.invalidPage,
+    nextPageIdx: result.hasNextPage ? result.currentPage + 1 : undefined,
+    previousPageIdx: result.hasPreviousPage
+      ? result.currentPage - 1
+      : undefined,
+  };
+}
+
+function getConsoleMessageOutputData(
+  message: ConsoleMessageData,
+): ConsoleMessageOutputData {
+  return {
+    msgid: message.consoleMessageStableId,
+    type: message.type,
+    text: message.message,
+    args: message.args ?? [],
+  };
+}
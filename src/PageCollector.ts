@@ -6,6 +6,7 @@
 
 import {
   type Browser,
+  type BrowserContext,
   type Frame,
   type Handler,
   type HTTPRequest,
@@ -33,7 +34,7 @@ type WithSymbolId<T> = T & {
 };
 
 export class PageCollector<T> {
-  #browser: Browser;
+  #browser: Browser | BrowserContext;
   #listenersInitializer: (
     collector: (item: T) => void,
   ) => ListenerMap<PageEvents>;
@@ -48,7 +49,7 @@ export class PageCollector<T> {
   protected storage = new WeakMap<Page, Array<Array<WithSymbolId<T>>>>();
 
   constructor(
-    browser: Browser,
+    browser: Browser | BrowserContext,
     listeners: (collector: (item: T) => void) => ListenerMap<PageEvents>,
   ) {
     this.#browser = browser;
@@ -193,7 +194,7 @@ export class PageCollector<T> {
 
 export class NetworkCollector extends PageCollector<HTTPRequest> {
   constructor(
-    browser: Browser,
+    browser: Browser | BrowserContext,
     listeners: (
       collector: (item: HTTPRequest) => void,
     ) => ListenerMap<PageEvents> = collect => {
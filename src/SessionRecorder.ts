@@ -0,0 +1,167 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs';
+
+import {logger} from './logger.js';
+import type {TextSnapshot} from './McpContext.js';
+import type {CallToolResult} from './third_party/index.js';
+
+/**
+ * Identifies a snapshot element independently of the snapshot it was taken
+ * from so that it can be found again in a different browser.
+ */
+export interface RecordedElement {
+  role: string;
+  name: string;
+  // The index among the elements with the same role and name.
+  occurrence: number;
+}
+
+export interface RecordedToolCall {
+  // Identifies the MCP client that made the call.
+  sessionId: string;
+  tool: string;
+  params: Record<string, unknown>;
+  // The elements referenced by the uids in the params.
+  elements: Record<string, RecordedElement>;
+  // Milliseconds since the epoch.
+  startTime: number;
+  duration: number;
+  isError: boolean;
+  response: string;
+}
+
+function isUidKey(key: string): boolean {
+  return key === 'uid' || key.endsWith('_uid');
+}
+
+/**
+ * Returns the snapshot uids referenced by the params, for example `uid`,
+ * `from_uid` or the `uid` of `fill_form` elements.
+ */
+export function collectUids(value: unknown): string[] {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => collectUids(item));
+  }
+  if (typeof value !== 'object' || value === null) {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, item]) =>
+    isUidKey(key) && typeof item === 'string' ? [item] : collectUids(item),
+  );
+}
+
+/**
+ * Replaces the uids referenced by the params using the given function.
+ */
+export function mapUids(value: unknown, map: (uid: string) => string): unknown {
+  if (Array.isArray(value)) {
+    return value.map(item => mapUids(item, map));
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      isUidKey(key) && typeof item === 'string'
+        ? map(item)
+        : mapUids(item, map),
+    ]),
+  );
+}
+
+export function describeElements(
+  uids: string[],
+  snapshot: TextSnapshot | null,
+): Record<string, RecordedElement> {
+  const elements: Record<string, RecordedElement> = {};
+  if (!snapshot) {
+    return elements;
+  }
+  for (const uid of uids) {
+    const node = snapshot.idToNode.get(uid);
+    if (!node) {
+      continue;
+    }
+    const role = node.role;
+    const name = node.name ?? '';
+    let occurrence = 0;
+    for (const [otherUid, other] of snapshot.idToNode) {
+      if (otherUid === uid) {
+        break;
+      }
+      if (other.role === role && (other.name ?? '') === name) {
+        occurrence++;
+      }
+    }
+    elements[uid] = {role, name, occurrence};
+  }
+  return elements;
+}
+
+/**
+ * Returns the text of a tool response. Non-text content is replaced by a
+ * placeholder.
+ */
+export function getResponseText(result: CallToolResult): string {
+  return result.content
+    .map(item => {
+      switch (item.type) {
+        case 'text':
+          return item.text;
+        case 'resource_link':
+          return `[resource ${item.uri}]`;
+        default:
+          return `[${item.type}]`;
+      }
+    })
+    .join('\n');
+}
+
+/**
+ * Writes every tool call of the server to a JSONL file. The calls of all
+ * clients go to the same file and are told apart by their session id.
+ */
+export class SessionRecorder {
+  #stream: fs.WriteStream;
+
+  constructor(filePath: string) {
+    this.#stream = fs.createWriteStream(filePath);
+    this.#stream.on('error', error => {
+      logger(`Failed to record the session to ${filePath}`, error);
+    });
+  }
+
+  record(call: RecordedToolCall): void {
+    this.#stream.write(JSON.stringify(call) + '\n');
+  }
+
+  close(): Promise<void> {
+    return new Promise(resolve => {
+      this.#stream.end(resolve);
+    });
+  }
+}
+
+export function readRecordedSession(filePath: string): RecordedToolCall[] {
+  return fs
+    .readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .flatMap((line, idx) => {
+      if (!line.trim()) {
+        return [];
+      }
+      try {
+        return [JSON.parse(line) as RecordedToolCall];
+      } catch (error) {
+        throw new Error(
+          `Line ${idx + 1} of ${filePath} is not a recorded tool call: ${(error as Error).message}`,
+        );
+      }
+    });
+}
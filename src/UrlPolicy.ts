@@ -0,0 +1,204 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {logger} from './logger.js';
+import {DEFAULT_INTERCEPT_RESOLUTION_PRIORITY} from './third_party/index.js';
+import type {Browser, HTTPRequest, Page, Target} from './third_party/index.js';
+import {matchesGlob} from './utils/glob.js';
+
+export interface UrlPolicyOptions {
+  // Patterns of URLs the browser may load. All URLs if empty.
+  allowedUrls: string[];
+  // Patterns of URLs the browser must not load. Takes precedence over
+  // allowedUrls.
+  blockedUrls: string[];
+}
+
+export interface BlockedRequest {
+  url: string;
+  resourceType: string;
+}
+
+// Only URLs that load content from the network or the file system are
+// subject to the policy.
+const POLICY_PROTOCOLS = new Set([
+  'http:',
+  'https:',
+  'ws:',
+  'wss:',
+  'ftp:',
+  'file:',
+]);
+
+/**
+ * A pattern either matches the hostname (`example.com`, `*.example.com`),
+ * the origin (`https://example.com`, `http://localhost:*`) or the full URL
+ * (`https://example.com/admin/*`).
+ */
+function matchesPattern(url: URL, pattern: string): boolean {
+  if (!pattern.includes('://')) {
+    return matchesGlob(url.hostname, [pattern]);
+  }
+  const schemeEnd = pattern.indexOf('://') + 3;
+  const pathStart = pattern.indexOf('/', schemeEnd);
+  if (pathStart === -1 || pathStart === pattern.length - 1) {
+    return matchesGlob(`${url.protocol}//${url.host}`, [
+      pattern.replace(/\/$/, ''),
+    ]);
+  }
+  return matchesGlob(url.href, [pattern]);
+}
+
+/**
+ * Restricts the URLs the browser can load. Blocked navigations and
+ * subresource requests are aborted and popups opened to blocked URLs are
+ * closed.
+ *
+ * The policy uses request interception, which is enabled for a page only
+ * after its target is created. Pages opened by the server are not used before
+ * that, but requests a popup makes while it is being set up are not checked.
+ */
+export class UrlPolicy {
+  #options: UrlPolicyOptions;
+  #enforcedBrowsers = new WeakSet<Browser>();
+  // Resolves once request interception is enabled for the page.
+  #enforcedPages = new WeakMap<Page, Promise<void>>();
+  #blockedRequests = new WeakMap<Page, BlockedRequest[]>();
+
+  constructor(options: UrlPolicyOptions) {
+    this.#options = options;
+  }
+
+  get enabled(): boolean {
+    return (
+      this.#options.allowedUrls.length > 0 ||
+      this.#options.blockedUrls.length > 0
+    );
+  }
+
+  isAllowed(url: string): boolean {
+    let parsed: URL;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Relative or invalid URLs fail to load anyway.
+      return true;
+    }
+    if (!POLICY_PROTOCOLS.has(parsed.protocol)) {
+      return true;
+    }
+    if (
+      this.#options.blockedUrls.some(pattern => matchesPattern(parsed, pattern))
+    ) {
+      return false;
+    }
+    return (
+      !this.#options.allowedUrls.length ||
+      this.#options.allowedUrls.some(pattern => matchesPattern(parsed, pattern))
+    );
+  }
+
+  /**
+   * Enforces the policy on all current and future pages of the browser.
+   */
+  async enforce(browser: Browser): Promise<void> {
+    if (!this.enabled || this.#enforcedBrowsers.has(browser)) {
+      return;
+    }
+    this.#enforcedBrowsers.add(browser);
+    browser.on('targetcreated', target => {
+      void this.#onTargetCreated(target);
+    });
+    const pages = await browser.pages();
+    await Promise.all(pages.map(page => this.#enforceOnPage(page)));
+  }
+
+  /**
+   * Resolves once the policy is applied to the page. Call it before using a
+   * new page so that its first requests are checked.
+   */
+  async enforceOnPage(page: Page): Promise<void> {
+    if (!this.enabled) {
+      return;
+    }
+    await this.#enforceOnPage(page);
+  }
+
+  /**
+   * Returns the requests of the page that were blocked since the last call.
+   */
+  takeBlockedRequests(page: Page): BlockedRequest[] {
+    const blockedRequests = this.#blockedRequests.get(page) ?? [];
+    this.#blockedRequests.delete(page);
+    return blockedRequests;
+  }
+
+  async #onTargetCreated(target: Target): Promise<void> {
+    try {
+      const page = await target.page();
+      if (!page) {
+        return;
+      }
+      if (target.opener() && !this.isAllowed(target.url())) {
+        logger(`Closing popup to ${target.url()} blocked by the URL policy`);
+        const opener = await target.opener()?.page();
+        if (opener) {
+          this.#recordBlockedRequest(opener, {
+            url: target.url(),
+            resourceType: 'popup',
+          });
+        }
+        await page.close();
+        return;
+      }
+      await this.#enforceOnPage(page);
+    } catch (error) {
+      logger('Failed to enforce the URL policy', error);
+    }
+  }
+
+  async #enforceOnPage(page: Page): Promise<void> {
+    let enforced = this.#enforcedPages.get(page);
+    if (!enforced) {
+      page.on('request', request => {
+        this.#onRequest(page, request);
+      });
+      enforced = page.setRequestInterception(true);
+      this.#enforcedPages.set(page, enforced);
+    }
+    await enforced;
+  }
+
+  #onRequest(page: Page, request: HTTPRequest): void {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    // The priority lets other handlers of the page, like the one of the
+    // storage state page, respond to allowed requests themselves.
+    if (this.isAllowed(request.url())) {
+      void request.continue(
+        request.continueRequestOverrides(),
+        DEFAULT_INTERCEPT_RESOLUTION_PRIORITY,
+      );
+      return;
+    }
+    logger(`Blocked request to ${request.url()} by the URL policy`);
+    this.#recordBlockedRequest(page, {
+      url: request.url(),
+      resourceType: request.resourceType(),
+    });
+    void request.abort(
+      'blockedbyclient',
+      DEFAULT_INTERCEPT_RESOLUTION_PRIORITY,
+    );
+  }
+
+  #recordBlockedRequest(page: Page, blockedRequest: BlockedRequest): void {
+    const blockedRequests = this.#blockedRequests.get(page) ?? [];
+    blockedRequests.push(blockedRequest);
+    this.#blockedRequests.set(page, blockedRequests);
+  }
+}
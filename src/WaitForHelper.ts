@@ -3,27 +3,46 @@
  * Copyright 2025 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  */
+import {supportsCdp} from './browser.js';
 import {logger} from './logger.js';
-import type {Page, Protocol, CdpPage} from './third_party/index.js';
+import type {
+  HTTPRequest,
+  Page,
+  Protocol,
+  CdpPage,
+} from './third_party/index.js';
+import {abortable} from './utils/abort.js';
 
 export class WaitForHelper {
   #abortController = new AbortController();
   #page: CdpPage;
+  // Pages of browsers driven over WebDriver BiDi have no CDP client.
+  #bidiPage?: Page;
   #stableDomTimeout: number;
   #stableDomFor: number;
   #expectNavigationIn: number;
   #navigationTimeout: number;
+  #signal?: AbortSignal;
 
   constructor(
     page: Page,
     cpuTimeoutMultiplier: number,
     networkTimeoutMultiplier: number,
+    // Cancels the action and all pending waits.
+    signal?: AbortSignal,
   ) {
     this.#stableDomTimeout = 3000 * cpuTimeoutMultiplier;
     this.#stableDomFor = 100 * cpuTimeoutMultiplier;
     this.#expectNavigationIn = 100 * cpuTimeoutMultiplier;
     this.#navigationTimeout = 3000 * networkTimeoutMultiplier;
     this.#page = page as unknown as CdpPage;
+    if (!supportsCdp(page.browser())) {
+      this.#bidiPage = page;
+    }
+    this.#signal = signal;
+    signal?.addEventListener('abort', () => this.#abortController.abort(), {
+      once: true,
+    });
   }
 
   /**
@@ -84,6 +103,26 @@ export class WaitForHelper {
     // Currently Puppeteer does not have API
     // For when a navigation is about to start
     const navigationStartedPromise = new Promise<boolean>(resolve => {
+      const bidiPage = this.#bidiPage;
+      if (bidiPage) {
+        // Without CDP, the request of a main frame navigation is the earliest
+        // signal of a navigation.
+        const requestListener = (request: HTTPRequest) => {
+          if (
+            request.isNavigationRequest() &&
+            request.frame() === bidiPage.mainFrame()
+          ) {
+            resolve(true);
+          }
+        };
+        bidiPage.on('request', requestListener);
+        this.#abortController.signal.addEventListener('abort', () => {
+          resolve(false);
+          bidiPage.off('request', requestListener);
+        });
+        return;
+      }
+
       const listener = (event: Protocol.Page.FrameStartedNavigatingEvent) => {
         if (
           [
@@ -138,7 +177,7 @@ export class WaitForHelper {
       .catch(error => logger(error));
 
     try {
-      await action();
+      await abortable(action(), this.#signal);
     } catch (error) {
       // Clear up pending promises
       this.#abortController.abort();
@@ -156,5 +195,8 @@ export class WaitForHelper {
     } finally {
       this.#abortController.abort();
     }
+    // Waits end early when the signal is aborted so the action must not be
+    // reported as completed.
+    this.#signal?.throwIfAborted();
   }
 }
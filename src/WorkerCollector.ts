@@ -0,0 +1,380 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {logger} from './logger.js';
+import type {
+  Browser,
+  BrowserContext,
+  Page,
+  Protocol,
+  Target,
+  WebWorker,
+} from './third_party/index.js';
+
+export type WorkerType = 'worker' | 'shared_worker' | 'service_worker';
+
+export interface WorkerInfo {
+  id: number;
+  type: WorkerType;
+  url: string;
+  // Whether the worker is still running. Stopped workers are kept so that
+  // their output can be inspected.
+  running: boolean;
+}
+
+export interface WorkerConsoleMessage {
+  type: string;
+  text: string;
+  timestamp: number;
+}
+
+export interface WorkerNetworkRequest {
+  url: string;
+  method: string;
+  resourceType?: string;
+  status?: number;
+  failure?: string;
+}
+
+interface WorkerRecord extends WorkerInfo {
+  worker: WebWorker;
+  // The page that started a dedicated worker.
+  page?: Page;
+  // The target of a shared worker or service worker.
+  target?: Target;
+  consoleMessages: WorkerConsoleMessage[];
+  requests: Map<string, WorkerNetworkRequest>;
+  cleanup: () => void;
+}
+
+// Workers can log and fetch a lot, only the most recent data is retained.
+const MAX_ITEMS_PER_WORKER = 1_000;
+const MAX_STOPPED_WORKERS = 20;
+
+/**
+ * Formats a console argument the way the DevTools console prints it
+ * collapsed.
+ */
+export function formatRemoteObject(
+  object: Protocol.Runtime.RemoteObject,
+): string {
+  if (object.type === 'undefined') {
+    return 'undefined';
+  }
+  if ('unserializableValue' in object && object.unserializableValue) {
+    return object.unserializableValue;
+  }
+  if ('value' in object) {
+    return typeof object.value === 'string'
+      ? object.value
+      : JSON.stringify(object.value);
+  }
+  return object.description ?? object.type;
+}
+
+function getOrigin(url: string): string | undefined {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return;
+  }
+}
+
+function pushWithLimit<T>(items: T[], item: T): void {
+  items.push(item);
+  if (items.length > MAX_ITEMS_PER_WORKER) {
+    items.shift();
+  }
+}
+
+/**
+ * Collects the console messages and network requests of dedicated workers,
+ * shared workers and service workers. Dedicated workers are attributed to the
+ * page that started them. Shared workers and service workers are browser
+ * targets that are started and stopped by the browser, so they are attached
+ * to as they appear if they belong to a browser context of the MCP context.
+ */
+export class WorkerCollector {
+  #browser: Browser;
+  #pageSource: Browser | BrowserContext;
+  #ownsBrowserContext: (browserContext: BrowserContext) => boolean;
+  #nextWorkerId = 1;
+  #records = new Map<WebWorker, WorkerRecord>();
+  #watchedPages = new WeakSet<Page>();
+  #cleanups: Array<() => void> = [];
+
+  constructor(
+    browser: Browser,
+    pageSource: Browser | BrowserContext,
+    ownsBrowserContext: (browserContext: BrowserContext) => boolean,
+  ) {
+    this.#browser = browser;
+    this.#pageSource = pageSource;
+    this.#ownsBrowserContext = ownsBrowserContext;
+  }
+
+  async init(): Promise<void> {
+    this.#browser.on('targetcreated', this.#onTargetCreated);
+    this.#browser.on('targetdestroyed', this.#onTargetDestroyed);
+    this.#cleanups.push(() => {
+      this.#browser.off('targetcreated', this.#onTargetCreated);
+      this.#browser.off('targetdestroyed', this.#onTargetDestroyed);
+    });
+    for (const page of await this.#pageSource.pages()) {
+      this.addPage(page);
+    }
+    await Promise.all(
+      this.#browser.targets().map(target => this.#attachToTarget(target)),
+    );
+  }
+
+  dispose(): void {
+    for (const record of this.#records.values()) {
+      record.cleanup();
+    }
+    for (const cleanup of this.#cleanups) {
+      cleanup();
+    }
+    this.#cleanups = [];
+  }
+
+  addPage(page: Page): void {
+    if (this.#watchedPages.has(page)) {
+      return;
+    }
+    this.#watchedPages.add(page);
+    const onWorkerCreated = (worker: WebWorker) => {
+      this.#attach(worker, 'worker', {page});
+    };
+    const onWorkerDestroyed = (worker: WebWorker) => {
+      this.#markStopped(worker);
+    };
+    page.on('workercreated', onWorkerCreated);
+    page.on('workerdestroyed', onWorkerDestroyed);
+    this.#cleanups.push(() => {
+      page.off('workercreated', onWorkerCreated);
+      page.off('workerdestroyed', onWorkerDestroyed);
+    });
+    for (const worker of page.workers()) {
+      this.#attach(worker, 'worker', {page});
+    }
+  }
+
+  /**
+   * Returns the workers started by the page and the shared workers and
+   * service workers of its origin, including stopped ones.
+   */
+  getWorkers(page: Page): WorkerInfo[] {
+    const origin = getOrigin(page.url());
+    return [...this.#records.values()]
+      .filter(record => {
+        if (record.type === 'worker') {
+          return record.page === page;
+        }
+        return (
+          record.target?.browserContext() === page.browserContext() &&
+          getOrigin(record.url) === origin
+        );
+      })
+      .map(({id, type, url, running}) => ({id, type, url, running}));
+  }
+
+  /**
+   * Returns the workers whose script URL starts with the prefix, including
+   * stopped ones.
+   */
+  getWorkersByUrlPrefix(prefix: string): WorkerInfo[] {
+    return [...this.#records.values()]
+      .filter(record => this.#isOwned(record) && record.url.startsWith(prefix))
+      .map(({id, type, url, running}) => ({id, type, url, running}));
+  }
+
+  getWorker(id: number): WebWorker {
+    const record = this.#getRecord(id);
+    if (!record.running) {
+      throw new Error(`The worker ${id} (${record.url}) is not running.`);
+    }
+    return record.worker;
+  }
+
+  getConsoleMessages(id: number): WorkerConsoleMessage[] {
+    return this.#getRecord(id).consoleMessages;
+  }
+
+  getNetworkRequests(id: number): WorkerNetworkRequest[] {
+    return [...this.#getRecord(id).requests.values()];
+  }
+
+  /**
+   * Drops the collected data of the workers whose script URL starts with the
+   * prefix. Stopped workers are forgotten.
+   */
+  clearByUrlPrefix(prefix: string): void {
+    for (const [worker, record] of this.#records) {
+      if (!record.url.startsWith(prefix)) {
+        continue;
+      }
+      if (record.running) {
+        record.consoleMessages = [];
+        record.requests.clear();
+      } else {
+        this.#records.delete(worker);
+      }
+    }
+  }
+
+  #getRecord(id: number): WorkerRecord {
+    for (const record of this.#records.values()) {
+      if (record.id === id && this.#isOwned(record)) {
+        return record;
+      }
+    }
+    throw new Error(`No worker with id ${id}. Call list_workers first.`);
+  }
+
+  #isOwned(record: WorkerRecord): boolean {
+    return (
+      !record.target || this.#ownsBrowserContext(record.target.browserContext())
+    );
+  }
+
+  #onTargetCreated = (target: Target): void => {
+    void this.#attachToTarget(target);
+  };
+
+  #onTargetDestroyed = (target: Target): void => {
+    for (const [worker, record] of this.#records) {
+      if (record.target === target) {
+        this.#markStopped(worker);
+      }
+    }
+  };
+
+  async #attachToTarget(target: Target): Promise<void> {
+    const type = target.type();
+    if (type !== 'service_worker' && type !== 'shared_worker') {
+      return;
+    }
+    // Other clients' workers must not be inspected.
+    if (!this.#ownsBrowserContext(target.browserContext())) {
+      return;
+    }
+    try {
+      const worker = await target.worker();
+      if (worker) {
+        this.#attach(worker, type, {target});
+      }
+    } catch (error) {
+      logger(`Failed to attach to the worker ${target.url()}`, error);
+    }
+  }
+
+  #attach(
+    worker: WebWorker,
+    type: WorkerType,
+    owner: {page?: Page; target?: Target},
+  ): void {
+    if (this.#records.has(worker)) {
+      return;
+    }
+    const record: WorkerRecord = {
+      id: this.#nextWorkerId++,
+      type,
+      url: worker.url(),
+      running: true,
+      worker,
+      ...owner,
+      consoleMessages: [],
+      requests: new Map(),
+      cleanup: () => undefined,
+    };
+
+    const onConsoleApiCalled = (
+      event: Protocol.Runtime.ConsoleAPICalledEvent,
+    ) => {
+      pushWithLimit(record.consoleMessages, {
+        type: event.type,
+        text: event.args.map(formatRemoteObject).join(' '),
+        timestamp: event.timestamp,
+      });
+    };
+    const onExceptionThrown = (
+      event: Protocol.Runtime.ExceptionThrownEvent,
+    ) => {
+      const {exception, text} = event.exceptionDetails;
+      pushWithLimit(record.consoleMessages, {
+        type: 'error',
+        text: exception?.description ?? text,
+        timestamp: event.timestamp,
+      });
+    };
+    const onRequestWillBeSent = (
+      event: Protocol.Network.RequestWillBeSentEvent,
+    ) => {
+      record.requests.set(event.requestId, {
+        url: event.request.url,
+        method: event.request.method,
+        resourceType: event.type,
+      });
+      if (record.requests.size > MAX_ITEMS_PER_WORKER) {
+        const [oldestId] = record.requests.keys();
+        record.requests.delete(oldestId);
+      }
+    };
+    const onResponseReceived = (
+      event: Protocol.Network.ResponseReceivedEvent,
+    ) => {
+      const request = record.requests.get(event.requestId);
+      if (request) {
+        request.status = event.response.status;
+      }
+    };
+    const onLoadingFailed = (event: Protocol.Network.LoadingFailedEvent) => {
+      const request = record.requests.get(event.requestId);
+      if (request) {
+        request.failure = event.errorText;
+      }
+    };
+
+    const client = worker.client;
+    client.on('Runtime.consoleAPICalled', onConsoleApiCalled);
+    client.on('Runtime.exceptionThrown', onExceptionThrown);
+    client.on('Network.requestWillBeSent', onRequestWillBeSent);
+    client.on('Network.responseReceived', onResponseReceived);
+    client.on('Network.loadingFailed', onLoadingFailed);
+    record.cleanup = () => {
+      client.off('Runtime.consoleAPICalled', onConsoleApiCalled);
+      client.off('Runtime.exceptionThrown', onExceptionThrown);
+      client.off('Network.requestWillBeSent', onRequestWillBeSent);
+      client.off('Network.responseReceived', onResponseReceived);
+      client.off('Network.loadingFailed', onLoadingFailed);
+    };
+    this.#records.set(worker, record);
+
+    if (type !== 'worker') {
+      // The network of dedicated workers is enabled by their page.
+      client.send('Network.enable').catch(error => {
+        logger(`Failed to enable the network of ${record.url}`, error);
+      });
+    }
+  }
+
+  #markStopped(worker: WebWorker): void {
+    const record = this.#records.get(worker);
+    if (!record?.running) {
+      return;
+    }
+    record.running = false;
+    record.cleanup();
+    const stopped = [...this.#records].filter(([, record]) => !record.running);
+    for (const [oldestWorker] of stopped.slice(
+      0,
+      stopped.length - MAX_STOPPED_WORKERS,
+    )) {
+      this.#records.delete(oldestWorker);
+    }
+  }
+}
@@ -13,18 +13,80 @@ import type {
   Browser,
   ChromeReleaseChannel,
   LaunchOptions,
+  SupportedBrowser,
   Target,
 } from './third_party/index.js';
 import {puppeteer} from './third_party/index.js';
+import type {BackoffOptions} from './utils/retry.js';
+import {retryWithBackoff} from './utils/retry.js';
 
-let browser: Browser | undefined;
+/**
+ * The name of the browser configured by the command line options. Other
+ * browsers are named after the config file profile they are launched with.
+ */
+export const DEFAULT_BROWSER_NAME = 'default';
+
+const browsers = new Map<string, Browser>();
+
+// A browser that crashed or whose remote endpoint restarts might not be
+// available right away, so reconnecting and relaunching are retried.
+const RECOVERY_BACKOFF: BackoffOptions = {
+  attempts: 5,
+  initialDelay: 500,
+  maxDelay: 8_000,
+  onRetry: (error, delay) => {
+    logger(`Failed to recover the browser, retrying in ${delay} ms`, error);
+  },
+};
+
+/**
+ * Runs the action directly for the first browser of the name. If a browser
+ * was connected before and got disconnected, the action is retried with
+ * backoff.
+ */
+function connectOrRecover(
+  name: string,
+  action: () => Promise<Browser>,
+): Promise<Browser> {
+  if (!browsers.has(name)) {
+    return action();
+  }
+  logger(`The browser "${name}" disconnected, recovering`);
+  return retryWithBackoff(action, RECOVERY_BACKOFF);
+}
+
+/**
+ * Whether the browser is driven over CDP, as opposed to WebDriver BiDi.
+ */
+export function supportsCdp(browser: Browser): boolean {
+  // @ts-expect-error internal API for now.
+  return browser.protocol === 'cdp';
+}
 
-function makeTargetFilter() {
-  const ignoredPrefixes = new Set([
-    'chrome://',
-    'chrome-extension://',
-    'chrome-untrusted://',
-  ]);
+/**
+ * An unpacked extension loaded with `--loadExtension`.
+ */
+export interface LoadedExtension {
+  id: string;
+  // The absolute path of the extension directory.
+  path: string;
+}
+
+const loadedExtensions = new WeakMap<Browser, LoadedExtension[]>();
+
+/**
+ * Returns the extensions the server loaded into the browser.
+ */
+export function getLoadedExtensions(browser: Browser): LoadedExtension[] {
+  return loadedExtensions.get(browser) ?? [];
+}
+
+function makeTargetFilter(allowExtensions = false) {
+  const ignoredPrefixes = new Set(['chrome://', 'chrome-untrusted://']);
+  if (!allowExtensions) {
+    // Extension targets are only exposed when extensions are debugged.
+    ignoredPrefixes.add('chrome-extension://');
+  }
 
   return function targetFilter(target: Target): boolean {
     if (target.url() === 'chrome://newtab/') {
@@ -43,14 +105,49 @@ function makeTargetFilter() {
   };
 }
 
-export async function ensureBrowserConnected(options: {
-  browserURL?: string;
-  wsEndpoint?: string;
-  wsHeaders?: Record<string, string>;
-  devtools: boolean;
-}) {
-  if (browser?.connected) {
-    return browser;
+// Locations of a locally installed Firefox per platform. Puppeteer only
+// resolves the Firefox it downloads itself.
+const FIREFOX_EXECUTABLE_PATHS: Partial<Record<NodeJS.Platform, string[]>> = {
+  linux: ['/usr/bin/firefox', '/usr/lib/firefox/firefox', '/snap/bin/firefox'],
+  darwin: ['/Applications/Firefox.app/Contents/MacOS/firefox'],
+  win32: [
+    path.join(
+      process.env['PROGRAMFILES'] ?? 'C:\\Program Files',
+      'Mozilla Firefox',
+      'firefox.exe',
+    ),
+    path.join(
+      process.env['PROGRAMFILES(X86)'] ?? 'C:\\Program Files (x86)',
+      'Mozilla Firefox',
+      'firefox.exe',
+    ),
+  ],
+};
+
+function findFirefoxExecutable(): string {
+  const candidates = FIREFOX_EXECUTABLE_PATHS[process.platform] ?? [];
+  const executablePath = candidates.find(candidate => fs.existsSync(candidate));
+  if (!executablePath) {
+    throw new Error(
+      'Could not find a Firefox installation. Use --executablePath to specify the Firefox executable.',
+    );
+  }
+  return executablePath;
+}
+
+export async function ensureBrowserConnected(
+  options: {
+    browserURL?: string;
+    wsEndpoint?: string;
+    wsHeaders?: Record<string, string>;
+    devtools: boolean;
+    browser?: SupportedBrowser;
+  },
+  name = DEFAULT_BROWSER_NAME,
+) {
+  const existingBrowser = browsers.get(name);
+  if (existingBrowser?.connected) {
+    return existingBrowser;
   }
 
   const connectOptions: Parameters<typeof puppeteer.connect>[0] = {
@@ -58,6 +155,9 @@ export async function ensureBrowserConnected(options: {
     defaultViewport: null,
     handleDevToolsAsPage: true,
   };
+  if (options.browser === 'firefox') {
+    connectOptions.protocol = 'webDriverBiDi';
+  }
 
   if (options.wsEndpoint) {
     connectOptions.browserWSEndpoint = options.wsEndpoint;
@@ -71,13 +171,21 @@ export async function ensureBrowserConnected(options: {
   }
 
   logger('Connecting Puppeteer to ', JSON.stringify(connectOptions));
-  browser = await puppeteer.connect(connectOptions);
+  const browser = await connectOrRecover(name, () =>
+    puppeteer.connect(connectOptions),
+  );
+  browsers.set(name, browser);
   logger('Connected Puppeteer');
   return browser;
 }
 
 interface McpLaunchOptions {
   acceptInsecureCerts?: boolean;
+  // Firefox is driven over WebDriver BiDi, Chrome over CDP.
+  browser?: SupportedBrowser;
+  // The name of the browser in the pool. Browsers other than the default one
+  // get their own profile directory.
+  name?: string;
   executablePath?: string;
   channel?: Channel;
   userDataDir?: string;
@@ -89,15 +197,66 @@ interface McpLaunchOptions {
     height: number;
   };
   args?: string[];
+  // Directories of unpacked extensions to load. Chrome only.
+  loadExtensions?: string[];
   devtools: boolean;
 }
 
+async function launchFirefox(
+  options: McpLaunchOptions,
+  userDataDir: string | undefined,
+): Promise<Browser> {
+  const args = [...(options.args ?? [])];
+  if (options.devtools) {
+    args.push('--devtools');
+  }
+  const browser = await puppeteer.launch({
+    browser: 'firefox',
+    executablePath: options.executablePath ?? findFirefoxExecutable(),
+    defaultViewport: options.viewport ?? null,
+    userDataDir,
+    headless: options.headless,
+    args,
+    acceptInsecureCerts: options.acceptInsecureCerts,
+  });
+  if (options.logFile) {
+    browser.process()?.stderr?.pipe(options.logFile);
+    browser.process()?.stdout?.pipe(options.logFile);
+  }
+  return browser;
+}
+
+async function installExtensions(
+  browser: Browser,
+  extensionPaths: string[],
+): Promise<void> {
+  const extensions: LoadedExtension[] = [];
+  for (const extensionPath of extensionPaths) {
+    try {
+      const id = await browser.installExtension(extensionPath);
+      extensions.push({id, path: extensionPath});
+    } catch (error) {
+      await browser.close();
+      throw new Error(
+        `Failed to load the extension from ${extensionPath}: ${(error as Error).message}`,
+        {cause: error},
+      );
+    }
+  }
+  loadedExtensions.set(browser, extensions);
+}
+
 export async function launch(options: McpLaunchOptions): Promise<Browser> {
   const {channel, executablePath, headless, isolated} = options;
-  const profileDirName =
-    channel && channel !== 'stable'
+  const isFirefox = options.browser === 'firefox';
+  let profileDirName = isFirefox
+    ? 'firefox-profile'
+    : channel && channel !== 'stable'
       ? `chrome-profile-${channel}`
       : 'chrome-profile';
+  if (options.name && options.name !== DEFAULT_BROWSER_NAME) {
+    profileDirName += `-${options.name}`;
+  }
 
   let userDataDir = options.userDataDir;
   if (!isolated && !userDataDir) {
@@ -112,6 +271,10 @@ export async function launch(options: McpLaunchOptions): Promise<Browser> {
     });
   }
 
+  if (isFirefox) {
+    return await launchFirefox(options, userDataDir);
+  }
+
   const args: LaunchOptions['args'] = [
     ...(options.args ?? []),
     '--hide-crash-restore-bubble',
@@ -123,6 +286,9 @@ export async function launch(options: McpLaunchOptions): Promise<Browser> {
   if (options.devtools) {
     args.push('--auto-open-devtools-for-tabs');
   }
+  const extensionPaths = (options.loadExtensions ?? []).map(extensionPath => {
+    return path.resolve(extensionPath);
+  });
   if (!executablePath) {
     puppeteerChannel =
       channel && channel !== 'stable'
@@ -133,7 +299,7 @@ export async function launch(options: McpLaunchOptions): Promise<Browser> {
   try {
     const browser = await puppeteer.launch({
       channel: puppeteerChannel,
-      targetFilter: makeTargetFilter(),
+      targetFilter: makeTargetFilter(extensionPaths.length > 0),
       executablePath,
       defaultViewport: null,
       userDataDir,
@@ -142,6 +308,7 @@ export async function launch(options: McpLaunchOptions): Promise<Browser> {
       args,
       acceptInsecureCerts: options.acceptInsecureCerts,
       handleDevToolsAsPage: true,
+      enableExtensions: extensionPaths.length > 0,
     });
     if (options.logFile) {
       // FIXME: we are probably subscribing too late to catch startup logs. We
@@ -149,6 +316,9 @@ export async function launch(options: McpLaunchOptions): Promise<Browser> {
       browser.process()?.stderr?.pipe(options.logFile);
       browser.process()?.stdout?.pipe(options.logFile);
     }
+    if (extensionPaths.length) {
+      await installExtensions(browser, extensionPaths);
+    }
     if (options.viewport) {
       const [page] = await browser.pages();
       // @ts-expect-error internal API for now.
@@ -177,11 +347,23 @@ export async function launch(options: McpLaunchOptions): Promise<Browser> {
 export async function ensureBrowserLaunched(
   options: McpLaunchOptions,
 ): Promise<Browser> {
-  if (browser?.connected) {
-    return browser;
+  const name = options.name ?? DEFAULT_BROWSER_NAME;
+  const existingBrowser = browsers.get(name);
+  if (existingBrowser?.connected) {
+    return existingBrowser;
   }
-  browser = await launch(options);
+  const browser = await connectOrRecover(name, () => launch(options));
+  browsers.set(name, browser);
   return browser;
 }
 
+/**
+ * Returns the browser of the name if it was launched or connected and is
+ * still connected.
+ */
+export function getConnectedBrowser(name: string): Browser | undefined {
+  const browser = browsers.get(name);
+  return browser?.connected ? browser : undefined;
+}
+
 export type Channel = 'stable' | 'canary' | 'beta' | 'dev';
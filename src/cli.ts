@@ -4,9 +4,18 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
+import {findConfigFile, loadConfig, loadProfile} from './config.js';
+import type {Config} from './config.js';
 import type {YargsOptions} from './third_party/index.js';
 import {yargs, hideBin} from './third_party/index.js';
 
+function splitList(values: string[] | undefined): string[] | undefined {
+  return values
+    ?.flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
 export const cliOptions = {
   browserUrl: {
     type: 'string',
@@ -91,6 +100,12 @@ export const cliOptions = {
       'If specified, creates a temporary user-data-dir that is automatically cleaned up after the browser is closed.',
     default: false,
   },
+  browser: {
+    type: 'string',
+    description:
+      'The browser to launch or connect to. Firefox is driven over WebDriver BiDi and does not support the tools that rely on the Chrome DevTools Protocol. The default is Chrome.',
+    choices: ['chrome', 'firefox'] as const,
+  },
   channel: {
     type: 'string',
     description:
@@ -139,6 +154,23 @@ export const cliOptions = {
     describe:
       'Additional arguments for Chrome. Only applies when Chrome is launched by chrome-devtools-mcp.',
   },
+  loadExtension: {
+    type: 'array',
+    string: true,
+    describe:
+      'Path to the directory of an unpacked extension to load into Chrome. Can be repeated. Extension pages, service workers and their console output become available to the extension tools.',
+    conflicts: ['browserUrl', 'wsEndpoint'],
+  },
+  downloadDir: {
+    type: 'string',
+    describe:
+      'The directory the files downloaded by the pages are saved to. Defaults to a new temporary directory that is removed when the client disconnects. When connecting to a running Chrome with --browserUrl or --wsEndpoint, the downloads of its own pages are only captured if this is set. Only applies to Chrome.',
+  },
+  selectOpenedPages: {
+    type: 'boolean',
+    describe:
+      'Select the pages opened by a tool call, such as popups and links that open in a new tab, so that the following tool calls operate on them.',
+  },
   categoryEmulation: {
     type: 'boolean',
     default: true,
@@ -154,16 +186,188 @@ export const cliOptions = {
     default: true,
     describe: 'Set to false to exclude tools related to network.',
   },
+  readOnly: {
+    type: 'boolean',
+    default: false,
+    describe:
+      'Only expose tools that do not modify the browser or the file system. Tools that can save to a `filePath` are exposed without that param.',
+  },
+  includeTools: {
+    type: 'array',
+    string: true,
+    describe:
+      'Only expose tools whose names match one of the given glob patterns, for example `list_*`. Accepts comma-separated values.',
+    coerce: splitList,
+  },
+  excludeTools: {
+    type: 'array',
+    string: true,
+    describe:
+      'Do not expose tools whose names match one of the given glob patterns. Takes precedence over `--includeTools`. Accepts comma-separated values.',
+    coerce: splitList,
+  },
+  allowedUrl: {
+    type: 'array',
+    string: true,
+    describe:
+      'Only allow the browser to load URLs matching one of the given patterns. A pattern matches a hostname (`example.com`, or `*.example.com` for its subdomains only), an origin (`https://example.com`) or a full URL (`https://example.com/docs/*`). Accepts comma-separated values.',
+    coerce: splitList,
+  },
+  blockedUrl: {
+    type: 'array',
+    string: true,
+    describe:
+      'Do not allow the browser to load URLs matching one of the given patterns. Takes precedence over `--allowedUrl`. Accepts comma-separated values.',
+    coerce: splitList,
+  },
+  toolTimeout: {
+    type: 'number',
+    describe:
+      'Maximum time in milliseconds a tool call may take. Tool calls that take longer are aborted and return an error so that the next tool call can run.',
+    coerce: (timeout: number | undefined) => {
+      if (timeout === undefined) {
+        return;
+      }
+      if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new Error(
+          `Provided toolTimeout ${timeout} is not a positive number of milliseconds.`,
+        );
+      }
+      return timeout;
+    },
+  },
+  transport: {
+    type: 'string',
+    description:
+      'The MCP transport to use. `stdio` serves a single client that spawned the server. `http` serves the Streamable HTTP transport at `/mcp` (and the legacy SSE transport at `/sse`) on localhost so that several clients can share one browser.',
+    choices: ['stdio', 'http'] as const,
+    default: 'stdio',
+  },
+  port: {
+    type: 'number',
+    description:
+      'The localhost port to listen on. Required with `--transport http`.',
+    coerce: (port: number | undefined) => {
+      if (port === undefined) {
+        return;
+      }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Provided port ${port} is not a valid port number.`);
+      }
+      return port;
+    },
+  },
+  sessionIdleTimeout: {
+    type: 'number',
+    describe:
+      'Time in milliseconds after which an idle Streamable HTTP session is closed and its browser context disposed. Only used with `--transport http`. The default is 30 minutes.',
+    coerce: (timeout: number | undefined) => {
+      if (timeout === undefined) {
+        return;
+      }
+      if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new Error(
+          `Provided sessionIdleTimeout ${timeout} is not a positive number of milliseconds.`,
+        );
+      }
+      return timeout;
+    },
+  },
+  recordSession: {
+    type: 'string',
+    describe:
+      'Path to a JSONL file to record every tool call to, including its params, timing and response. Recorded sessions can be re-executed with the `replay` command.',
+  },
+  config: {
+    type: 'string',
+    describe:
+      'Path to a JSON file with option values, for example `{"headless": true, "profiles": {"mobile": {"viewport": "390x844"}}}`. Defaults to the closest `.chrome-devtools-mcp.json` in the working directory or its ancestors, which must not set options that choose the browser binary, its arguments or connection, or files to write. Options given on the command line take precedence over the file.',
+  },
+  profile: {
+    type: 'string',
+    describe:
+      'The name of a profile of the config file whose options are applied over the top-level options of the file.',
+  },
 } satisfies Record<string, YargsOptions>;
 
-export function parseArguments(version: string, argv = process.argv) {
+/**
+ * Loads the config file selected by `--config` and `--profile`, or the
+ * discovered project config file if `discoverConfig` is set.
+ */
+function readConfig(
+  argv: string[],
+  discoverConfig: boolean,
+): Config | undefined {
+  const {config, profile: configProfile, ...options} = cliOptions;
+  const {config: configPath, profile} = yargs(argv)
+    .options({config, profile: configProfile})
+    .help(false)
+    .version(false)
+    .parseSync();
+  const filePath =
+    configPath || (discoverConfig ? findConfigFile(process.cwd()) : undefined);
+  if (!filePath) {
+    if (profile) {
+      throw new Error(
+        `Profile "${profile}" was requested but no config file was found. Pass one with --config.`,
+      );
+    }
+    return;
+  }
+  return loadConfig(filePath, options, profile, !configPath);
+}
+
+export function parseArguments(
+  version: string,
+  argv = process.argv,
+  {discoverConfig = true}: {discoverConfig?: boolean} = {},
+) {
+  let config: Config | undefined;
+  let configError: Error | undefined;
+  try {
+    config = readConfig(hideBin(argv), discoverConfig);
+  } catch (error) {
+    configError = error as Error;
+  }
   const yargsInstance = yargs(hideBin(argv))
     .scriptName('npx chrome-devtools-mcp@latest')
     .options(cliOptions)
+    .command(
+      'replay <file>',
+      'Re-execute the tool calls recorded with --recordSession against a fresh browser and report where the responses diverge from the recording.',
+      command => {
+        return command.positional('file', {
+          type: 'string',
+          describe: 'The recorded session file.',
+          demandOption: true,
+        });
+      },
+    )
+    .config(config ? {...config.values, config: config.filePath} : {})
     .check(args => {
+      if (configError) {
+        throw configError;
+      }
+      if (args.browser === 'firefox') {
+        if (args.channel) {
+          throw new Error('--channel is only supported with Chrome.');
+        }
+        if (args.browserUrl) {
+          throw new Error(
+            'Use --wsEndpoint to connect to Firefox. --browserUrl is only supported with Chrome.',
+          );
+        }
+        if (args.proxyServer) {
+          throw new Error('--proxyServer is only supported with Chrome.');
+        }
+        if (args.loadExtension?.length) {
+          throw new Error('--loadExtension is only supported with Chrome.');
+        }
+      }
       // We can't set default in the options else
       // Yargs will complain
       if (
+        args.browser !== 'firefox' &&
         !args.channel &&
         !args.browserUrl &&
         !args.wsEndpoint &&
@@ -171,6 +375,9 @@ export function parseArguments(version: string, argv = process.argv) {
       ) {
         args.channel = 'stable';
       }
+      if (args.transport === 'http' && args.port === undefined) {
+        throw new Error('A --port is required when using --transport http.');
+      }
       return true;
     })
     .example([
@@ -190,6 +397,10 @@ export function parseArguments(version: string, argv = process.argv) {
       ['$0 --channel canary', 'Use Chrome Canary installed on this system'],
       ['$0 --channel dev', 'Use Chrome Dev installed on this system'],
       ['$0 --channel stable', 'Use stable Chrome installed on this system'],
+      [
+        '$0 --browser firefox',
+        'Use Firefox installed on this system over WebDriver BiDi',
+      ],
       ['$0 --logFile /tmp/log.txt', 'Save logs to a file'],
       ['$0 --help', 'Print CLI options'],
       [
@@ -200,12 +411,44 @@ export function parseArguments(version: string, argv = process.argv) {
         `$0 --chrome-arg='--no-sandbox' --chrome-arg='--disable-setuid-sandbox'`,
         'Launch Chrome without sandboxes. Use with caution.',
       ],
+      [
+        '$0 --load-extension ./my-extension/dist',
+        'Launch Chrome with an unpacked extension to debug it',
+      ],
       ['$0 --no-category-emulation', 'Disable tools in the emulation category'],
       [
         '$0 --no-category-performance',
         'Disable tools in the performance category',
       ],
       ['$0 --no-category-network', 'Disable tools in the network category'],
+      [
+        '$0 --read-only',
+        'Only expose tools that do not modify the browser or the file system',
+      ],
+      [
+        `$0 --include-tools 'list_*,get_*' --exclude-tools list_console_messages`,
+        'Only expose listing and getter tools except list_console_messages',
+      ],
+      [
+        `$0 --allowed-url 'example.com,*.example.com' --blocked-url 'https://example.com/admin/*'`,
+        'Only allow loading URLs from example.com and its subdomains except its admin pages',
+      ],
+      [
+        '$0 --config ./devtools-mcp.json --profile ci-headless',
+        'Apply the options of the ci-headless profile of a config file',
+      ],
+      [
+        '$0 --record-session /tmp/session.jsonl',
+        'Record all tool calls to a file',
+      ],
+      [
+        '$0 replay /tmp/session.jsonl',
+        'Replay the recorded tool calls and report divergences',
+      ],
+      [
+        '$0 --transport http --port 8000',
+        'Serve MCP clients over HTTP at http://127.0.0.1:8000/mcp',
+      ],
     ]);
 
   return yargsInstance
@@ -214,3 +457,35 @@ export function parseArguments(version: string, argv = process.argv) {
     .version(version)
     .parseSync();
 }
+
+export type Arguments = ReturnType<typeof parseArguments>;
+
+/**
+ * Returns the arguments with the options of a config file profile applied
+ * over them. Unlike `--profile`, the profile takes precedence over the
+ * options given on the command line.
+ */
+export function applyProfile(
+  args: Arguments,
+  filePath: string,
+  profile: string,
+): Arguments {
+  const {config: _config, profile: _profile, ...options} = cliOptions;
+  const values = loadProfile(filePath, options, profile);
+  // Parsing the values applies the same coercion as for the flags.
+  const parsed = yargs([])
+    .options(options)
+    .config(values)
+    .help(false)
+    .version(false)
+    .exitProcess(false)
+    .fail((message, error) => {
+      throw error ?? new Error(message);
+    })
+    .parseSync() as Record<string, unknown>;
+  const result: Record<string, unknown> = {...args};
+  for (const key of Object.keys(values)) {
+    result[key] = parsed[key];
+  }
+  return result as Arguments;
+}
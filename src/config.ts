@@ -0,0 +1,221 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import type {YargsOptions} from './third_party/index.js';
+
+/**
+ * The name of the project config file that is looked up in the working
+ * directory and its ancestors when no `--config` is given.
+ */
+export const CONFIG_FILE_NAME = '.chrome-devtools-mcp.json';
+
+/**
+ * Options that choose the programs the server runs, where the browser
+ * connects to or where files are written. Discovered config files may come
+ * from an untrusted checkout, so these options are only accepted from files
+ * passed with `--config`.
+ */
+const TRUSTED_CONFIG_OPTIONS = new Set([
+  'browserUrl',
+  'wsEndpoint',
+  'wsHeaders',
+  'executablePath',
+  'logFile',
+  'proxyServer',
+  'acceptInsecureCerts',
+  'chromeArg',
+  'loadExtension',
+  'downloadDir',
+  'transport',
+  'port',
+  'recordSession',
+]);
+
+export type ConfigValues = Record<string, unknown>;
+
+export interface Config {
+  filePath: string;
+  values: ConfigValues;
+}
+
+/**
+ * Returns the path of the closest project config file, starting the search
+ * in `dir`.
+ */
+export function findConfigFile(dir: string): string | undefined {
+  let current = path.resolve(dir);
+  while (true) {
+    const filePath = path.join(current, CONFIG_FILE_NAME);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return;
+    }
+    current = parent;
+  }
+}
+
+function isPlainObject(value: unknown): value is ConfigValues {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function hasExpectedType(option: YargsOptions, value: unknown): boolean {
+  switch (option.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return typeof value === 'number';
+    case 'string':
+      return typeof value === 'string';
+    case 'array':
+      return (
+        Array.isArray(value) && value.every(item => typeof item === 'string')
+      );
+    default:
+      return true;
+  }
+}
+
+function describeType(option: YargsOptions): string {
+  return option.type === 'array' ? 'an array of strings' : `a ${option.type}`;
+}
+
+function validateValues(
+  values: ConfigValues,
+  options: Record<string, YargsOptions>,
+  location: string,
+): void {
+  for (const [key, value] of Object.entries(values)) {
+    const option = options[key];
+    if (!option) {
+      throw new Error(
+        `Unknown option "${key}" in ${location}. Valid options are: ${Object.keys(options).join(', ')}.`,
+      );
+    }
+    if (!hasExpectedType(option, value)) {
+      throw new Error(
+        `Option "${key}" in ${location} must be ${describeType(option)}.`,
+      );
+    }
+  }
+}
+
+function readConfigFile(filePath: string): {
+  values: ConfigValues;
+  profiles: Record<string, unknown>;
+} {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(
+      `Failed to read config file ${filePath}: ${(error as Error).message}`,
+    );
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object.`);
+  }
+  const {profiles = {}, ...values} = parsed;
+  if (!isPlainObject(profiles)) {
+    throw new Error(
+      `"profiles" in config file ${filePath} must be an object of profiles.`,
+    );
+  }
+  return {values, profiles};
+}
+
+function getProfileValues(
+  filePath: string,
+  profiles: Record<string, unknown>,
+  options: Record<string, YargsOptions>,
+  profile: string,
+): ConfigValues {
+  const profileValues = profiles[profile];
+  if (!isPlainObject(profileValues)) {
+    const names = Object.keys(profiles);
+    throw new Error(
+      `Profile "${profile}" is not defined in config file ${filePath}. ${
+        names.length
+          ? `Available profiles: ${names.join(', ')}.`
+          : 'The file defines no profiles.'
+      }`,
+    );
+  }
+  validateValues(
+    profileValues,
+    options,
+    `profile "${profile}" of config file ${filePath}`,
+  );
+  return profileValues;
+}
+
+function validateDiscoveredValues(
+  values: ConfigValues,
+  location: string,
+): void {
+  for (const key of Object.keys(values)) {
+    if (TRUSTED_CONFIG_OPTIONS.has(key)) {
+      throw new Error(
+        `Option "${key}" in ${location} can only be set in a config file passed with --config.`,
+      );
+    }
+  }
+}
+
+/**
+ * Reads a config file and returns the option values of the selected
+ * profile merged over the top-level option values. The file has the shape
+ * `{...options, profiles: {[name]: {...options}}}` where the option names
+ * are the names of the CLI options. A discovered file must not set options
+ * that affect which programs run or where data goes, in any of its profiles.
+ */
+export function loadConfig(
+  filePath: string,
+  options: Record<string, YargsOptions>,
+  profile?: string,
+  discovered = false,
+): Config {
+  const {values, profiles} = readConfigFile(filePath);
+  validateValues(values, options, `config file ${filePath}`);
+  if (discovered) {
+    validateDiscoveredValues(values, `discovered config file ${filePath}`);
+    for (const [name, profileValues] of Object.entries(profiles)) {
+      if (isPlainObject(profileValues)) {
+        validateDiscoveredValues(
+          profileValues,
+          `profile "${name}" of discovered config file ${filePath}`,
+        );
+      }
+    }
+  }
+  if (profile === undefined) {
+    return {filePath, values};
+  }
+  const profileValues = getProfileValues(filePath, profiles, options, profile);
+  return {filePath, values: {...values, ...profileValues}};
+}
+
+/**
+ * Returns only the option values defined by the profile, without the
+ * top-level option values of the file.
+ */
+export function loadProfile(
+  filePath: string,
+  options: Record<string, YargsOptions>,
+  profile: string,
+): ConfigValues {
+  const {profiles} = readConfigFile(filePath);
+  return getProfileValues(filePath, profiles, options, profile);
+}
+
+export function listProfiles(filePath: string): string[] {
+  return Object.keys(readConfigFile(filePath).profiles);
+}
@@ -0,0 +1,53 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {PredefinedNetworkConditions} from './third_party/index.js';
+import type {NetworkConditions, Page} from './third_party/index.js';
+
+export const NETWORK_CONDITIONS: [string, ...string[]] = [
+  'No emulation',
+  'Offline',
+  ...Object.keys(PredefinedNetworkConditions),
+];
+
+/**
+ * Returns the conditions emulated for the given name of network
+ * conditions, or null for "No emulation".
+ */
+export function getNetworkConditions(name: string): NetworkConditions | null {
+  if (name === 'No emulation') {
+    return null;
+  }
+  if (name === 'Offline') {
+    return {offline: true, download: 0, upload: 0, latency: 0};
+  }
+  if (name in PredefinedNetworkConditions) {
+    return PredefinedNetworkConditions[
+      name as keyof typeof PredefinedNetworkConditions
+    ];
+  }
+  throw new Error(`Unknown network conditions: ${name}`);
+}
+
+export async function emulateNetworkConditions(
+  page: Page,
+  name: string,
+): Promise<NetworkConditions | null> {
+  const conditions = getNetworkConditions(name);
+  await page.emulateNetworkConditions(conditions);
+  return conditions;
+}
+
+/**
+ * Slows down the CPU of the page by the given rate. A rate of 1 disables
+ * throttling.
+ */
+export async function emulateCpuThrottling(
+  page: Page,
+  rate: number,
+): Promise<void> {
+  await page.emulateCPUThrottling(rate);
+}
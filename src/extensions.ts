@@ -0,0 +1,106 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * The parts of an extension manifest the extension tools rely on. Page paths
+ * are relative to the extension directory.
+ */
+export interface ExtensionManifest {
+  name: string;
+  version: string;
+  manifestVersion: number;
+  popup?: string;
+  options?: string;
+  serviceWorker?: string;
+}
+
+/**
+ * An extension loaded into the browser as it is reported by the extension
+ * tools.
+ */
+export interface ExtensionInfo {
+  id: string;
+  name: string;
+  version: string;
+  path: string;
+  popupUrl?: string;
+  optionsUrl?: string;
+  // Set if the service worker of the extension is currently running.
+  serviceWorkerUrl?: string;
+}
+
+interface RawManifest {
+  name?: string;
+  version?: string;
+  manifest_version?: number;
+  default_locale?: string;
+  action?: {default_popup?: string};
+  browser_action?: {default_popup?: string};
+  page_action?: {default_popup?: string};
+  options_ui?: {page?: string};
+  options_page?: string;
+  background?: {service_worker?: string};
+}
+
+/**
+ * Resolves a `__MSG_name__` placeholder with the messages of the default
+ * locale of the extension.
+ */
+async function localize(
+  dir: string,
+  manifest: RawManifest,
+  value: string,
+): Promise<string> {
+  const match = value.match(/^__MSG_(\w+)__$/);
+  if (!match || !manifest.default_locale) {
+    return value;
+  }
+  try {
+    const messages = JSON.parse(
+      await fs.readFile(
+        path.join(dir, '_locales', manifest.default_locale, 'messages.json'),
+        'utf-8',
+      ),
+    ) as Record<string, {message?: string}>;
+    const key = Object.keys(messages).find(key => {
+      return key.toLowerCase() === match[1].toLowerCase();
+    });
+    return (key && messages[key].message) || value;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Reads the manifest.json of an unpacked extension.
+ */
+export async function readExtensionManifest(
+  dir: string,
+): Promise<ExtensionManifest> {
+  const manifestPath = path.join(dir, 'manifest.json');
+  let manifest: RawManifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(
+      `Failed to read the extension manifest ${manifestPath}: ${(error as Error).message}`,
+    );
+  }
+  return {
+    name: await localize(dir, manifest, manifest.name ?? path.basename(dir)),
+    version: manifest.version ?? '',
+    manifestVersion: manifest.manifest_version ?? 2,
+    popup:
+      manifest.action?.default_popup ??
+      manifest.browser_action?.default_popup ??
+      manifest.page_action?.default_popup,
+    options: manifest.options_ui?.page ?? manifest.options_page,
+    serviceWorker: manifest.background?.service_worker,
+  };
+}
@@ -6,6 +6,7 @@
 
 import {isUtf8} from 'node:buffer';
 
+import type {NetworkRequestSummaryData} from '../outputSchema.js';
 import type {HTTPRequest, HTTPResponse} from '../third_party/index.js';
 
 const BODY_CONTEXT_SIZE_LIMIT = 10000;
@@ -19,6 +20,33 @@ export function getShortDescriptionForRequest(
   return `reqid=${id} ${request.method()} ${request.url()} ${getStatusFromRequest(request)}${selectedInDevToolsUI ? ` [selected in the DevTools Network panel]` : ''}`;
 }
 
+export function getRequestSummaryData(
+  request: HTTPRequest,
+  id: number,
+  selectedInDevToolsUI = false,
+): NetworkRequestSummaryData {
+  const httpResponse = request.response();
+  const failure = request.failure();
+  let status: NetworkRequestSummaryData['status'] = 'pending';
+  if (httpResponse) {
+    const responseStatus = httpResponse.status();
+    status =
+      responseStatus >= 200 && responseStatus <= 299 ? 'success' : 'failed';
+  } else if (failure) {
+    status = 'failed';
+  }
+  return {
+    reqid: id,
+    method: request.method(),
+    url: request.url(),
+    resourceType: request.resourceType(),
+    status,
+    statusCode: httpResponse?.status(),
+    failure: failure?.errorText,
+    selectedInDevTools: selectedInDevToolsUI || undefined,
+  };
+}
+
 export function getStatusFromRequest(request: HTTPRequest): string {
   const httpResponse = request.response();
   const failure = request.failure();
@@ -4,6 +4,17 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import type {TextSnapshot, TextSnapshotNode} from '../McpContext.js';
+import type {SnapshotNodeData} from '../outputSchema.js';
+
+const excludedAttributes = new Set([
+  'id',
+  'role',
+  'name',
+  'elementHandle',
+  'children',
+  'backendNodeId',
+  'frame',
+]);
 
 export function formatSnapshotNode(
   root: TextSnapshotNode,
@@ -15,6 +26,9 @@ export function formatSnapshotNode(
   const line =
     ' '.repeat(depth * 2) +
     attributes.join(' ') +
+    (root.frame
+      ? ` [frame frameid=${root.frame.id} url="${root.frame.url}"${root.frame.outOfProcess ? ' out-of-process' : ''}]`
+      : '') +
     (root.id === snapshot?.selectedElementUid
       ? ' [selected in the DevTools Elements panel]'
       : '') +
@@ -28,6 +42,67 @@ export function formatSnapshotNode(
   return result;
 }
 
+/**
+ * Snapshots with more nodes are only returned as their root node in the
+ * structured content. The full tree is still in the text and the snapshot
+ * resource.
+ */
+export const MAX_STRUCTURED_SNAPSHOT_NODES = 1000;
+
+export function countSnapshotNodes(root: TextSnapshotNode): number {
+  let count = 1;
+  for (const child of root.children) {
+    count += countSnapshotNodes(child);
+  }
+  return count;
+}
+
+/**
+ * Converts the node and its descendants up to `maxDepth` levels below it.
+ * Deeper nodes are left out.
+ */
+export function getSnapshotNodeData(
+  root: TextSnapshotNode,
+  snapshot?: TextSnapshot,
+  maxDepth = Infinity,
+): SnapshotNodeData {
+  const attributes: Record<string, string | number | boolean> = {};
+  for (const attr of Object.keys(root).sort()) {
+    if (excludedAttributes.has(attr)) {
+      continue;
+    }
+    const value = (root as unknown as Record<string, unknown>)[attr];
+    if (
+      typeof value === 'boolean' ||
+      typeof value === 'string' ||
+      typeof value === 'number'
+    ) {
+      attributes[attr] = value;
+    }
+  }
+  return {
+    uid: root.id,
+    role: root.role,
+    name: root.name || undefined,
+    attributes: Object.keys(attributes).length ? attributes : undefined,
+    frame: root.frame
+      ? {
+          frameId: root.frame.id,
+          url: root.frame.url,
+          outOfProcess: root.frame.outOfProcess,
+        }
+      : undefined,
+    selectedInDevTools:
+      root.id === snapshot?.selectedElementUid ? true : undefined,
+    children:
+      maxDepth > 0
+        ? root.children.map(child =>
+            getSnapshotNodeData(child, snapshot, maxDepth - 1),
+          )
+        : [],
+  };
+}
+
 function getAttributes(serializedAXNodeRoot: TextSnapshotNode): string[] {
   const attributes = [`uid=${serializedAXNodeRoot.id}`];
   if (serializedAXNodeRoot.role) {
@@ -42,15 +117,6 @@ function getAttributes(serializedAXNodeRoot: TextSnapshotNode): string[] {
     attributes.push(`"${serializedAXNodeRoot.name}"`);
   }
 
-  const excluded = new Set([
-    'id',
-    'role',
-    'name',
-    'elementHandle',
-    'children',
-    'backendNodeId',
-  ]);
-
   const booleanPropertyMap: Record<string, string> = {
     disabled: 'disableable',
     expanded: 'expandable',
@@ -59,7 +125,7 @@ function getAttributes(serializedAXNodeRoot: TextSnapshotNode): string[] {
   };
 
   for (const attr of Object.keys(serializedAXNodeRoot).sort()) {
-    if (excluded.has(attr)) {
+    if (excludedAttributes.has(attr)) {
       continue;
     }
     const value = (serializedAXNodeRoot as unknown as Record<string, unknown>)[
@@ -0,0 +1,45 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type {Frame} from './third_party/index.js';
+
+export interface FrameInfo {
+  id: number;
+  // Not set for the main frame.
+  parentId?: number;
+  url: string;
+  origin: string;
+  // Whether the frame is rendered in a different process than its parent,
+  // which Chrome does for cross-site iframes.
+  outOfProcess: boolean;
+}
+
+/**
+ * Returns whether the frame is an out-of-process iframe. Those are separate
+ * targets with their own CDP session.
+ */
+export function isOutOfProcessFrame(frame: Frame): boolean {
+  const parent = frame.parentFrame();
+  // @ts-expect-error client is internal.
+  return Boolean(parent && frame.client !== parent.client);
+}
+
+/**
+ * Returns the origin of the document in the frame. Documents such as
+ * about:blank and srcdoc iframes inherit the origin of their parent.
+ */
+export function getFrameOrigin(frame: Frame): string {
+  const url = frame.url();
+  const parent = frame.parentFrame();
+  if (parent && (url === '' || url.startsWith('about:'))) {
+    return getFrameOrigin(parent);
+  }
+  try {
+    return new URL(url).origin;
+  } catch {
+    return 'null';
+  }
+}
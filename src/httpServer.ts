@@ -0,0 +1,283 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {randomUUID} from 'node:crypto';
+import http from 'node:http';
+import type {IncomingMessage, ServerResponse} from 'node:http';
+
+import {logger} from './logger.js';
+import {
+  isInitializeRequest,
+  SSEServerTransport,
+  StreamableHTTPServerTransport,
+} from './third_party/index.js';
+import type {McpServer} from './third_party/index.js';
+
+export const MCP_ENDPOINT = '/mcp';
+export const SSE_ENDPOINT = '/sse';
+export const SSE_MESSAGES_ENDPOINT = '/messages';
+
+const LOCALHOST = '127.0.0.1';
+
+export const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+interface HttpServerOptions {
+  port: number;
+  /**
+   * Creates a new MCP server for every client session.
+   */
+  createServer: () => McpServer;
+  /**
+   * Time in milliseconds after which a Streamable HTTP session without
+   * requests is closed. Clients that never send a DELETE request would
+   * otherwise keep their session and its browser context forever.
+   */
+  sessionIdleTimeout?: number;
+}
+
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    chunks.push(chunk as Buffer);
+  }
+  const body = Buffer.concat(chunks).toString('utf8');
+  return body ? JSON.parse(body) : undefined;
+}
+
+function sendJsonRpcError(
+  res: ServerResponse,
+  statusCode: number,
+  message: string,
+): void {
+  res.writeHead(statusCode, {'Content-Type': 'application/json'});
+  res.end(
+    JSON.stringify({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message,
+      },
+      id: null,
+    }),
+  );
+}
+
+/**
+ * Closes Streamable HTTP sessions that had no running request for the idle
+ * timeout. Closing the transport also closes the MCP server of the session,
+ * which disposes its browser context.
+ */
+class SessionIdleTracker {
+  #timeout: number;
+  #sessions = new Map<
+    string,
+    {
+      transport: StreamableHTTPServerTransport;
+      runningRequests: number;
+      timer?: NodeJS.Timeout;
+    }
+  >();
+
+  constructor(timeout: number) {
+    this.#timeout = timeout;
+  }
+
+  add(sessionId: string, transport: StreamableHTTPServerTransport): void {
+    this.#sessions.set(sessionId, {transport, runningRequests: 0});
+    this.#startTimer(sessionId);
+  }
+
+  requestStarted(sessionId: string): void {
+    const session = this.#sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    clearTimeout(session.timer);
+    session.timer = undefined;
+    session.runningRequests++;
+  }
+
+  requestFinished(sessionId: string): void {
+    const session = this.#sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    session.runningRequests--;
+    if (!session.runningRequests) {
+      this.#startTimer(sessionId);
+    }
+  }
+
+  delete(sessionId: string): void {
+    clearTimeout(this.#sessions.get(sessionId)?.timer);
+    this.#sessions.delete(sessionId);
+  }
+
+  #startTimer(sessionId: string): void {
+    const session = this.#sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    session.timer = setTimeout(() => {
+      logger(`HTTP session timed out: ${sessionId}`);
+      void session.transport.close();
+    }, this.#timeout);
+    // Idle sessions must not keep the process alive.
+    session.timer.unref();
+  }
+}
+
+/**
+ * Serves MCP over the Streamable HTTP transport at `/mcp` and over the
+ * deprecated HTTP+SSE transport at `/sse` for older clients. Every client
+ * session is connected to its own MCP server instance.
+ */
+export async function startHttpServer(
+  options: HttpServerOptions,
+): Promise<http.Server> {
+  const {
+    port,
+    createServer,
+    sessionIdleTimeout = DEFAULT_SESSION_IDLE_TIMEOUT,
+  } = options;
+  const allowedHosts = [`${LOCALHOST}:${port}`, `localhost:${port}`];
+  const streamableTransports = new Map<string, StreamableHTTPServerTransport>();
+  const sseTransports = new Map<string, SSEServerTransport>();
+  const idleSessions = new SessionIdleTracker(sessionIdleTimeout);
+
+  async function handleStreamableRequest(
+    req: IncomingMessage,
+    res: ServerResponse,
+  ) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (typeof sessionId === 'string') {
+      const transport = streamableTransports.get(sessionId);
+      if (!transport) {
+        sendJsonRpcError(res, 404, 'Session not found');
+        return;
+      }
+      idleSessions.requestStarted(sessionId);
+      try {
+        await transport.handleRequest(req, res);
+      } finally {
+        // Responses such as the GET event stream outlive handleRequest.
+        if (res.writableFinished || res.closed) {
+          idleSessions.requestFinished(sessionId);
+        } else {
+          res.once('close', () => {
+            idleSessions.requestFinished(sessionId);
+          });
+        }
+      }
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    let body: unknown;
+    try {
+      body = await readJsonBody(req);
+    } catch {
+      sendJsonRpcError(res, 400, 'Parse error: Invalid JSON');
+      return;
+    }
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: sessionId => {
+        logger(`HTTP session initialized: ${sessionId}`);
+        streamableTransports.set(sessionId, transport);
+        idleSessions.add(sessionId, transport);
+      },
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        logger(`HTTP session closed: ${transport.sessionId}`);
+        streamableTransports.delete(transport.sessionId);
+        idleSessions.delete(transport.sessionId);
+      }
+    };
+    const server = createServer();
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseRequest(req: IncomingMessage, res: ServerResponse) {
+    if (req.method !== 'GET') {
+      res.writeHead(405).end();
+      return;
+    }
+    const transport = new SSEServerTransport(SSE_MESSAGES_ENDPOINT, res, {
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+    });
+    sseTransports.set(transport.sessionId, transport);
+    logger(`SSE session initialized: ${transport.sessionId}`);
+    transport.onclose = () => {
+      logger(`SSE session closed: ${transport.sessionId}`);
+      sseTransports.delete(transport.sessionId);
+    };
+    const server = createServer();
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(
+    req: IncomingMessage,
+    res: ServerResponse,
+    url: URL,
+  ) {
+    const sessionId = url.searchParams.get('sessionId') ?? '';
+    const transport = sseTransports.get(sessionId);
+    if (!transport) {
+      sendJsonRpcError(res, 404, 'Session not found');
+      return;
+    }
+    await transport.handlePostMessage(req, res);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? '/', `http://${LOCALHOST}:${port}`);
+    try {
+      switch (url.pathname) {
+        case MCP_ENDPOINT:
+          await handleStreamableRequest(req, res);
+          break;
+        case SSE_ENDPOINT:
+          await handleSseRequest(req, res);
+          break;
+        case SSE_MESSAGES_ENDPOINT:
+          await handleSseMessage(req, res, url);
+          break;
+        default:
+          res.writeHead(404).end();
+      }
+    } catch (error) {
+      logger(`HTTP request to ${url.pathname} failed`, error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, LOCALHOST, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  logger(`Listening for MCP clients on http://${LOCALHOST}:${port}`);
+  return httpServer;
+}
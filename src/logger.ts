@@ -3,9 +3,12 @@
  * Copyright 2025 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  */
+import {AsyncLocalStorage} from 'node:async_hooks';
 import fs from 'node:fs';
+import {format} from 'node:util';
 
 import {debug} from './third_party/index.js';
+import type {LoggingLevel} from './third_party/index.js';
 
 const mcpDebugNamespace = 'mcp:log';
 
@@ -30,4 +33,53 @@ export function saveLogsToFile(fileName: string): fs.WriteStream {
   return logFile;
 }
 
-export const logger = debug(mcpDebugNamespace);
+export type Logger = (formatter: unknown, ...args: unknown[]) => void;
+
+export type LogListener = (level: LoggingLevel, message: string) => void;
+
+const debugLogger = debug(mcpDebugNamespace);
+// The scope is undefined for listeners that receive all messages.
+const logListeners = new Map<LogListener, object | undefined>();
+const logScopeStorage = new AsyncLocalStorage<object>();
+
+/**
+ * Calls the listener for every logged message, for example to forward the
+ * logs to MCP clients. With a scope, the listener only receives the messages
+ * logged while running in that scope. Returns a function that removes the
+ * listener.
+ */
+export function addLogListener(
+  listener: LogListener,
+  scope?: object,
+): () => void {
+  logListeners.set(listener, scope);
+  return () => {
+    logListeners.delete(listener);
+  };
+}
+
+/**
+ * Runs the function in the scope, so that the messages it logs, also
+ * asynchronously, only reach the listeners of the scope and the listeners
+ * without a scope.
+ */
+export function runInLogScope<T>(scope: object, fn: () => T): T {
+  return logScopeStorage.run(scope, fn);
+}
+
+export const logger: Logger = (formatter, ...args) => {
+  debugLogger(formatter, ...args);
+  if (!logListeners.size) {
+    return;
+  }
+  const level = [formatter, ...args].some(arg => arg instanceof Error)
+    ? 'error'
+    : 'debug';
+  const message = format(formatter, ...args);
+  const scope = logScopeStorage.getStore();
+  for (const [listener, listenerScope] of logListeners) {
+    if (!listenerScope || listenerScope === scope) {
+      listener(level, message);
+    }
+  }
+};
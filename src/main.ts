@@ -6,30 +6,83 @@
 
 import './polyfill.js';
 
+import os from 'node:os';
+
 import type {Channel} from './browser.js';
-import {ensureBrowserConnected, ensureBrowserLaunched} from './browser.js';
-import {parseArguments} from './cli.js';
-import {logger, saveLogsToFile} from './logger.js';
+import {
+  DEFAULT_BROWSER_NAME,
+  ensureBrowserConnected,
+  ensureBrowserLaunched,
+  supportsCdp,
+} from './browser.js';
+import {BrowserPool} from './BrowserPool.js';
+import {applyProfile, parseArguments} from './cli.js';
+import type {Arguments} from './cli.js';
+import {listProfiles} from './config.js';
+import {startHttpServer} from './httpServer.js';
+import {
+  addLogListener,
+  logger,
+  runInLogScope,
+  saveLogsToFile,
+} from './logger.js';
 import {McpContext} from './McpContext.js';
 import {McpResponse} from './McpResponse.js';
 import {Mutex} from './Mutex.js';
+import {responseOutputSchema} from './outputSchema.js';
+import {formatReplay, groupBySession, replaySession} from './replay.js';
+import type {ReplayedToolCall} from './replay.js';
+import type {ResourceDefinition} from './resources.js';
+import {resources} from './resources.js';
+import type {RecordedElement} from './SessionRecorder.js';
+import {
+  collectUids,
+  describeElements,
+  getResponseText,
+  readRecordedSession,
+  SessionRecorder,
+} from './SessionRecorder.js';
 import {
   McpServer,
+  ResourceTemplate,
   StdioServerTransport,
+  type Browser,
   type CallToolResult,
+  LoggingLevelSchema,
+  type LoggingLevel,
+  type RequestHandlerExtra,
+  type ServerNotification,
+  type ServerRequest,
   SetLevelRequestSchema,
+  UnsupportedOperation,
 } from './third_party/index.js';
+import {
+  applyToolPolicy,
+  formatToolPolicy,
+  isToolAllowed,
+} from './toolPolicy.js';
+import type {ToolPolicy} from './toolPolicy.js';
+import * as browsersTools from './tools/browsers.js';
 import {ToolCategory} from './tools/categories.js';
 import * as consoleTools from './tools/console.js';
+import * as dialogsTools from './tools/dialogs.js';
+import * as downloadsTools from './tools/downloads.js';
 import * as emulationTools from './tools/emulation.js';
+import * as extensionsTools from './tools/extensions.js';
+import * as framesTools from './tools/frames.js';
 import * as inputTools from './tools/input.js';
 import * as networkTools from './tools/network.js';
 import * as pagesTools from './tools/pages.js';
 import * as performanceTools from './tools/performance.js';
+import * as recorderTools from './tools/recorder.js';
 import * as screenshotTools from './tools/screenshot.js';
 import * as scriptTools from './tools/script.js';
 import * as snapshotTools from './tools/snapshot.js';
+import * as storageTools from './tools/storage.js';
 import type {ToolDefinition} from './tools/ToolDefinition.js';
+import * as workersTools from './tools/workers.js';
+import {UrlPolicy} from './UrlPolicy.js';
+import {abortable} from './utils/abort.js';
 
 // If moved update release-please config
 // x-release-please-start-version
@@ -41,53 +94,208 @@ export const args = parseArguments(VERSION);
 const logFile = args.logFile ? saveLogsToFile(args.logFile) : undefined;
 
 logger(`Starting Chrome DevTools MCP Server v${VERSION}`);
-const server = new McpServer(
-  {
-    name: 'chrome_devtools',
-    title: 'Chrome DevTools MCP server',
-    version: VERSION,
-  },
-  {capabilities: {logging: {}}},
-);
-server.server.setRequestHandler(SetLevelRequestSchema, () => {
-  return {};
+if (args.config) {
+  logger(
+    `Using config file ${args.config}${args.profile ? ` with profile ${args.profile}` : ''}`,
+  );
+}
+
+const devtools = args.experimentalDevtools ?? false;
+
+const toolPolicy: ToolPolicy = {
+  readOnly: args.readOnly,
+  includeTools: args.includeTools ?? [],
+  excludeTools: args.excludeTools ?? [],
+};
+logger(formatToolPolicy(toolPolicy));
+
+const urlPolicy = new UrlPolicy({
+  allowedUrls: args.allowedUrl ?? [],
+  blockedUrls: args.blockedUrl ?? [],
 });
 
-let context: McpContext;
-async function getContext(): Promise<McpContext> {
-  const extraArgs: string[] = (args.chromeArg ?? []).map(String);
-  if (args.proxyServer) {
-    extraArgs.push(`--proxy-server=${args.proxyServer}`);
-  }
-  const devtools = args.experimentalDevtools ?? false;
-  const browser =
-    args.browserUrl || args.wsEndpoint
-      ? await ensureBrowserConnected({
-          browserURL: args.browserUrl,
-          wsEndpoint: args.wsEndpoint,
-          wsHeaders: args.wsHeaders,
-          devtools,
-        })
-      : await ensureBrowserLaunched({
-          headless: args.headless,
-          executablePath: args.executablePath,
-          channel: args.channel as Channel,
-          isolated: args.isolated,
-          logFile,
-          viewport: args.viewport,
-          args: extraArgs,
-          acceptInsecureCerts: args.acceptInsecureCerts,
-          devtools,
-        });
+const sessionRecorder = args.recordSession
+  ? new SessionRecorder(args.recordSession)
+  : undefined;
+if (sessionRecorder) {
+  // Flushes the recorded calls before the server is stopped.
+  for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+    process.once(signal, () => {
+      void sessionRecorder.close().finally(() => {
+        process.exit(128 + os.constants.signals[signal]);
+      });
+    });
+  }
+}
+
+// Every profile of the config file can be used as a named browser, except
+// the profile the server was started with, which is the default browser.
+const browserDescriptions = new Map<string, string>([
+  [
+    DEFAULT_BROWSER_NAME,
+    args.profile
+      ? `The browser configured by the command line options and profile "${args.profile}".`
+      : 'The browser configured by the command line options.',
+  ],
+]);
+for (const profile of args.config ? listProfiles(args.config) : []) {
+  if (profile !== args.profile && profile !== DEFAULT_BROWSER_NAME) {
+    browserDescriptions.set(
+      profile,
+      `The browser configured by profile "${profile}" of the config file.`,
+    );
+  }
+}
+
+/**
+ * The state of a single connected MCP client.
+ */
+interface Session {
+  // Identifies the calls of the client in recorded sessions.
+  id: string;
+  // Serializes the tool calls of the client.
+  mutex: Mutex;
+  // The browsers the client can switch between.
+  browserPool: BrowserPool;
+  // The context of every browser the client used, by browser name.
+  contexts: Map<string, McpContext>;
+  // The minimum level of the logs forwarded to the client. Nothing is
+  // forwarded until the client sets a level.
+  logLevel?: LoggingLevel;
+  removeLogListener?: () => void;
+  // Whether the client disconnected.
+  closed?: boolean;
+}
+
+function getBrowserArguments(name: string): Arguments {
+  if (name === DEFAULT_BROWSER_NAME || !args.config) {
+    return args;
+  }
+  return applyProfile(args, args.config, name);
+}
+
+const browserMutex = new Mutex();
+async function getBrowser(name = DEFAULT_BROWSER_NAME): Promise<Browser> {
+  // Sessions might ask for the browser concurrently but only one browser
+  // should be launched or connected.
+  const guard = await browserMutex.acquire();
+  try {
+    const browserArgs = getBrowserArguments(name);
+    const extraArgs: string[] = (browserArgs.chromeArg ?? []).map(String);
+    if (browserArgs.proxyServer) {
+      extraArgs.push(`--proxy-server=${browserArgs.proxyServer}`);
+    }
+    const browser =
+      browserArgs.browserUrl || browserArgs.wsEndpoint
+        ? await ensureBrowserConnected(
+            {
+              browserURL: browserArgs.browserUrl,
+              wsEndpoint: browserArgs.wsEndpoint,
+              wsHeaders: browserArgs.wsHeaders,
+              devtools,
+              browser: browserArgs.browser,
+            },
+            name,
+          )
+        : await ensureBrowserLaunched({
+            name,
+            browser: browserArgs.browser,
+            headless: browserArgs.headless,
+            executablePath: browserArgs.executablePath,
+            channel: browserArgs.channel as Channel,
+            isolated: browserArgs.isolated,
+            logFile,
+            viewport: browserArgs.viewport,
+            args: extraArgs,
+            loadExtensions: browserArgs.loadExtension,
+            acceptInsecureCerts: browserArgs.acceptInsecureCerts,
+            devtools,
+          });
+    await urlPolicy.enforce(browser);
+    return browser;
+  } finally {
+    guard.dispose();
+  }
+}
 
+async function getContext(
+  session: Session,
+  name = session.browserPool.selectedName,
+): Promise<McpContext> {
+  const browser = await getBrowser(name);
+  let context = session.contexts.get(name);
   if (context?.browser !== browser) {
+    const previousContext = context;
+    const browserArgs = getBrowserArguments(name);
     context = await McpContext.from(browser, logger, {
       experimentalDevToolsDebugging: devtools,
+      // Clients sharing the server over HTTP must not interfere with each
+      // other's pages, cookies and storage.
+      isolatedBrowserContext: args.transport === 'http',
+      toolPolicy,
+      urlPolicy: urlPolicy.enabled ? urlPolicy : undefined,
+      browserName: name,
+      browserPool: session.browserPool,
+      selectOpenedPages: args.selectOpenedPages,
+      downloadDir: args.downloadDir,
+      externalBrowser: Boolean(
+        browserArgs.browserUrl || browserArgs.wsEndpoint,
+      ),
+    });
+    session.contexts.set(name, context);
+    browser.once('disconnected', () => {
+      void recoverSession(session, name, browser);
     });
+    if (previousContext) {
+      await context.recoverFrom(previousContext);
+      await previousContext.dispose();
+    }
   }
+  await context.recoverCrashedPages();
   return context;
 }
 
+/**
+ * Reconnects to or relaunches the browser as soon as it disconnects instead
+ * of waiting for the next tool call, so that the pages of the session are
+ * reopened right away.
+ */
+async function recoverSession(
+  session: Session,
+  name: string,
+  browser: Browser,
+): Promise<void> {
+  const guard = await session.mutex.acquire();
+  try {
+    // A tool call might have recovered the browser in the meantime.
+    if (session.closed || session.contexts.get(name)?.browser !== browser) {
+      return;
+    }
+    await getContext(session, name);
+  } catch (error) {
+    logger(`Failed to recover the browser "${name}"`, error);
+  } finally {
+    guard.dispose();
+  }
+}
+
+async function disposeSession(session: Session): Promise<void> {
+  session.closed = true;
+  session.removeLogListener?.();
+  session.removeLogListener = undefined;
+  const guard = await session.mutex.acquire();
+  try {
+    for (const context of session.contexts.values()) {
+      await context.dispose();
+    }
+    session.contexts.clear();
+  } catch (error) {
+    logger('Failed to dispose the session', error);
+  } finally {
+    guard.dispose();
+  }
+}
+
 const logDisclaimers = () => {
   console.error(
     `chrome-devtools-mcp exposes content of the browser instance to the MCP clients allowing them to inspect,
@@ -96,9 +304,204 @@ Avoid sharing sensitive or personal information that you do not want to share wi
   );
 };
 
-const toolMutex = new Mutex();
+function getAbortedToolText(tool: ToolDefinition, signal: AbortSignal) {
+  if (
+    signal.reason instanceof DOMException &&
+    signal.reason.name === 'TimeoutError'
+  ) {
+    return `${tool.name} timed out after ${args.toolTimeout} ms.`;
+  }
+  return `${tool.name} was cancelled.`;
+}
+
+/**
+ * Replaces the errors of Puppeteer features that need CDP with an error
+ * that names the tool.
+ */
+function toUnsupportedBrowserError(tool: ToolDefinition, error: unknown) {
+  if (!(error instanceof UnsupportedOperation)) {
+    return error;
+  }
+  return new Error(
+    `${tool.name} is not supported on this browser.${error.message ? ` ${error.message}` : ''}`,
+    {cause: error},
+  );
+}
+
+function createProgressReporter(
+  extra: RequestHandlerExtra<ServerRequest, ServerNotification>,
+): ((message: string) => void) | undefined {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined) {
+    return;
+  }
+  let progress = 0;
+  return message => {
+    progress++;
+    extra
+      .sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          message,
+        },
+      })
+      .catch(error => {
+        logger('Failed to send a progress notification', error);
+      });
+  };
+}
+
+async function callTool(
+  session: Session,
+  tool: ToolDefinition,
+  params: Record<string, unknown>,
+  extra: RequestHandlerExtra<ServerRequest, ServerNotification>,
+  // Called with the context before the tool handler runs.
+  onContext?: (context: McpContext) => void,
+): Promise<CallToolResult> {
+  const guard = await session.mutex.acquire();
+  // The timeout starts once the tool holds the mutex.
+  const signal = args.toolTimeout
+    ? AbortSignal.any([extra.signal, AbortSignal.timeout(args.toolTimeout)])
+    : extra.signal;
+  let context: McpContext | undefined;
+  try {
+    logger(`${tool.name} request: ${JSON.stringify(params, null, '  ')}`);
+    context = await abortable(getContext(session), signal);
+    logger(`${tool.name} context: resolved`);
+    context.setAbortSignal(signal);
+    context.setProgressReporter(createProgressReporter(extra));
+    onContext?.(context);
+    if (tool.annotations.requiresCdp && !supportsCdp(context.browser)) {
+      throw new Error(
+        `${tool.name} is not supported on this browser. It requires the Chrome DevTools Protocol.`,
+      );
+    }
+    await context.detectOpenDevToolsWindows();
+    const response = new McpResponse();
+    await abortable(
+      tool.handler(
+        {
+          params,
+        },
+        response,
+        context,
+      ),
+      signal,
+    );
+    let responseContext = context;
+    const browserName = context.getBrowserName();
+    if (session.browserPool.selectedName !== browserName) {
+      // The tool selected another browser. The response describes the newly
+      // selected browser.
+      try {
+        responseContext = await abortable(getContext(session), signal);
+      } catch (error) {
+        session.browserPool.select(browserName);
+        throw error;
+      }
+    }
+    try {
+      const content = await abortable(
+        response.handle(tool.name, responseContext),
+        signal,
+      );
+      return {
+        content,
+        structuredContent: response.structuredContent,
+      };
+    } catch (caughtError) {
+      const error = toUnsupportedBrowserError(tool, caughtError);
+      const errorText = signal.aborted
+        ? getAbortedToolText(tool, signal)
+        : error instanceof Error
+          ? error.message
+          : String(error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: errorText,
+          },
+        ],
+        isError: true,
+      };
+    }
+  } catch (err) {
+    if (signal.aborted) {
+      // Releases the mutex even if the handler is still running.
+      const errorText = getAbortedToolText(tool, signal);
+      logger(`${tool.name} error: ${errorText}`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: errorText,
+          },
+        ],
+        isError: true,
+      };
+    }
+    const error = toUnsupportedBrowserError(tool, err);
+    logger(`${tool.name} error: ${(error as Error).message}`);
+    throw error;
+  } finally {
+    context?.setAbortSignal(undefined);
+    context?.setProgressReporter(undefined);
+    guard.dispose();
+  }
+}
+
+/**
+ * Calls the tool and records the call if `--recordSession` is set.
+ */
+async function callAndRecordTool(
+  session: Session,
+  tool: ToolDefinition,
+  params: Record<string, unknown>,
+  extra: RequestHandlerExtra<ServerRequest, ServerNotification>,
+): Promise<CallToolResult> {
+  if (!sessionRecorder) {
+    return await callTool(session, tool, params, extra);
+  }
+  const recorder = sessionRecorder;
+  const startTime = Date.now();
+  let elements: Record<string, RecordedElement> = {};
+  const record = (isError: boolean, response: string) => {
+    recorder.record({
+      sessionId: session.id,
+      tool: tool.name,
+      params,
+      elements,
+      startTime,
+      duration: Date.now() - startTime,
+      isError,
+      response,
+    });
+  };
+  try {
+    const result = await callTool(session, tool, params, extra, context => {
+      elements = describeElements(
+        collectUids(params),
+        context.getTextSnapshot(),
+      );
+    });
+    record(Boolean(result.isError), getResponseText(result));
+    return result;
+  } catch (error) {
+    record(true, error instanceof Error ? error.message : String(error));
+    throw error;
+  }
+}
 
-function registerTool(tool: ToolDefinition): void {
+function registerTool(
+  server: McpServer,
+  session: Session,
+  tool: ToolDefinition,
+): void {
   if (
     tool.annotations.category === ToolCategory.EMULATION &&
     args.categoryEmulation === false
@@ -117,78 +520,222 @@ function registerTool(tool: ToolDefinition): void {
   ) {
     return;
   }
+  if (!isToolAllowed(toolPolicy, tool)) {
+    return;
+  }
+  tool = applyToolPolicy(toolPolicy, tool);
   server.registerTool(
     tool.name,
     {
       description: tool.description,
       inputSchema: tool.schema,
+      outputSchema: {...responseOutputSchema, ...tool.outputSchema},
       annotations: tool.annotations,
     },
-    async (params): Promise<CallToolResult> => {
-      const guard = await toolMutex.acquire();
-      try {
-        logger(`${tool.name} request: ${JSON.stringify(params, null, '  ')}`);
-        const context = await getContext();
-        logger(`${tool.name} context: resolved`);
-        await context.detectOpenDevToolsWindows();
-        const response = new McpResponse();
-        await tool.handler(
-          {
-            params,
-          },
-          response,
-          context,
-        );
+    (params, extra): Promise<CallToolResult> => {
+      return runInLogScope(session, () =>
+        callAndRecordTool(session, tool, params, extra),
+      );
+    },
+  );
+}
+
+function registerResource(
+  server: McpServer,
+  session: Session,
+  resource: ResourceDefinition,
+): void {
+  const {list} = resource;
+  server.registerResource(
+    resource.name,
+    new ResourceTemplate(resource.uriTemplate, {
+      list: list
+        ? async () => {
+            const guard = await session.mutex.acquire();
+            try {
+              const selectedContext = session.contexts.get(
+                session.browserPool.selectedName,
+              );
+              // Do not launch a browser just to list resources.
+              return {
+                resources: selectedContext ? list(selectedContext) : [],
+              };
+            } finally {
+              guard.dispose();
+            }
+          }
+        : undefined,
+    }),
+    {
+      description: resource.description,
+    },
+    (uri, variables) =>
+      runInLogScope(session, async () => {
+        const guard = await session.mutex.acquire();
         try {
-          const content = await response.handle(tool.name, context);
-          return {
-            content,
-          };
-        } catch (error) {
-          const errorText =
-            error instanceof Error ? error.message : String(error);
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: errorText,
-              },
-            ],
-            isError: true,
-          };
+          logger(`${resource.name} resource read: ${uri.href}`);
+          const context = await getContext(session);
+          const contents = await resource.read(
+            uri,
+            Object.fromEntries(
+              Object.entries(variables).map(([key, value]) => [
+                key,
+                String(value),
+              ]),
+            ),
+            context,
+          );
+          return {contents};
+        } catch (err) {
+          logger(`${resource.name} resource error: ${err.message}`);
+          throw err;
+        } finally {
+          guard.dispose();
         }
-      } catch (err) {
-        logger(`${tool.name} error: ${err.message}`);
-        throw err;
-      } finally {
-        guard.dispose();
-      }
-    },
+      }),
   );
 }
 
 const tools = [
+  ...Object.values(browsersTools),
   ...Object.values(consoleTools),
+  ...Object.values(dialogsTools),
+  ...Object.values(downloadsTools),
   ...Object.values(emulationTools),
+  ...Object.values(extensionsTools),
+  ...Object.values(framesTools),
   ...Object.values(inputTools),
   ...Object.values(networkTools),
   ...Object.values(pagesTools),
   ...Object.values(performanceTools),
+  ...Object.values(recorderTools),
   ...Object.values(screenshotTools),
   ...Object.values(scriptTools),
   ...Object.values(snapshotTools),
+  ...Object.values(storageTools),
+  ...Object.values(workersTools),
 ] as ToolDefinition[];
 
 tools.sort((a, b) => {
   return a.name.localeCompare(b.name);
 });
 
-for (const tool of tools) {
-  registerTool(tool);
+const logLevels = LoggingLevelSchema.options;
+
+/**
+ * Sends the server logs at or above the session's level to the client as
+ * `notifications/message`. Clients sharing the server over HTTP only receive
+ * the logs of their own tool calls and resource reads.
+ */
+function forwardLogs(server: McpServer, session: Session): () => void {
+  const scope = args.transport === 'http' ? session : undefined;
+  return addLogListener((level, message) => {
+    if (
+      !session.logLevel ||
+      logLevels.indexOf(level) < logLevels.indexOf(session.logLevel)
+    ) {
+      return;
+    }
+    server.server
+      .sendLoggingMessage({
+        level,
+        logger: 'chrome-devtools-mcp',
+        data: message,
+      })
+      .catch(() => {
+        // Failures are not logged because that would be forwarded again.
+      });
+  }, scope);
+}
+
+function createMcpServer(): McpServer {
+  const server = new McpServer(
+    {
+      name: 'chrome_devtools',
+      title: 'Chrome DevTools MCP server',
+      version: VERSION,
+    },
+    {capabilities: {logging: {}}},
+  );
+  const session: Session = {
+    id: crypto.randomUUID(),
+    mutex: new Mutex(),
+    browserPool: new BrowserPool(browserDescriptions),
+    contexts: new Map(),
+  };
+  server.server.setRequestHandler(SetLevelRequestSchema, request => {
+    session.logLevel = request.params.level;
+    session.removeLogListener ??= forwardLogs(server, session);
+    return {};
+  });
+  server.server.onclose = () => {
+    void disposeSession(session);
+  };
+  for (const tool of tools) {
+    registerTool(server, session, tool);
+  }
+  for (const resource of resources) {
+    registerResource(server, session, resource);
+  }
+  return server;
+}
+
+/**
+ * Re-executes a recorded session in a fresh browser context and prints where
+ * the responses diverge. Returns the exit code of the process.
+ */
+async function replay(filePath: string): Promise<number> {
+  const calls = readRecordedSession(filePath);
+  const browser = await getBrowser();
+  try {
+    const results: ReplayedToolCall[] = [];
+    // Every recorded client gets a fresh context, like it had when recorded.
+    for (const sessionCalls of groupBySession(calls)) {
+      const context = await McpContext.from(browser, logger, {
+        experimentalDevToolsDebugging: devtools,
+        isolatedBrowserContext: true,
+        toolPolicy,
+        urlPolicy: urlPolicy.enabled ? urlPolicy : undefined,
+        selectOpenedPages: args.selectOpenedPages,
+        downloadDir: args.downloadDir,
+      });
+      try {
+        results.push(...(await replaySession(sessionCalls, context, tools)));
+      } finally {
+        await context.dispose();
+      }
+    }
+    console.log(formatReplay(results));
+    return results.some(result => result.divergence) ? 1 : 0;
+  } finally {
+    if (args.browserUrl || args.wsEndpoint) {
+      await browser.disconnect();
+    } else {
+      await browser.close();
+    }
+  }
 }
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
-logger('Chrome DevTools MCP Server connected');
-logDisclaimers();
+if (args._[0] === 'replay') {
+  const filePath = String(args['file']);
+  try {
+    process.exitCode = await replay(filePath);
+  } catch (error) {
+    console.error(`Failed to replay ${filePath}: ${(error as Error).message}`);
+    process.exitCode = 1;
+  }
+} else {
+  if (args.transport === 'http') {
+    await startHttpServer({
+      port: args.port!,
+      createServer: createMcpServer,
+      sessionIdleTimeout: args.sessionIdleTimeout,
+    });
+  } else {
+    const server = createMcpServer();
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
+  }
+  logger('Chrome DevTools MCP Server connected');
+  logDisclaimers();
+}
@@ -0,0 +1,191 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {zod} from './third_party/index.js';
+
+export interface SnapshotNodeData {
+  uid: string;
+  role?: string;
+  name?: string;
+  attributes?: Record<string, string | number | boolean>;
+  // Set on the iframes, marking the boundary to the frame they embed.
+  frame?: {frameId: number; url: string; outOfProcess: boolean};
+  selectedInDevTools?: boolean;
+  children: SnapshotNodeData[];
+}
+
+const snapshotNodeSchema: zod.ZodType<SnapshotNodeData> = zod.lazy(() =>
+  zod.object({
+    uid: zod.string(),
+    role: zod.string().optional(),
+    name: zod.string().optional(),
+    attributes: zod
+      .record(zod.union([zod.string(), zod.number(), zod.boolean()]))
+      .optional(),
+    frame: zod
+      .object({
+        frameId: zod.number(),
+        url: zod.string(),
+        outOfProcess: zod.boolean(),
+      })
+      .optional(),
+    selectedInDevTools: zod.boolean().optional(),
+    children: zod.array(snapshotNodeSchema),
+  }),
+);
+
+const paginationSchema = zod.object({
+  startIndex: zod.number(),
+  endIndex: zod.number(),
+  total: zod.number(),
+  pageIdx: zod.number(),
+  totalPages: zod.number(),
+  invalidPage: zod.boolean(),
+  nextPageIdx: zod.number().optional(),
+  previousPageIdx: zod.number().optional(),
+});
+
+const networkRequestSummarySchema = zod.object({
+  reqid: zod.number(),
+  method: zod.string(),
+  url: zod.string(),
+  resourceType: zod.string(),
+  status: zod.enum(['success', 'failed', 'pending']),
+  statusCode: zod.number().optional(),
+  failure: zod.string().optional(),
+  selectedInDevTools: zod.boolean().optional(),
+});
+
+const networkRequestSchema = networkRequestSummarySchema.extend({
+  requestHeaders: zod.record(zod.string()),
+  requestBody: zod.string().optional(),
+  responseHeaders: zod.record(zod.string()).optional(),
+  responseBody: zod.string().optional(),
+  redirectChain: zod.array(networkRequestSummarySchema),
+});
+
+const consoleMessageSchema = zod.object({
+  msgid: zod.number(),
+  type: zod.string().optional(),
+  text: zod.string().optional(),
+  args: zod.array(zod.string()),
+});
+
+/**
+ * The structured data every tool response can contain. It mirrors the
+ * sections of the markdown text response.
+ */
+export const responseOutputSchema = {
+  message: zod
+    .string()
+    .optional()
+    .describe('The tool specific lines of the text response.'),
+  networkEmulation: zod
+    .object({
+      conditions: zod.string(),
+      navigationTimeout: zod.number(),
+    })
+    .optional(),
+  cpuThrottlingRate: zod.number().optional(),
+  dialog: zod
+    .object({
+      type: zod.string(),
+      message: zod.string(),
+      defaultValue: zod.string().optional(),
+    })
+    .optional()
+    .describe('The dialog that needs to be handled before continuing.'),
+  browser: zod
+    .string()
+    .optional()
+    .describe(
+      'The name of the selected browser, if the server has several browsers.',
+    ),
+  pages: zod
+    .array(
+      zod.object({
+        pageIdx: zod.number(),
+        url: zod.string(),
+        selected: zod.boolean(),
+        isolatedContext: zod
+          .string()
+          .optional()
+          .describe('The isolated context the page was opened in.'),
+        openerIdx: zod
+          .number()
+          .optional()
+          .describe('The page that opened the page, if it is still open.'),
+      }),
+    )
+    .optional(),
+  openedPages: zod
+    .array(
+      zod.object({
+        pageIdx: zod.number(),
+        url: zod.string(),
+        selected: zod.boolean(),
+        openerIdx: zod.number().optional(),
+      }),
+    )
+    .optional()
+    .describe('Pages opened by the tool call, such as popups.'),
+  snapshot: zod
+    .object({
+      snapshotId: zod.string(),
+      // The devtools://snapshot resource with the full text snapshot.
+      uri: zod.string(),
+      filePath: zod.string().optional(),
+      root: snapshotNodeSchema.optional(),
+      // Set if the tree was too large and only its root node is included.
+      truncated: zod.boolean().optional(),
+    })
+    .optional(),
+  networkRequest: networkRequestSchema.optional(),
+  networkRequests: zod
+    .object({
+      items: zod.array(networkRequestSummarySchema),
+      pagination: paginationSchema,
+    })
+    .optional(),
+  recoveries: zod
+    .array(
+      zod.object({
+        reason: zod.string(),
+        recovered: zod.array(zod.string()),
+        lost: zod.array(zod.string()),
+      }),
+    )
+    .optional()
+    .describe(
+      'Recoveries from browser disconnects and page crashes since the previous tool call.',
+    ),
+  blockedRequests: zod
+    .array(
+      zod.object({
+        url: zod.string(),
+        resourceType: zod.string(),
+      }),
+    )
+    .optional()
+    .describe('Requests refused by the URL policy during the tool call.'),
+  consoleMessage: consoleMessageSchema.optional(),
+  consoleMessages: zod
+    .object({
+      items: zod.array(consoleMessageSchema),
+      pagination: paginationSchema,
+    })
+    .optional(),
+};
+
+export type PaginationData = zod.infer<typeof paginationSchema>;
+export type NetworkRequestSummaryData = zod.infer<
+  typeof networkRequestSummarySchema
+>;
+export type NetworkRequestData = zod.infer<typeof networkRequestSchema>;
+export type ConsoleMessageOutputData = zod.infer<typeof consoleMessageSchema>;
+export type ResponseOutputData = zod.infer<
+  zod.ZodObject<typeof responseOutputSchema>
+>;
@@ -0,0 +1,207 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import os from 'node:os';
+
+import type {McpContext, TextSnapshot} from './McpContext.js';
+import {McpResponse} from './McpResponse.js';
+import type {RecordedElement, RecordedToolCall} from './SessionRecorder.js';
+import {getResponseText, mapUids} from './SessionRecorder.js';
+import type {ToolDefinition} from './tools/ToolDefinition.js';
+
+export interface ReplayedToolCall {
+  tool: string;
+  duration: number;
+  // Describes how the response differs from the recorded one.
+  divergence?: string;
+}
+
+/**
+ * Returns the uid of the element with the same role and name in the
+ * snapshot.
+ */
+export function findElementUid(
+  element: RecordedElement,
+  snapshot: TextSnapshot | null,
+): string | undefined {
+  if (!snapshot) {
+    return;
+  }
+  let occurrence = 0;
+  for (const [uid, node] of snapshot.idToNode) {
+    if (node.role !== element.role || (node.name ?? '') !== element.name) {
+      continue;
+    }
+    if (occurrence === element.occurrence) {
+      return uid;
+    }
+    occurrence++;
+  }
+  return;
+}
+
+/**
+ * Replaces the recorded uids in the params of the call with the uids of the
+ * same elements in the current snapshot. Returns the uids that could not be
+ * found.
+ */
+export function remapParams(
+  call: RecordedToolCall,
+  snapshot: TextSnapshot | null,
+): {params: Record<string, unknown>; missingUids: string[]} {
+  const missingUids: string[] = [];
+  const params = mapUids(call.params, uid => {
+    const element = call.elements[uid];
+    const newUid = element ? findElementUid(element, snapshot) : undefined;
+    if (!newUid) {
+      missingUids.push(uid);
+      return uid;
+    }
+    return newUid;
+  }) as Record<string, unknown>;
+  return {params, missingUids};
+}
+
+/**
+ * Groups the recorded calls by the session that made them, in the order the
+ * sessions started.
+ */
+export function groupBySession(
+  calls: RecordedToolCall[],
+): RecordedToolCall[][] {
+  const sessions = new Map<string, RecordedToolCall[]>();
+  for (const call of calls) {
+    const sessionCalls = sessions.get(call.sessionId) ?? [];
+    sessionCalls.push(call);
+    sessions.set(call.sessionId, sessionCalls);
+  }
+  return [...sessions.values()];
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replaces the parts of a response that differ between runs, like the paths
+ * of temporary files, request ids and timings, with placeholders.
+ */
+export function normalizeResponse(text: string): string {
+  return text
+    .replace(
+      new RegExp(`${escapeRegExp(os.tmpdir())}[^\\s'"),]*`, 'g'),
+      '<tmp>',
+    )
+    .replace(/reqid=\d+/g, 'reqid=<id>')
+    .replace(/\b\d+(\.\d+)? ?ms\b/g, '<n> ms');
+}
+
+/**
+ * Describes the first line that differs between the recorded and the
+ * replayed response.
+ */
+export function findDivergence(
+  expected: string,
+  actual: string,
+): string | undefined {
+  if (expected === actual) {
+    return;
+  }
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let idx = 0; idx < length; idx++) {
+    if (expectedLines[idx] !== actualLines[idx]) {
+      return `Line ${idx + 1} differs.
+  Recorded: ${expectedLines[idx] ?? '<missing>'}
+  Replayed: ${actualLines[idx] ?? '<missing>'}`;
+    }
+  }
+  return;
+}
+
+async function runToolCall(
+  tool: ToolDefinition,
+  params: Record<string, unknown>,
+  context: McpContext,
+): Promise<{isError: boolean; response: string}> {
+  try {
+    await context.detectOpenDevToolsWindows();
+    const response = new McpResponse();
+    await tool.handler({params}, response, context);
+    const content = await response.handle(tool.name, context);
+    return {isError: false, response: getResponseText({content})};
+  } catch (error) {
+    return {isError: true, response: (error as Error).message};
+  }
+}
+
+/**
+ * Re-executes the recorded tool calls and compares the responses with the
+ * recorded ones.
+ */
+export async function replaySession(
+  calls: RecordedToolCall[],
+  context: McpContext,
+  tools: ToolDefinition[],
+): Promise<ReplayedToolCall[]> {
+  const results: ReplayedToolCall[] = [];
+  for (const call of calls) {
+    const tool = tools.find(tool => tool.name === call.tool);
+    if (!tool) {
+      results.push({
+        tool: call.tool,
+        duration: 0,
+        divergence: `The tool ${call.tool} does not exist.`,
+      });
+      continue;
+    }
+    const {params, missingUids} = remapParams(call, context.getTextSnapshot());
+    const startTime = performance.now();
+    const {isError, response} = await runToolCall(tool, params, context);
+    const duration = Math.round(performance.now() - startTime);
+    const divergences: string[] = [];
+    if (missingUids.length) {
+      divergences.push(
+        `The elements ${missingUids.join(', ')} were not found in the current snapshot.`,
+      );
+    }
+    if (isError !== call.isError) {
+      divergences.push(
+        isError
+          ? 'The call failed but succeeded when recorded.'
+          : 'The call succeeded but failed when recorded.',
+      );
+    }
+    const responseDivergence = findDivergence(
+      normalizeResponse(call.response),
+      normalizeResponse(response),
+    );
+    if (responseDivergence) {
+      divergences.push(responseDivergence);
+    }
+    results.push({
+      tool: call.tool,
+      duration,
+      divergence: divergences.length ? divergences.join('\n') : undefined,
+    });
+  }
+  return results;
+}
+
+export function formatReplay(results: ReplayedToolCall[]): string {
+  const lines = results.map((result, idx) => {
+    const status = result.divergence
+      ? `diverged\n${result.divergence.replace(/^/gm, '   ')}`
+      : 'matched';
+    return `${idx + 1}. ${result.tool} (${result.duration} ms): ${status}`;
+  });
+  const matched = results.filter(result => !result.divergence).length;
+  lines.push(
+    `${matched} of ${results.length} responses matched the recording.`,
+  );
+  return lines.join('\n');
+}
@@ -0,0 +1,173 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {isUtf8} from 'node:buffer';
+
+import {formatSnapshotNode} from './formatters/snapshotFormatter.js';
+import type {McpContext} from './McpContext.js';
+import type {ReadResourceResult, Resource} from './third_party/index.js';
+
+export interface ResourceDefinition {
+  name: string;
+  uriTemplate: string;
+  description: string;
+  /**
+   * Lists the resources currently available for the template.
+   */
+  list?: (context: McpContext) => Resource[];
+  read: (
+    uri: URL,
+    variables: Record<string, string>,
+    context: McpContext,
+  ) => Promise<ReadResourceResult['contents']>;
+}
+
+export function getTraceResourceUri(traceId: number): string {
+  return `devtools://trace/${traceId}`;
+}
+
+/**
+ * Request ids are only unique per page, so the URI also names the page by
+ * its id from McpContext.getPageId.
+ */
+export function getRequestBodyResourceUri(
+  pageId: number,
+  reqid: number,
+): string {
+  return `devtools://page/${pageId}/request/${reqid}/body`;
+}
+
+export function getSnapshotResourceUri(snapshotId: string): string {
+  return `devtools://snapshot/${snapshotId}`;
+}
+
+export function getScreenshotResourceUri(screenshotId: string): string {
+  return `devtools://screenshot/${screenshotId}`;
+}
+
+export const traceResource: ResourceDefinition = {
+  name: 'trace',
+  uriTemplate: 'devtools://trace/{traceId}',
+  description:
+    'The raw trace events of a performance trace recorded with performance_start_trace. Can be loaded into the DevTools Performance panel.',
+  list: context => {
+    return context.getRawTraceIds().map(id => {
+      return {
+        uri: getTraceResourceUri(id),
+        name: `Performance trace ${id}`,
+        mimeType: 'application/json',
+      };
+    });
+  },
+  read: async (uri, {traceId}, context) => {
+    const rawTrace = context.getRawTraceById(Number(traceId));
+    if (!rawTrace) {
+      throw new Error(`No trace data found for trace ${traceId}.`);
+    }
+    return [
+      {
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: new TextDecoder().decode(rawTrace),
+      },
+    ];
+  },
+};
+
+export const requestBodyResource: ResourceDefinition = {
+  name: 'request-body',
+  uriTemplate: 'devtools://page/{pageId}/request/{reqid}/body',
+  description:
+    'The full, untruncated response body of a network request of an open page.',
+  read: async (uri, {pageId, reqid}, context) => {
+    const request = context.getNetworkRequestOfPage(
+      Number(pageId),
+      Number(reqid),
+    );
+    const response = request.response();
+    if (!response) {
+      throw new Error(`Request ${reqid} has no response.`);
+    }
+    let body: Buffer;
+    try {
+      body = await response.buffer();
+    } catch {
+      throw new Error(
+        `The response body of request ${reqid} is not available anymore.`,
+      );
+    }
+    const mimeType =
+      response.headers()['content-type'] ?? 'application/octet-stream';
+    if (isUtf8(body)) {
+      return [{uri: uri.href, mimeType, text: body.toString('utf-8')}];
+    }
+    return [{uri: uri.href, mimeType, blob: body.toString('base64')}];
+  },
+};
+
+export const snapshotResource: ResourceDefinition = {
+  name: 'snapshot',
+  uriTemplate: 'devtools://snapshot/{snapshotId}',
+  description: 'The text snapshot of a page taken by take_snapshot.',
+  list: context => {
+    return context.getTextSnapshotIds().map(id => {
+      return {
+        uri: getSnapshotResourceUri(id),
+        name: `Snapshot ${id}`,
+        mimeType: 'text/plain',
+      };
+    });
+  },
+  read: async (uri, {snapshotId}, context) => {
+    const snapshot = context.getTextSnapshotById(snapshotId);
+    if (!snapshot) {
+      throw new Error(`No snapshot found for snapshot id ${snapshotId}.`);
+    }
+    return [
+      {
+        uri: uri.href,
+        mimeType: 'text/plain',
+        text: formatSnapshotNode(snapshot.root, snapshot),
+      },
+    ];
+  },
+};
+
+export const screenshotResource: ResourceDefinition = {
+  name: 'screenshot',
+  uriTemplate: 'devtools://screenshot/{screenshotId}',
+  description:
+    'A screenshot taken by take_screenshot that was too large to attach to the response.',
+  list: context => {
+    return context.getScreenshotIds().map(id => {
+      return {
+        uri: getScreenshotResourceUri(id),
+        name: `Screenshot ${id}`,
+        mimeType: context.getScreenshotById(id)?.mimeType,
+      };
+    });
+  },
+  read: async (uri, {screenshotId}, context) => {
+    const screenshot = context.getScreenshotById(screenshotId);
+    if (!screenshot) {
+      throw new Error(`No screenshot found for screenshot id ${screenshotId}.`);
+    }
+    return [
+      {
+        uri: uri.href,
+        mimeType: screenshot.mimeType,
+        blob: Buffer.from(screenshot.data).toString('base64'),
+      },
+    ];
+  },
+};
+
+export const resources = [
+  traceResource,
+  requestBodyResource,
+  snapshotResource,
+  screenshotResource,
+];
@@ -0,0 +1,390 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {DEFAULT_INTERCEPT_RESOLUTION_PRIORITY} from './third_party/index.js';
+import type {Cookie, CookieData, Page} from './third_party/index.js';
+
+export interface StorageItem {
+  name: string;
+  value: string;
+}
+
+export interface IndexedDBIndex {
+  name: string;
+  keyPath: string | string[];
+  unique: boolean;
+  multiEntry: boolean;
+}
+
+export interface IndexedDBStore {
+  name: string;
+  keyPath: string | string[] | null;
+  autoIncrement: boolean;
+  indexes: IndexedDBIndex[];
+  // Keys are only stored for stores without a key path. Values are encoded
+  // with `encodeValue` in the page.
+  records: Array<{key?: unknown; value: unknown}>;
+}
+
+export interface IndexedDBDatabase {
+  name: string;
+  version: number;
+  stores: IndexedDBStore[];
+}
+
+export interface OriginStorage {
+  origin: string;
+  localStorage: StorageItem[];
+  sessionStorage: StorageItem[];
+  indexedDB: IndexedDBDatabase[];
+}
+
+/**
+ * The cookies and per-origin storage of a browser context, as written by
+ * save_storage_state.
+ */
+export interface StorageState {
+  cookies: Cookie[];
+  origins: OriginStorage[];
+}
+
+/**
+ * Converts a cookie as returned by the browser into the params to set it.
+ */
+export function toCookieData(cookie: Cookie): CookieData {
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite,
+    // Session cookies are reported with an expiry of -1.
+    expires: cookie.session ? undefined : cookie.expires,
+    priority: cookie.priority,
+    sourceScheme: cookie.sourceScheme,
+    partitionKey: cookie.partitionKey,
+  };
+}
+
+/**
+ * Validates that the data is a storage state written by save_storage_state.
+ */
+export function parseStorageState(data: unknown): StorageState {
+  const state = data as Partial<StorageState> | null;
+  if (
+    typeof state !== 'object' ||
+    !state ||
+    !Array.isArray(state.cookies) ||
+    !Array.isArray(state.origins)
+  ) {
+    throw new Error('Expected an object with "cookies" and "origins" arrays.');
+  }
+  for (const origin of state.origins) {
+    if (typeof origin?.origin !== 'string') {
+      throw new Error('Expected every entry of "origins" to have an origin.');
+    }
+  }
+  return {
+    cookies: state.cookies,
+    origins: state.origins.map(origin => ({
+      origin: origin.origin,
+      localStorage: origin.localStorage ?? [],
+      sessionStorage: origin.sessionStorage ?? [],
+      indexedDB: origin.indexedDB ?? [],
+    })),
+  };
+}
+
+/**
+ * Reads the localStorage, sessionStorage and IndexedDB databases of the
+ * origin the page is at.
+ */
+export async function collectOriginStorage(page: Page): Promise<OriginStorage> {
+  return await page.evaluate(async () => {
+    // Dates are the only non-JSON values that are preserved.
+    const encodeValue = (value: unknown): unknown => {
+      if (value instanceof Date) {
+        return {__type: 'Date', value: value.toISOString()};
+      }
+      if (Array.isArray(value)) {
+        return value.map(encodeValue);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [key, encodeValue(item)]),
+        );
+      }
+      return value;
+    };
+    const requestToPromise = <T>(request: IDBRequest<T>) => {
+      return new Promise<T>((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    };
+    const readItems = (storage: Storage) => {
+      return Object.keys(storage).map(name => ({
+        name,
+        value: storage.getItem(name) ?? '',
+      }));
+    };
+
+    const databases = [];
+    const databaseInfos =
+      'indexedDB' in self ? await indexedDB.databases() : [];
+    for (const {name, version} of databaseInfos) {
+      if (!name) {
+        continue;
+      }
+      const db = await requestToPromise(indexedDB.open(name, version));
+      const stores = [];
+      for (const storeName of Array.from(db.objectStoreNames)) {
+        const store = db.transaction(storeName).objectStore(storeName);
+        const values = await requestToPromise(store.getAll());
+        const keys = store.keyPath
+          ? []
+          : await requestToPromise(store.getAllKeys());
+        stores.push({
+          name: storeName,
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
+          indexes: Array.from(store.indexNames).map(indexName => {
+            const index = store.index(indexName);
+            return {
+              name: indexName,
+              keyPath: index.keyPath,
+              unique: index.unique,
+              multiEntry: index.multiEntry,
+            };
+          }),
+          records: values.map((value, idx) => {
+            return store.keyPath
+              ? {value: encodeValue(value)}
+              : {key: encodeValue(keys[idx]), value: encodeValue(value)};
+          }),
+        });
+      }
+      db.close();
+      databases.push({name, version: version ?? 1, stores});
+    }
+
+    return {
+      origin: location.origin,
+      localStorage: readItems(localStorage),
+      sessionStorage: readItems(sessionStorage),
+      indexedDB: databases,
+    };
+  });
+}
+
+/**
+ * Writes the localStorage and IndexedDB databases of an origin. The page
+ * must be at the origin. Existing object stores are cleared first.
+ */
+export async function restoreOriginStorage(
+  page: Page,
+  storage: OriginStorage,
+): Promise<void> {
+  await page.evaluate(async (storage: OriginStorage) => {
+    const decodeValue = (value: unknown): unknown => {
+      if (Array.isArray(value)) {
+        return value.map(decodeValue);
+      }
+      if (value && typeof value === 'object') {
+        const object = value as Record<string, unknown>;
+        if (object['__type'] === 'Date') {
+          return new Date(object['value'] as string);
+        }
+        return Object.fromEntries(
+          Object.entries(object).map(([key, item]) => [key, decodeValue(item)]),
+        );
+      }
+      return value;
+    };
+    const requestToPromise = <T>(request: IDBRequest<T>) => {
+      return new Promise<T>((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    };
+
+    for (const {name, value} of storage.localStorage) {
+      localStorage.setItem(name, value);
+    }
+
+    for (const database of storage.indexedDB) {
+      const request = indexedDB.open(database.name, database.version);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const store of database.stores) {
+          if (db.objectStoreNames.contains(store.name)) {
+            continue;
+          }
+          const objectStore = db.createObjectStore(store.name, {
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+          });
+          for (const index of store.indexes) {
+            objectStore.createIndex(index.name, index.keyPath, {
+              unique: index.unique,
+              multiEntry: index.multiEntry,
+            });
+          }
+        }
+      };
+      const db = await requestToPromise(request);
+      const storeNames = database.stores
+        .map(store => store.name)
+        .filter(name => db.objectStoreNames.contains(name));
+      if (storeNames.length) {
+        const transaction = db.transaction(storeNames, 'readwrite');
+        for (const store of database.stores) {
+          if (!storeNames.includes(store.name)) {
+            continue;
+          }
+          const objectStore = transaction.objectStore(store.name);
+          objectStore.clear();
+          for (const record of store.records) {
+            if (store.keyPath) {
+              objectStore.put(decodeValue(record.value));
+            } else {
+              objectStore.put(
+                decodeValue(record.value),
+                decodeValue(record.key) as IDBValidKey,
+              );
+            }
+          }
+        }
+        await new Promise<void>((resolve, reject) => {
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => reject(transaction.error);
+        });
+      }
+      db.close();
+    }
+  }, storage);
+}
+
+/**
+ * Restores sessionStorage items when the page loads a document of their
+ * origin. sessionStorage belongs to a single page, so it cannot be written
+ * ahead of time like the other storage.
+ */
+export async function restoreSessionStorageOnLoad(
+  page: Page,
+  origins: OriginStorage[],
+): Promise<void> {
+  const sessionStorageByOrigin = Object.fromEntries(
+    origins
+      .filter(origin => origin.sessionStorage.length)
+      .map(origin => [origin.origin, origin.sessionStorage]),
+  );
+  if (!Object.keys(sessionStorageByOrigin).length) {
+    return;
+  }
+  await page.evaluateOnNewDocument(
+    (sessionStorageByOrigin: Record<string, StorageItem[]>) => {
+      for (const {name, value} of sessionStorageByOrigin[location.origin] ??
+        []) {
+        // Items the page changed since are kept.
+        if (sessionStorage.getItem(name) === null) {
+          sessionStorage.setItem(name, value);
+        }
+      }
+    },
+    sessionStorageByOrigin,
+  );
+}
+
+function isWebOrigin(url: string): boolean {
+  return url.startsWith('http://') || url.startsWith('https://');
+}
+
+/**
+ * Reads the cookies of the browser context of the page and the storage of
+ * the origins of the given pages that belong to the same browser context.
+ * The storage of an origin open in several pages is read from the first one.
+ */
+export async function readStorageState(
+  page: Page,
+  pages: Page[],
+): Promise<StorageState> {
+  const browserContext = page.browserContext();
+  const origins = new Map<string, OriginStorage>();
+  for (const candidate of [page, ...pages]) {
+    if (
+      candidate.browserContext() !== browserContext ||
+      !isWebOrigin(candidate.url())
+    ) {
+      continue;
+    }
+    const origin = new URL(candidate.url()).origin;
+    if (!origins.has(origin)) {
+      origins.set(origin, await collectOriginStorage(candidate));
+    }
+  }
+  return {
+    cookies: await browserContext.cookies(),
+    origins: [...origins.values()],
+  };
+}
+
+/**
+ * Restores the state into the browser context of the page. localStorage and
+ * IndexedDB are written from a temporary page that is served an empty
+ * document for every origin. sessionStorage is restored when the page loads
+ * a document of its origin.
+ */
+export async function writeStorageState(
+  page: Page,
+  state: StorageState,
+  options: {timeout?: number; signal?: AbortSignal} = {},
+): Promise<void> {
+  const browserContext = page.browserContext();
+  if (state.cookies.length) {
+    await browserContext.setCookie(...state.cookies.map(toCookieData));
+  }
+
+  const origins = state.origins.filter(origin => {
+    return origin.localStorage.length || origin.indexedDB.length;
+  });
+  if (origins.length) {
+    const storagePage = await browserContext.newPage();
+    try {
+      await storagePage.setRequestInterception(true);
+      // The URL policy intercepts the requests of the page too. With a
+      // priority, the empty document wins over its continue() while its
+      // abort() still blocks disallowed origins.
+      storagePage.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+          return;
+        }
+        if (request.isNavigationRequest()) {
+          void request.respond(
+            {
+              status: 200,
+              contentType: 'text/html',
+              body: '<!DOCTYPE html>',
+            },
+            DEFAULT_INTERCEPT_RESOLUTION_PRIORITY,
+          );
+        } else {
+          void request.abort('failed', DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
+        }
+      });
+      for (const origin of origins) {
+        await storagePage.goto(origin.origin, options);
+        await restoreOriginStorage(storagePage, origin);
+      }
+    } finally {
+      await storagePage.close();
+    }
+  }
+
+  await restoreSessionStorageOnLoad(page, state.origins);
+}
@@ -11,16 +11,42 @@ export {default as yargs} from 'yargs';
 export {hideBin} from 'yargs/helpers';
 export {default as debug} from 'debug';
 export type {Debugger} from 'debug';
-export {McpServer} from '@modelcontextprotocol/sdk/server/mcp.js';
+export {
+  McpServer,
+  ResourceTemplate,
+} from '@modelcontextprotocol/sdk/server/mcp.js';
+export type {RequestHandlerExtra} from '@modelcontextprotocol/sdk/shared/protocol.js';
 export {StdioServerTransport} from '@modelcontextprotocol/sdk/server/stdio.js';
+export {StreamableHTTPServerTransport} from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+export {SSEServerTransport} from '@modelcontextprotocol/sdk/server/sse.js';
 export {
   type CallToolResult,
+  isInitializeRequest,
+  LoggingLevelSchema,
+  type LoggingLevel,
   SetLevelRequestSchema,
   type ImageContent,
+  type ReadResourceResult,
+  type Resource,
+  type ResourceLink,
+  type ServerNotification,
+  type ServerRequest,
   type TextContent,
 } from '@modelcontextprotocol/sdk/types.js';
 export {z as zod} from 'zod';
-export {Locator, PredefinedNetworkConditions} from 'puppeteer-core';
+export {
+  DEFAULT_INTERCEPT_RESOLUTION_PRIORITY,
+  Locator,
+  PredefinedNetworkConditions,
+  UnsupportedOperation,
+} from 'puppeteer-core';
 export {default as puppeteer} from 'puppeteer-core';
 export type * from 'puppeteer-core';
+export {
+  parse,
+  PuppeteerRunnerExtension,
+  StepType,
+  stringify,
+} from '@puppeteer/replay';
+export type {Key, Step, UserFlow} from '@puppeteer/replay';
 export type {CdpPage} from 'puppeteer-core/internal/cdp/Page.js';
@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type {ToolDefinition} from './tools/ToolDefinition.js';
+import {matchesGlob} from './utils/glob.js';
+
+export interface ToolPolicy {
+  // Only tools that do not modify their environment are exposed.
+  readOnly: boolean;
+  // Glob patterns of tool names to expose. All tools if empty.
+  includeTools: string[];
+  // Glob patterns of tool names to hide. Takes precedence over includeTools.
+  excludeTools: string[];
+}
+
+type ToolInfo = Pick<ToolDefinition, 'name' | 'annotations'>;
+
+function isReadOnly(tool: ToolInfo): boolean {
+  return (
+    tool.annotations.readOnlyHint ||
+    Boolean(tool.annotations.writesToFilePathOnly)
+  );
+}
+
+export function isToolAllowed(policy: ToolPolicy, tool: ToolInfo): boolean {
+  if (policy.readOnly && !isReadOnly(tool)) {
+    return false;
+  }
+  if (
+    policy.includeTools.length &&
+    !matchesGlob(tool.name, policy.includeTools)
+  ) {
+    return false;
+  }
+  return !matchesGlob(tool.name, policy.excludeTools);
+}
+
+/**
+ * Returns the tool as it is exposed under the policy. In read-only mode,
+ * the `filePath` param is removed so tools cannot write to disk.
+ */
+export function applyToolPolicy<Tool extends ToolDefinition>(
+  policy: ToolPolicy,
+  tool: Tool,
+): Tool {
+  if (!policy.readOnly || !('filePath' in tool.schema)) {
+    return tool;
+  }
+  const {filePath: _filePath, ...schema} = tool.schema;
+  return {
+    ...tool,
+    annotations: {
+      ...tool.annotations,
+      readOnlyHint: true,
+    },
+    schema,
+  };
+}
+
+/**
+ * Whether the policy exposes all tools, as when no policy flags are given.
+ */
+export function isDefaultToolPolicy(policy: ToolPolicy): boolean {
+  return (
+    !policy.readOnly &&
+    !policy.includeTools.length &&
+    !policy.excludeTools.length
+  );
+}
+
+export function formatToolPolicy(policy: ToolPolicy): string {
+  const parts = [policy.readOnly ? 'read-only' : 'read-write'];
+  if (policy.includeTools.length) {
+    parts.push(`including ${policy.includeTools.join(', ')}`);
+  }
+  if (policy.excludeTools.length) {
+    parts.push(`excluding ${policy.excludeTools.join(', ')}`);
+  }
+  return `Tool policy: ${parts.join('; ')}`;
+}
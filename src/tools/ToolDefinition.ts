@@ -4,16 +4,35 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
+import type {BrowserInfo} from '../BrowserPool.js';
+import type {DialogPolicySettings, DialogRecord} from '../DialogManager.js';
+import type {DownloadInfo} from '../DownloadCollector.js';
+import type {ExtensionInfo} from '../extensions.js';
+import type {FrameInfo} from '../frames.js';
 import type {TextSnapshotNode} from '../McpContext.js';
 import {zod} from '../third_party/index.js';
-import type {Dialog, ElementHandle, Page} from '../third_party/index.js';
+import type {
+  Dialog,
+  ElementHandle,
+  Frame,
+  Page,
+  WebWorker,
+} from '../third_party/index.js';
+import type {ToolPolicy} from '../toolPolicy.js';
 import type {TraceResult} from '../trace-processing/parse.js';
+import type {UserFlowStep} from '../userFlow.js';
 import type {PaginationOptions} from '../utils/types.js';
+import type {
+  WorkerConsoleMessage,
+  WorkerInfo,
+  WorkerNetworkRequest,
+} from '../WorkerCollector.js';
 
 import type {ToolCategory} from './categories.js';
 
 export interface ToolDefinition<
   Schema extends zod.ZodRawShape = zod.ZodRawShape,
+  OutputSchema extends zod.ZodRawShape = zod.ZodRawShape,
 > {
   name: string;
   description: string;
@@ -24,8 +43,23 @@ export interface ToolDefinition<
      * If true, the tool does not modify its environment.
      */
     readOnlyHint: boolean;
+    /**
+     * If true, the tool only modifies its environment by writing to the
+     * `filePath` param. It is exposed without that param in read-only mode.
+     */
+    writesToFilePathOnly?: boolean;
+    /**
+     * If true, the tool relies on Chrome DevTools Protocol features and is
+     * reported as unsupported for browsers driven over WebDriver BiDi.
+     */
+    requiresCdp?: boolean;
   };
   schema: Schema;
+  /**
+   * Tool specific fields of the structured output. The fields shared by all
+   * responses (pages, snapshot, network requests, ...) are always included.
+   */
+  outputSchema?: OutputSchema;
   handler: (
     request: Request<Schema>,
     response: Response,
@@ -42,9 +76,18 @@ export interface ImageContentData {
   mimeType: string;
 }
 
+export interface ResourceLinkData {
+  uri: string;
+  name: string;
+  mimeType: string;
+  description?: string;
+}
+
 export interface SnapshotParams {
   verbose?: boolean;
   filePath?: string;
+  // Limits the snapshot to the content of the frame.
+  frameId?: number;
 }
 
 export interface DevToolsData {
@@ -72,6 +115,10 @@ export interface Response {
   ): void;
   includeSnapshot(params?: SnapshotParams): void;
   attachImage(value: ImageContentData): void;
+  // Links a resource the client can read to get the full payload.
+  attachResourceLink(value: ResourceLinkData): void;
+  // Sets tool specific fields of the structured output.
+  setStructuredContent(value: Record<string, unknown>): void;
   attachNetworkRequest(reqid: number): void;
   attachConsoleMessage(msgid: number): void;
   // Allows re-using DevTools data queried by some tools.
@@ -85,12 +132,51 @@ export type Context = Readonly<{
   isRunningPerformanceTrace(): boolean;
   setIsRunningPerformanceTrace(x: boolean): void;
   recordedTraces(): TraceResult[];
-  storeTraceRecording(result: TraceResult): void;
+  storeTraceRecording(
+    result: TraceResult,
+    rawTrace?: Uint8Array<ArrayBufferLike>,
+  ): number;
   getSelectedPage(): Page;
+  getToolPolicy(): ToolPolicy | undefined;
+  isUrlAllowed(url: string): boolean;
+  /**
+   * Aborted when the client cancels the tool call or it times out.
+   */
+  getAbortSignal(): AbortSignal | undefined;
+  /**
+   * Reports the current stage of a long-running tool call to the client.
+   */
+  reportProgress(message: string): void;
   getDialog(): Dialog | undefined;
-  clearDialog(): void;
+  /**
+   * Accepts or dismisses the open dialog and records how it was handled.
+   */
+  handleDialog(
+    action: 'accept' | 'dismiss',
+    promptText?: string,
+  ): Promise<DialogRecord>;
+  getDialogPolicy(): DialogPolicySettings;
+  /**
+   * Returns the dialog policy set for the page, if any.
+   */
+  getPageDialogPolicy(pageIdx: number): DialogPolicySettings | undefined;
+  setDialogPolicy(
+    settings: DialogPolicySettings,
+    pageIdx?: number,
+  ): Promise<void>;
+  getDialogHistory(): DialogRecord[];
+  /**
+   * Runs an action that unloads the selected page. Rejects when a
+   * beforeunload dialog keeps the page from unloading.
+   */
+  runUnloadingAction<T>(action: () => Promise<T>): Promise<T>;
   getPageByIdx(idx: number): Page;
-  newPage(): Promise<Page>;
+  getPages(): Page[];
+  /**
+   * Opens a page in the named isolated context if given. The context is
+   * created on first use.
+   */
+  newPage(isolatedContext?: string): Promise<Page>;
   closePage(pageIdx: number): Promise<void>;
   setSelectedPageIdx(idx: number): void;
   getElementByUid(uid: string): Promise<ElementHandle<Element>>;
@@ -101,6 +187,10 @@ export type Context = Readonly<{
     data: Uint8Array<ArrayBufferLike>,
     mimeType: 'image/png' | 'image/jpeg' | 'image/webp',
   ): Promise<{filename: string}>;
+  storeScreenshot(screenshot: {
+    data: Uint8Array<ArrayBufferLike>;
+    mimeType: 'image/png' | 'image/jpeg' | 'image/webp';
+  }): string;
   saveFile(
     data: Uint8Array<ArrayBufferLike>,
     filename: string,
@@ -109,8 +199,37 @@ export type Context = Readonly<{
   waitForTextOnPage(params: {
     text: string;
     timeout?: number | undefined;
+    frameId?: number | undefined;
   }): Promise<Element>;
   getDevToolsData(): Promise<DevToolsData>;
+  /**
+   * Records a user action for export_user_flow.
+   */
+  recordUserFlowStep(step: UserFlowStep): void;
+  recordUnsupportedUserFlowAction(toolName: string): void;
+  getRecordedUserFlow(): {
+    steps: UserFlowStep[];
+    unsupportedActions: string[];
+  };
+  listBrowsers(): BrowserInfo[];
+  /**
+   * Selects the named browser for the following tool calls, including the
+   * response of the current one.
+   */
+  selectBrowser(name: string): void;
+  getWorkers(): WorkerInfo[];
+  getWorkerById(id: number): WebWorker;
+  getWorkerConsoleMessages(id: number): WorkerConsoleMessage[];
+  getWorkerNetworkRequests(id: number): WorkerNetworkRequest[];
+  getDownloadDir(): string;
+  getDownloads(): DownloadInfo[];
+  getDownloadById(id: number): DownloadInfo;
+  getFrames(): FrameInfo[];
+  getFrameById(id: number): Frame;
+  listExtensions(): Promise<ExtensionInfo[]>;
+  getExtension(id: string): Promise<ExtensionInfo>;
+  getExtensionConsoleMessages(id: string): WorkerConsoleMessage[];
+  reloadExtension(id: string): Promise<void>;
   /**
    * Returns a reqid for a cdpRequestId.
    */
@@ -121,9 +240,10 @@ export type Context = Readonly<{
   resolveCdpElementId(cdpBackendNodeId: number): string | undefined;
 }>;
 
-export function defineTool<Schema extends zod.ZodRawShape>(
-  definition: ToolDefinition<Schema>,
-) {
+export function defineTool<
+  Schema extends zod.ZodRawShape,
+  OutputSchema extends zod.ZodRawShape = zod.ZodRawShape,
+>(definition: ToolDefinition<Schema, OutputSchema>) {
   return definition;
 }
 
@@ -0,0 +1,67 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {zod} from '../third_party/index.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool} from './ToolDefinition.js';
+
+const browsersOutputSchema = {
+  browsers: zod.array(
+    zod.object({
+      name: zod.string(),
+      description: zod.string(),
+      running: zod.boolean(),
+      selected: zod.boolean(),
+    }),
+  ),
+};
+
+export const listBrowsers = defineTool({
+  name: 'list_browsers',
+  description: `Get a list of the named browsers the server can use. Every browser has its own pages, profile and collected data. Browsers other than "default" are configured as profiles of the config file.`,
+  annotations: {
+    category: ToolCategory.NAVIGATION,
+    readOnlyHint: true,
+  },
+  schema: {},
+  outputSchema: browsersOutputSchema,
+  handler: async (_request, response, context) => {
+    const browsers = context.listBrowsers();
+    response.appendResponseLine('## Browsers');
+    for (const browser of browsers) {
+      const status = [
+        browser.running ? 'running' : 'not started',
+        ...(browser.selected ? ['selected'] : []),
+      ];
+      response.appendResponseLine(
+        `${browser.name}: ${browser.description} [${status.join(', ')}]`,
+      );
+    }
+    response.setStructuredContent({browsers});
+  },
+});
+
+export const selectBrowser = defineTool({
+  name: 'select_browser',
+  description: `Select a named browser as the context for future tool calls. The browser is launched or connected if it is not running yet.`,
+  annotations: {
+    category: ToolCategory.NAVIGATION,
+    readOnlyHint: false,
+  },
+  schema: {
+    name: zod
+      .string()
+      .describe(
+        'The name of the browser to select. Call list_browsers to list browsers.',
+      ),
+  },
+  handler: async (request, response, context) => {
+    context.selectBrowser(request.params.name);
+    context.recordUnsupportedUserFlowAction('select_browser');
+    response.setIncludePages(true);
+  },
+});
@@ -0,0 +1,132 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {DIALOG_POLICIES} from '../DialogManager.js';
+import type {DialogPolicySettings, DialogRecord} from '../DialogManager.js';
+import {zod} from '../third_party/index.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool} from './ToolDefinition.js';
+
+const policySchema = zod.object({
+  policy: zod.enum(DIALOG_POLICIES),
+  promptValue: zod.string().optional(),
+});
+
+function formatPolicy(settings: DialogPolicySettings): string {
+  return settings.policy === 'prompt-value'
+    ? `prompt-value ("${settings.promptValue}")`
+    : settings.policy;
+}
+
+function formatDialog(record: DialogRecord): string {
+  let resolution: string;
+  if (record.resolution === 'pending') {
+    resolution = 'pending, call handle_dialog to handle it';
+  } else if (record.resolvedBy === 'handle_dialog') {
+    resolution = `${record.resolution} with handle_dialog`;
+  } else if (record.resolvedBy === 'page_closed') {
+    resolution = 'closed with the page';
+  } else {
+    resolution = `${record.resolution} by the ${record.resolvedBy} policy`;
+  }
+  const promptText =
+    record.promptText !== undefined ? ` with "${record.promptText}"` : '';
+  return `dialogid=${record.id} ${record.type} "${record.message}" on ${record.url} - ${resolution}${promptText}`;
+}
+
+export const setDialogPolicy = defineTool({
+  name: 'set_dialog_policy',
+  description: `Set how browser dialogs (alert, confirm, prompt and beforeunload) are handled, for one page or for all pages without a policy of their own. With "ask", the default, dialogs stay open until handle_dialog is called.`,
+  annotations: {
+    category: ToolCategory.INPUT,
+    readOnlyHint: false,
+  },
+  schema: {
+    policy: zod
+      .enum(DIALOG_POLICIES)
+      .describe(
+        'auto-accept accepts dialogs, auto-dismiss dismisses them, prompt-value accepts them and enters promptValue into prompts, ask leaves them open for handle_dialog.',
+      ),
+    promptValue: zod
+      .string()
+      .optional()
+      .describe('The text to enter into prompts. Required for prompt-value.'),
+    pageIdx: zod
+      .number()
+      .int()
+      .optional()
+      .describe(
+        'The index of the page to set the policy for. Sets the global policy if omitted.',
+      ),
+  },
+  handler: async (request, response, context) => {
+    const {policy, promptValue, pageIdx} = request.params;
+    const settings: DialogPolicySettings =
+      policy === 'prompt-value' ? {policy, promptValue} : {policy};
+    await context.setDialogPolicy(settings, pageIdx);
+    response.appendResponseLine(
+      pageIdx === undefined
+        ? `The global dialog policy is now ${formatPolicy(settings)}.`
+        : `The dialog policy of page ${pageIdx} is now ${formatPolicy(settings)}.`,
+    );
+  },
+});
+
+export const listDialogs = defineTool({
+  name: 'list_dialogs',
+  description: `List the dialog policies and the dialogs the pages opened, with their type, message and how they were handled.`,
+  annotations: {
+    category: ToolCategory.INPUT,
+    readOnlyHint: true,
+  },
+  schema: {},
+  outputSchema: {
+    globalPolicy: policySchema,
+    pagePolicies: zod.array(
+      policySchema.extend({
+        pageIdx: zod.number(),
+      }),
+    ),
+    dialogs: zod.array(
+      zod.object({
+        id: zod.number(),
+        type: zod.string(),
+        message: zod.string(),
+        defaultValue: zod.string().optional(),
+        url: zod.string(),
+        resolution: zod.enum(['pending', 'accepted', 'dismissed']),
+        resolvedBy: zod.string().optional(),
+        promptText: zod.string().optional(),
+        timestamp: zod.number(),
+      }),
+    ),
+  },
+  handler: async (_request, response, context) => {
+    const globalPolicy = context.getDialogPolicy();
+    const pagePolicies: Array<DialogPolicySettings & {pageIdx: number}> = [];
+    context.getPages().forEach((_page, pageIdx) => {
+      const settings = context.getPageDialogPolicy(pageIdx);
+      if (settings) {
+        pagePolicies.push({pageIdx, ...settings});
+      }
+    });
+    response.appendResponseLine('## Dialog policies');
+    response.appendResponseLine(`Global: ${formatPolicy(globalPolicy)}`);
+    for (const {pageIdx, ...settings} of pagePolicies) {
+      response.appendResponseLine(`Page ${pageIdx}: ${formatPolicy(settings)}`);
+    }
+    const dialogs = context.getDialogHistory();
+    response.appendResponseLine('## Dialogs');
+    if (!dialogs.length) {
+      response.appendResponseLine('<no dialogs found>');
+    }
+    for (const record of dialogs) {
+      response.appendResponseLine(formatDialog(record));
+    }
+    response.setStructuredContent({globalPolicy, pagePolicies, dialogs});
+  },
+});
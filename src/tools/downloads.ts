@@ -0,0 +1,124 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs/promises';
+
+import type {DownloadInfo} from '../DownloadCollector.js';
+import {zod} from '../third_party/index.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool} from './ToolDefinition.js';
+
+// Larger files would not fit into the context of the client.
+const MAX_READABLE_SIZE = 100_000;
+
+const downloadSchema = zod.object({
+  id: zod.number(),
+  url: zod.string(),
+  filename: zod.string(),
+  filePath: zod.string().optional(),
+  mimeType: zod.string().optional(),
+  mimeTypeGuessed: zod
+    .boolean()
+    .describe(
+      'Whether the MIME type was guessed from the filename rather than taken from a data URL.',
+    ),
+  size: zod.number(),
+  totalSize: zod.number().optional(),
+  state: zod.enum(['in_progress', 'completed', 'canceled']),
+});
+
+function formatDownload(download: DownloadInfo): string {
+  const size =
+    download.state === 'in_progress' && download.totalSize
+      ? `${download.size}/${download.totalSize} bytes`
+      : `${download.size} bytes`;
+  const mimeType = download.mimeType
+    ? `${download.mimeType}${download.mimeTypeGuessed ? ' (guessed from the filename)' : ''}`
+    : 'unknown type';
+  return `downloadid=${download.id} ${download.filename} [${download.state}] ${size} ${mimeType} from ${download.url}${download.filePath ? ` saved to ${download.filePath}` : ''}`;
+}
+
+export const listDownloads = defineTool({
+  name: 'list_downloads',
+  description: `List the files downloaded by the pages with their filename, size, MIME type guessed from the filename, source URL and state. Downloads are saved to the download directory of the server.`,
+  annotations: {
+    category: ToolCategory.NETWORK,
+    readOnlyHint: true,
+    requiresCdp: true,
+  },
+  schema: {},
+  outputSchema: {
+    downloadDir: zod.string(),
+    downloads: zod.array(downloadSchema),
+  },
+  handler: async (_request, response, context) => {
+    const downloads = context.getDownloads();
+    response.appendResponseLine(
+      `## Downloads (saved to ${context.getDownloadDir()})`,
+    );
+    if (!downloads.length) {
+      response.appendResponseLine('<no downloads found>');
+    }
+    for (const download of downloads) {
+      response.appendResponseLine(formatDownload(download));
+    }
+    response.setStructuredContent({
+      downloadDir: context.getDownloadDir(),
+      downloads,
+    });
+  },
+});
+
+export const readDownload = defineTool({
+  name: 'read_download',
+  description: `Read the content of a small downloaded text file, such as an exported CSV or JSON file.`,
+  annotations: {
+    category: ToolCategory.NETWORK,
+    readOnlyHint: true,
+    requiresCdp: true,
+  },
+  schema: {
+    downloadId: zod
+      .number()
+      .int()
+      .describe(
+        'The id of the download. Call list_downloads to list the downloads.',
+      ),
+  },
+  outputSchema: {
+    download: downloadSchema,
+    content: zod.string(),
+  },
+  handler: async (request, response, context) => {
+    const download = context.getDownloadById(request.params.downloadId);
+    if (download.state !== 'completed' || !download.filePath) {
+      throw new Error(
+        `The download ${download.id} (${download.filename}) is not completed yet. Its state is ${download.state}.`,
+      );
+    }
+    if (download.size > MAX_READABLE_SIZE) {
+      throw new Error(
+        `The download ${download.id} (${download.filename}) is too large to read: ${download.size} bytes, at most ${MAX_READABLE_SIZE} bytes can be read. It is saved to ${download.filePath}.`,
+      );
+    }
+    let content: string;
+    try {
+      content = new TextDecoder('utf-8', {fatal: true}).decode(
+        await fs.readFile(download.filePath),
+      );
+    } catch (error) {
+      throw new Error(
+        `Failed to read the download ${download.id} (${download.filename}) as UTF-8 text: ${(error as Error).message}`,
+      );
+    }
+    response.appendResponseLine(formatDownload(download));
+    response.appendResponseLine('```');
+    response.appendResponseLine(content);
+    response.appendResponseLine('```');
+    response.setStructuredContent({download, content});
+  },
+});
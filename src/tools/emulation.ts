@@ -4,27 +4,28 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-import {zod, PredefinedNetworkConditions} from '../third_party/index.js';
+import {
+  emulateCpuThrottling,
+  emulateNetworkConditions,
+  NETWORK_CONDITIONS,
+} from '../emulation.js';
+import {zod} from '../third_party/index.js';
+import {StepType} from '../userFlow.js';
 
 import {ToolCategory} from './categories.js';
 import {defineTool} from './ToolDefinition.js';
 
-const throttlingOptions: [string, ...string[]] = [
-  'No emulation',
-  'Offline',
-  ...Object.keys(PredefinedNetworkConditions),
-];
-
 export const emulate = defineTool({
   name: 'emulate',
   description: `Emulates various features on the selected page.`,
   annotations: {
     category: ToolCategory.EMULATION,
     readOnlyHint: false,
+    requiresCdp: true,
   },
   schema: {
     networkConditions: zod
-      .enum(throttlingOptions)
+      .enum(NETWORK_CONDITIONS)
       .optional()
       .describe(
         `Throttle network. Set to "No emulation" to disable. If omitted, conditions remain unchanged.`,
@@ -44,36 +45,38 @@ export const emulate = defineTool({
     const cpuThrottlingRate = request.params.cpuThrottlingRate;
 
     if (networkConditions) {
-      if (networkConditions === 'No emulation') {
-        await page.emulateNetworkConditions(null);
+      const conditions = await emulateNetworkConditions(
+        page,
+        networkConditions,
+      );
+      if (!conditions) {
         context.setNetworkConditions(null);
-        return;
-      }
-
-      if (networkConditions === 'Offline') {
-        await page.emulateNetworkConditions({
-          offline: true,
-          download: 0,
-          upload: 0,
+        context.recordUserFlowStep({
+          type: StepType.EmulateNetworkConditions,
+          download: -1,
+          upload: -1,
           latency: 0,
         });
-        context.setNetworkConditions('Offline');
         return;
       }
 
-      if (networkConditions in PredefinedNetworkConditions) {
-        const networkCondition =
-          PredefinedNetworkConditions[
-            networkConditions as keyof typeof PredefinedNetworkConditions
-          ];
-        await page.emulateNetworkConditions(networkCondition);
-        context.setNetworkConditions(networkConditions);
+      context.setNetworkConditions(networkConditions);
+      if (conditions.offline) {
+        context.recordUnsupportedUserFlowAction('emulate');
+        return;
       }
+      context.recordUserFlowStep({
+        type: StepType.EmulateNetworkConditions,
+        download: conditions.download,
+        upload: conditions.upload,
+        latency: conditions.latency,
+      });
     }
 
     if (cpuThrottlingRate) {
-      await page.emulateCPUThrottling(cpuThrottlingRate);
+      await emulateCpuThrottling(page, cpuThrottlingRate);
       context.setCpuThrottlingRate(cpuThrottlingRate);
+      context.recordUnsupportedUserFlowAction('emulate');
     }
   },
 });
@@ -0,0 +1,151 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {zod} from '../third_party/index.js';
+import {StepType} from '../userFlow.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool, timeoutSchema} from './ToolDefinition.js';
+
+const extensionIdSchema = zod
+  .string()
+  .describe(
+    'The id of the extension. Call list_extensions to list the loaded extensions.',
+  );
+
+export const listExtensions = defineTool({
+  name: 'list_extensions',
+  description: `List the extensions loaded with --loadExtension, including the URLs of their popup and options pages and whether their service worker is running.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: true,
+  },
+  schema: {},
+  outputSchema: {
+    extensions: zod.array(
+      zod.object({
+        id: zod.string(),
+        name: zod.string(),
+        version: zod.string(),
+        path: zod.string(),
+        popupUrl: zod.string().optional(),
+        optionsUrl: zod.string().optional(),
+        serviceWorkerUrl: zod.string().optional(),
+      }),
+    ),
+  },
+  handler: async (_request, response, context) => {
+    const extensions = await context.listExtensions();
+    response.appendResponseLine('## Extensions');
+    if (!extensions.length) {
+      response.appendResponseLine(
+        'No extensions are loaded. Start the server with --loadExtension to debug an extension.',
+      );
+    }
+    for (const extension of extensions) {
+      response.appendResponseLine(
+        `${extension.id}: ${extension.name} ${extension.version} (${extension.path})`,
+      );
+      if (extension.popupUrl) {
+        response.appendResponseLine(`  Popup: ${extension.popupUrl}`);
+      }
+      if (extension.optionsUrl) {
+        response.appendResponseLine(`  Options: ${extension.optionsUrl}`);
+      }
+      response.appendResponseLine(
+        `  Service worker: ${extension.serviceWorkerUrl ?? 'not running'}`,
+      );
+    }
+    response.setStructuredContent({extensions});
+  },
+});
+
+export const openExtensionPage = defineTool({
+  name: 'open_extension_page',
+  description: `Opens the popup or the options page of an extension in a new page and selects it. The page can be used with all page tools.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: false,
+  },
+  schema: {
+    id: extensionIdSchema,
+    page: zod
+      .enum(['popup', 'options'])
+      .describe('The page of the extension to open.'),
+    ...timeoutSchema,
+  },
+  handler: async (request, response, context) => {
+    const extension = await context.getExtension(request.params.id);
+    const url =
+      request.params.page === 'popup'
+        ? extension.popupUrl
+        : extension.optionsUrl;
+    if (!url) {
+      throw new Error(
+        `The extension ${extension.name} does not have a ${request.params.page} page.`,
+      );
+    }
+    const page = await context.newPage();
+    await context.waitForEventsAfterAction(async () => {
+      await page.goto(url, {
+        timeout: request.params.timeout,
+        signal: context.getAbortSignal(),
+      });
+    });
+    context.recordUserFlowStep({type: StepType.Navigate, url});
+    response.setIncludePages(true);
+  },
+});
+
+export const listExtensionConsoleMessages = defineTool({
+  name: 'list_extension_console_messages',
+  description: `List the console messages and uncaught errors of the service worker of an extension since the server started or the extension was last reloaded. Use list_console_messages for the console of extension pages.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: true,
+  },
+  schema: {
+    id: extensionIdSchema,
+  },
+  outputSchema: {
+    messages: zod.array(
+      zod.object({
+        type: zod.string(),
+        text: zod.string(),
+        timestamp: zod.number(),
+      }),
+    ),
+  },
+  handler: async (request, response, context) => {
+    const messages = context.getExtensionConsoleMessages(request.params.id);
+    response.appendResponseLine('## Service worker console messages');
+    if (!messages.length) {
+      response.appendResponseLine('<no console messages found>');
+    }
+    for (const message of messages) {
+      response.appendResponseLine(`[${message.type}] ${message.text}`);
+    }
+    response.setStructuredContent({messages});
+  },
+});
+
+export const reloadExtension = defineTool({
+  name: 'reload_extension',
+  description: `Reloads an extension from its directory, for example after it was rebuilt. Open extension pages are closed and the service worker is restarted.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: false,
+  },
+  schema: {
+    id: extensionIdSchema,
+  },
+  handler: async (request, response, context) => {
+    await context.reloadExtension(request.params.id);
+    context.recordUnsupportedUserFlowAction('reload_extension');
+    response.appendResponseLine(`Reloaded the extension ${request.params.id}.`);
+    response.setIncludePages(true);
+  },
+});
@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {zod} from '../third_party/index.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool} from './ToolDefinition.js';
+
+export const listFrames = defineTool({
+  name: 'list_frames',
+  description: `List the frame tree of the selected page with the URL and origin of each frame. Cross-site iframes rendered in their own process are marked as out-of-process. Pass a frame id to evaluate_script, wait_for or take_snapshot to operate on that frame.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: true,
+  },
+  schema: {},
+  outputSchema: {
+    frames: zod.array(
+      zod.object({
+        id: zod.number(),
+        parentId: zod
+          .number()
+          .optional()
+          .describe('The id of the parent frame. Not set for the main frame.'),
+        url: zod.string(),
+        origin: zod.string(),
+        outOfProcess: zod.boolean(),
+      }),
+    ),
+  },
+  handler: async (_request, response, context) => {
+    const frames = context.getFrames();
+    const depths = new Map<number, number>();
+    response.appendResponseLine('## Frames');
+    for (const frame of frames) {
+      const depth =
+        frame.parentId === undefined
+          ? 0
+          : (depths.get(frame.parentId) ?? 0) + 1;
+      depths.set(frame.id, depth);
+      response.appendResponseLine(
+        `${'  '.repeat(depth)}frameid=${frame.id} ${frame.url || '<empty>'} (origin: ${frame.origin})${frame.parentId === undefined ? ' [main frame]' : ''}${frame.outOfProcess ? ' [out-of-process]' : ''}`,
+      );
+    }
+    response.setStructuredContent({frames});
+  },
+});
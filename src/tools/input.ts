@@ -7,6 +7,7 @@
 import type {McpContext, TextSnapshotNode} from '../McpContext.js';
 import {zod} from '../third_party/index.js';
 import type {ElementHandle} from '../third_party/index.js';
+import {getKeySteps, getUserFlowElement, StepType} from '../userFlow.js';
 import {parseKey} from '../utils/keyboard.js';
 
 import {ToolCategory} from './categories.js';
@@ -34,11 +35,19 @@ export const click = defineTool({
     const uid = request.params.uid;
     const handle = await context.getElementByUid(uid);
     try {
+      const element = await getUserFlowElement(
+        handle,
+        context.getAXNodeByUid(uid),
+      );
       await context.waitForEventsAfterAction(async () => {
         await handle.asLocator().click({
           count: request.params.dblClick ? 2 : 1,
         });
       });
+      context.recordUserFlowStep({
+        type: request.params.dblClick ? StepType.DoubleClick : StepType.Click,
+        ...element,
+      });
       response.appendResponseLine(
         request.params.dblClick
           ? `Successfully double clicked on the element`
@@ -69,9 +78,14 @@ export const hover = defineTool({
     const uid = request.params.uid;
     const handle = await context.getElementByUid(uid);
     try {
+      const {selectors, frame} = await getUserFlowElement(
+        handle,
+        context.getAXNodeByUid(uid),
+      );
       await context.waitForEventsAfterAction(async () => {
         await handle.asLocator().hover();
       });
+      context.recordUserFlowStep({type: StepType.Hover, selectors, frame});
       response.appendResponseLine(`Successfully hovered over the element`);
       response.includeSnapshot();
     } finally {
@@ -84,12 +98,14 @@ export const hover = defineTool({
 // If the form is a combobox, we need to find the correct option by its text value.
 // To do that, loop through the children while checking which child's text matches the requested value (requested value is actually the text content).
 // When the correct option is found, use the element handle to get the real value.
+// Returns the value of the selected option.
 async function selectOption(
   handle: ElementHandle,
   aXNode: TextSnapshotNode,
   value: string,
-) {
+): Promise<string> {
   let optionFound = false;
+  let selectedValue = value;
   for (const child of aXNode.children) {
     if (child.role === 'option' && child.name === value && child.value) {
       optionFound = true;
@@ -100,7 +116,8 @@ async function selectOption(
           try {
             const childValue = await childValueHandle.jsonValue();
             if (childValue) {
-              await handle.asLocator().fill(childValue.toString());
+              selectedValue = childValue.toString();
+              await handle.asLocator().fill(selectedValue);
             }
           } finally {
             void childValueHandle.dispose();
@@ -115,6 +132,7 @@ async function selectOption(
   if (!optionFound) {
     throw new Error(`Could not find option with text "${value}"`);
   }
+  return selectedValue;
 }
 
 async function fillFormElement(
@@ -125,11 +143,19 @@ async function fillFormElement(
   const handle = await context.getElementByUid(uid);
   try {
     const aXNode = context.getAXNodeByUid(uid);
+    const {selectors, frame} = await getUserFlowElement(handle, aXNode);
+    let filledValue = value;
     if (aXNode && aXNode.role === 'combobox') {
-      await selectOption(handle, aXNode, value);
+      filledValue = await selectOption(handle, aXNode, value);
     } else {
       await handle.asLocator().fill(value);
     }
+    context.recordUserFlowStep({
+      type: StepType.Change,
+      value: filledValue,
+      selectors,
+      frame,
+    });
   } finally {
     void handle.dispose();
   }
@@ -183,6 +209,7 @@ export const drag = defineTool({
         await new Promise(resolve => setTimeout(resolve, 50));
         await toHandle.drop(fromHandle);
       });
+      context.recordUnsupportedUserFlowAction('drag');
       response.appendResponseLine(`Successfully dragged an element`);
       response.includeSnapshot();
     } finally {
@@ -264,6 +291,7 @@ export const uploadFile = defineTool({
           );
         }
       }
+      context.recordUnsupportedUserFlowAction('upload_file');
       response.includeSnapshot();
       response.appendResponseLine(`File uploaded from ${filePath}.`);
     } finally {
@@ -300,6 +328,9 @@ export const pressKey = defineTool({
         await page.keyboard.up(modifier);
       }
     });
+    for (const step of getKeySteps(key, modifiers)) {
+      context.recordUserFlowStep(step);
+    }
 
     response.appendResponseLine(
       `Successfully pressed key: ${request.params.key}`,
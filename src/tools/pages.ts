@@ -6,9 +6,102 @@
 
 import {logger} from '../logger.js';
 import {zod} from '../third_party/index.js';
+import type {HTTPResponse, Page} from '../third_party/index.js';
+import {formatToolPolicy, isDefaultToolPolicy} from '../toolPolicy.js';
+import {StepType} from '../userFlow.js';
 
 import {ToolCategory} from './categories.js';
 import {CLOSE_PAGE_ERROR, defineTool, timeoutSchema} from './ToolDefinition.js';
+import type {Response} from './ToolDefinition.js';
+
+function getBlockedUrlMessage(url: string): string {
+  return `Navigation to ${url} was refused because the URL is blocked by the URL policy.`;
+}
+
+interface NavigationResult {
+  status: number;
+  statusText: string;
+  // The URL of the document after redirects.
+  url: string;
+  redirects: Array<{url: string; status?: number}>;
+  // Milliseconds since the start of the navigation. Unset if the event has
+  // not happened yet, e.g. when waiting for domcontentloaded only.
+  timing?: {ttfb: number; domContentLoaded?: number; load?: number};
+}
+
+async function getNavigationResult(
+  page: Page,
+  httpResponse: HTTPResponse,
+): Promise<NavigationResult> {
+  const redirects = httpResponse
+    .request()
+    .redirectChain()
+    .map(request => ({
+      url: request.url(),
+      status: request.response()?.status(),
+    }));
+  let timing: NavigationResult['timing'];
+  try {
+    timing = await page.evaluate(() => {
+      const [entry] = performance.getEntriesByType(
+        'navigation',
+      ) as PerformanceNavigationTiming[];
+      if (!entry) {
+        return;
+      }
+      return {
+        ttfb: Math.round(entry.responseStart),
+        domContentLoaded:
+          Math.round(entry.domContentLoadedEventEnd) || undefined,
+        load: Math.round(entry.loadEventEnd) || undefined,
+      };
+    });
+  } catch (error) {
+    // The page might have navigated again.
+    logger('Failed to read the navigation timing', error);
+  }
+  return {
+    status: httpResponse.status(),
+    statusText: httpResponse.statusText(),
+    url: httpResponse.url(),
+    redirects,
+    timing,
+  };
+}
+
+function formatMilliseconds(value: number | undefined): string {
+  return value === undefined ? 'pending' : `${value} ms`;
+}
+
+function appendNavigationResult(
+  response: Response,
+  result: NavigationResult,
+): void {
+  response.appendResponseLine(
+    `HTTP status: ${result.status}${result.statusText ? ` ${result.statusText}` : ''}`,
+  );
+  if (result.redirects.length) {
+    response.appendResponseLine(
+      `Redirects: ${[
+        ...result.redirects.map(
+          redirect => `${redirect.url} (${redirect.status ?? 'no response'})`,
+        ),
+        result.url,
+      ].join(' -> ')}`,
+    );
+  }
+  response.appendResponseLine(`Final URL: ${result.url}`);
+  if (result.timing) {
+    response.appendResponseLine(
+      `Timing: TTFB ${formatMilliseconds(result.timing.ttfb)}, DOMContentLoaded ${formatMilliseconds(result.timing.domContentLoaded)}, load ${formatMilliseconds(result.timing.load)}`,
+    );
+  }
+  if (result.status >= 400) {
+    response.appendResponseLine(
+      'The server responded with an error status, so the page likely does not show the expected content.',
+    );
+  }
+}
 
 export const listPages = defineTool({
   name: 'list_pages',
@@ -18,8 +111,25 @@ export const listPages = defineTool({
     readOnlyHint: true,
   },
   schema: {},
-  handler: async (_request, response) => {
+  outputSchema: {
+    toolPolicy: zod
+      .object({
+        readOnly: zod.boolean(),
+        includeTools: zod.array(zod.string()),
+        excludeTools: zod.array(zod.string()),
+      })
+      .optional()
+      .describe(
+        'The policy that determines which tools are available. Only set if the server restricts the tools.',
+      ),
+  },
+  handler: async (_request, response, context) => {
     response.setIncludePages(true);
+    const toolPolicy = context.getToolPolicy();
+    if (toolPolicy && !isDefaultToolPolicy(toolPolicy)) {
+      response.appendResponseLine(formatToolPolicy(toolPolicy));
+      response.setStructuredContent({toolPolicy});
+    }
   },
 });
 
@@ -41,6 +151,7 @@ export const selectPage = defineTool({
     const page = context.getPageByIdx(request.params.pageIdx);
     await page.bringToFront();
     context.setSelectedPageIdx(request.params.pageIdx);
+    context.recordUnsupportedUserFlowAction('select_page');
     response.setIncludePages(true);
   },
 });
@@ -62,6 +173,7 @@ export const closePage = defineTool({
   handler: async (request, response, context) => {
     try {
       await context.closePage(request.params.pageIdx);
+      context.recordUnsupportedUserFlowAction('close_page');
     } catch (err) {
       if (err.message === CLOSE_PAGE_ERROR) {
         response.appendResponseLine(err.message);
@@ -82,16 +194,37 @@ export const newPage = defineTool({
   },
   schema: {
     url: zod.string().describe('URL to load in a new page.'),
+    isolatedContext: zod
+      .string()
+      .min(1)
+      .optional()
+      .describe(
+        'The name of an isolated browser context to open the page in, for example to be logged in as a different user. Pages of the same isolated context share cookies and storage with each other but not with other pages. The context is created on first use and disposed when its last page is closed. Pages are listed grouped by context, so opening a page in an earlier created context shifts the pageIdx of the pages after it.',
+      ),
     ...timeoutSchema,
   },
   handler: async (request, response, context) => {
-    const page = await context.newPage();
+    if (!context.isUrlAllowed(request.params.url)) {
+      response.appendResponseLine(getBlockedUrlMessage(request.params.url));
+      response.setIncludePages(true);
+      return;
+    }
+    const page = await context.newPage(request.params.isolatedContext);
+    if (request.params.isolatedContext) {
+      context.recordUnsupportedUserFlowAction('new_page');
+    }
 
+    context.reportProgress(`loading ${request.params.url}`);
     await context.waitForEventsAfterAction(async () => {
       await page.goto(request.params.url, {
         timeout: request.params.timeout,
+        signal: context.getAbortSignal(),
       });
     });
+    context.recordUserFlowStep({
+      type: StepType.Navigate,
+      url: request.params.url,
+    });
 
     response.setIncludePages(true);
   },
@@ -99,7 +232,7 @@ export const newPage = defineTool({
 
 export const navigatePage = defineTool({
   name: 'navigate_page',
-  description: `Navigates the currently selected page to a URL.`,
+  description: `Navigates the currently selected page to a URL. Reports the HTTP status, redirects and timing of the loaded document.`,
   annotations: {
     category: ToolCategory.NAVIGATION,
     readOnlyHint: false,
@@ -116,13 +249,48 @@ export const navigatePage = defineTool({
       .boolean()
       .optional()
       .describe('Whether to ignore cache on reload.'),
+    waitUntil: zod
+      .enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2'])
+      .optional()
+      .describe(
+        'When to consider the navigation finished. networkidle0 waits until there are no network connections for 500 ms, networkidle2 until there are at most 2. Default is load.',
+      ),
     ...timeoutSchema,
   },
+  outputSchema: {
+    navigation: zod
+      .object({
+        status: zod.number(),
+        statusText: zod.string(),
+        url: zod.string().describe('The URL after redirects.'),
+        redirects: zod.array(
+          zod.object({
+            url: zod.string(),
+            status: zod.number().optional(),
+          }),
+        ),
+        timing: zod
+          .object({
+            ttfb: zod.number(),
+            domContentLoaded: zod.number().optional(),
+            load: zod.number().optional(),
+          })
+          .optional()
+          .describe('Milliseconds since the start of the navigation.'),
+      })
+      .optional()
+      .describe(
+        'The main document response. Not set for navigations without a response, such as within the same document.',
+      ),
+  },
   handler: async (request, response, context) => {
     const page = context.getSelectedPage();
     const options = {
       timeout: request.params.timeout,
+      waitUntil: request.params.waitUntil,
+      signal: context.getAbortSignal(),
     };
+    let httpResponse: HTTPResponse | null = null;
 
     if (!request.params.type && !request.params.url) {
       throw new Error('Either URL or a type is required.');
@@ -138,8 +306,22 @@ export const navigatePage = defineTool({
           if (!request.params.url) {
             throw new Error('A URL is required for navigation of type=url.');
           }
+          if (!context.isUrlAllowed(request.params.url)) {
+            response.appendResponseLine(
+              getBlockedUrlMessage(request.params.url),
+            );
+            break;
+          }
+          context.reportProgress(`loading ${request.params.url}`);
           try {
-            await page.goto(request.params.url, options);
+            const url = request.params.url;
+            httpResponse = await context.runUnloadingAction(() =>
+              page.goto(url, options),
+            );
+            context.recordUserFlowStep({
+              type: StepType.Navigate,
+              url: request.params.url,
+            });
             response.appendResponseLine(
               `Successfully navigated to ${request.params.url}.`,
             );
@@ -151,7 +333,13 @@ export const navigatePage = defineTool({
           break;
         case 'back':
           try {
-            await page.goBack(options);
+            httpResponse = await context.runUnloadingAction(() =>
+              page.goBack(options),
+            );
+            context.recordUserFlowStep({
+              type: StepType.Navigate,
+              url: page.url(),
+            });
             response.appendResponseLine(
               `Successfully navigated back to ${page.url()}.`,
             );
@@ -163,7 +351,13 @@ export const navigatePage = defineTool({
           break;
         case 'forward':
           try {
-            await page.goForward(options);
+            httpResponse = await context.runUnloadingAction(() =>
+              page.goForward(options),
+            );
+            context.recordUserFlowStep({
+              type: StepType.Navigate,
+              url: page.url(),
+            });
             response.appendResponseLine(
               `Successfully navigated forward to ${page.url()}.`,
             );
@@ -175,9 +369,15 @@ export const navigatePage = defineTool({
           break;
         case 'reload':
           try {
-            await page.reload({
-              ...options,
-              ignoreCache: request.params.ignoreCache,
+            httpResponse = await context.runUnloadingAction(() =>
+              page.reload({
+                ...options,
+                ignoreCache: request.params.ignoreCache,
+              }),
+            );
+            context.recordUserFlowStep({
+              type: StepType.Navigate,
+              url: page.url(),
             });
             response.appendResponseLine(`Successfully reloaded the page.`);
           } catch (error) {
@@ -187,6 +387,11 @@ export const navigatePage = defineTool({
           }
           break;
       }
+      if (httpResponse) {
+        const result = await getNavigationResult(page, httpResponse);
+        appendNavigationResult(response, result);
+        response.setStructuredContent({navigation: result});
+      }
     });
 
     response.setIncludePages(true);
@@ -212,6 +417,15 @@ export const resizePage = defineTool({
       contentWidth: request.params.width,
       contentHeight: request.params.height,
     });
+    context.recordUserFlowStep({
+      type: StepType.SetViewport,
+      width: request.params.width,
+      height: request.params.height,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: false,
+    });
 
     response.setIncludePages(true);
   },
@@ -234,35 +448,14 @@ export const handleDialog = defineTool({
       .describe('Optional prompt text to enter into the dialog.'),
   },
   handler: async (request, response, context) => {
-    const dialog = context.getDialog();
-    if (!dialog) {
-      throw new Error('No open dialog found');
-    }
-
-    switch (request.params.action) {
-      case 'accept': {
-        try {
-          await dialog.accept(request.params.promptText);
-        } catch (err) {
-          // Likely already handled by the user outside of MCP.
-          logger(err);
-        }
-        response.appendResponseLine('Successfully accepted the dialog');
-        break;
-      }
-      case 'dismiss': {
-        try {
-          await dialog.dismiss();
-        } catch (err) {
-          // Likely already handled.
-          logger(err);
-        }
-        response.appendResponseLine('Successfully dismissed the dialog');
-        break;
-      }
-    }
-
-    context.clearDialog();
+    const record = await context.handleDialog(
+      request.params.action,
+      request.params.promptText,
+    );
+    response.appendResponseLine(
+      `Successfully ${record.resolution === 'accepted' ? 'accepted' : 'dismissed'} the dialog`,
+    );
+    context.recordUnsupportedUserFlowAction('handle_dialog');
     response.setIncludePages(true);
   },
 });
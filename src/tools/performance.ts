@@ -5,20 +5,43 @@
  */
 
 import {logger} from '../logger.js';
+import {getTraceResourceUri} from '../resources.js';
 import {zod} from '../third_party/index.js';
 import type {Page} from '../third_party/index.js';
 import type {InsightName} from '../trace-processing/parse.js';
 import {
   getInsightOutput,
+  getTraceMetrics,
   getTraceSummary,
   parseRawTraceBuffer,
   traceResultIsSuccess,
 } from '../trace-processing/parse.js';
+import {sleep} from '../utils/abort.js';
 
 import {ToolCategory} from './categories.js';
 import type {Context, Response} from './ToolDefinition.js';
 import {defineTool} from './ToolDefinition.js';
 
+const traceOutputSchema = {
+  traceId: zod
+    .number()
+    .optional()
+    .describe('The id of the recorded trace resource.'),
+  insightSets: zod
+    .array(
+      zod.object({
+        insightSetId: zod.string(),
+        url: zod.string(),
+        lcpMs: zod.number().optional(),
+        inpMs: zod.number().optional(),
+        cls: zod.number(),
+        insights: zod.array(zod.string()),
+      }),
+    )
+    .optional()
+    .describe('The Core Web Vitals and available insights per insight set.'),
+};
+
 export const startTrace = defineTool({
   name: 'performance_start_trace',
   description:
@@ -26,6 +49,7 @@ export const startTrace = defineTool({
   annotations: {
     category: ToolCategory.PERFORMANCE,
     readOnlyHint: true,
+    requiresCdp: true,
   },
   schema: {
     reload: zod
@@ -39,6 +63,7 @@ export const startTrace = defineTool({
         'Determines if the trace recording should be automatically stopped.',
       ),
   },
+  outputSchema: traceOutputSchema,
   handler: async (request, response, context) => {
     if (context.isRunningPerformanceTrace()) {
       response.appendResponseLine(
@@ -52,9 +77,11 @@ export const startTrace = defineTool({
     const pageUrlForTracing = page.url();
 
     if (request.params.reload) {
+      context.reportProgress('reloading page');
       // Before starting the recording, navigate to about:blank to clear out any state.
       await page.goto('about:blank', {
         waitUntil: ['networkidle0'],
+        signal: context.getAbortSignal(),
       });
     }
 
@@ -83,14 +110,27 @@ export const startTrace = defineTool({
       categories,
     });
 
-    if (request.params.reload) {
-      await page.goto(pageUrlForTracing, {
-        waitUntil: ['load'],
+    try {
+      if (request.params.reload) {
+        await page.goto(pageUrlForTracing, {
+          waitUntil: ['load'],
+          signal: context.getAbortSignal(),
+        });
+      }
+      if (request.params.autoStop) {
+        context.reportProgress('tracing');
+        await sleep(5_000, context.getAbortSignal());
+      }
+    } catch (error) {
+      // Do not leave the trace running if the tool call is cancelled.
+      await page.tracing.stop().catch(error => {
+        logger(`Error stopping performance trace: ${error}`);
       });
+      context.setIsRunningPerformanceTrace(false);
+      throw error;
     }
 
     if (request.params.autoStop) {
-      await new Promise(resolve => setTimeout(resolve, 5_000));
       await stopTracingAndAppendOutput(page, response, context);
     } else {
       response.appendResponseLine(
@@ -107,8 +147,10 @@ export const stopTrace = defineTool({
   annotations: {
     category: ToolCategory.PERFORMANCE,
     readOnlyHint: true,
+    requiresCdp: true,
   },
   schema: {},
+  outputSchema: traceOutputSchema,
   handler: async (_request, response, context) => {
     if (!context.isRunningPerformanceTrace()) {
       return;
@@ -168,12 +210,24 @@ async function stopTracingAndAppendOutput(
 ): Promise<void> {
   try {
     const traceEventsBuffer = await page.tracing.stop();
+    // The trace engine computes the insights while parsing.
+    context.reportProgress('parsing trace and computing insights');
     const result = await parseRawTraceBuffer(traceEventsBuffer);
     response.appendResponseLine('The performance trace has been stopped.');
     if (traceResultIsSuccess(result)) {
-      context.storeTraceRecording(result);
+      const traceId = context.storeTraceRecording(result, traceEventsBuffer);
       const traceSummaryText = getTraceSummary(result);
       response.appendResponseLine(traceSummaryText);
+      response.attachResourceLink({
+        uri: getTraceResourceUri(traceId),
+        name: `Performance trace ${traceId}`,
+        mimeType: 'application/json',
+        description: 'The raw trace events of the recorded trace.',
+      });
+      response.setStructuredContent({
+        traceId,
+        insightSets: getTraceMetrics(result),
+      });
     } else {
       response.appendResponseLine(
         'There was an unexpected error parsing the trace:',
@@ -0,0 +1,192 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {zod} from '../third_party/index.js';
+import {
+  describeStep,
+  parseUserFlow,
+  runUserFlow,
+  stringifyUserFlow,
+} from '../userFlow.js';
+import type {UserFlow} from '../userFlow.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool} from './ToolDefinition.js';
+
+export const exportUserFlow = defineTool({
+  name: 'export_user_flow',
+  description: `Exports the actions performed with the input and navigation tools since the server started as a DevTools Recorder user flow (JSON) and as an equivalent Puppeteer script. Elements are referenced by aria, text, CSS and XPath selectors so that the flow can be replayed without snapshot uids.`,
+  annotations: {
+    category: ToolCategory.INPUT,
+    // Not read-only due to filePath param.
+    readOnlyHint: false,
+    writesToFilePathOnly: true,
+  },
+  schema: {
+    title: zod
+      .string()
+      .optional()
+      .describe('The title of the user flow. Defaults to "Recorded flow".'),
+    filePath: zod
+      .string()
+      .optional()
+      .describe(
+        'The absolute path, or a path relative to the current working directory, to save the user flow JSON to instead of including it in the response. The Puppeteer script is saved next to it with a .js extension.',
+      ),
+  },
+  outputSchema: {
+    filePath: zod
+      .string()
+      .optional()
+      .describe('The file the user flow was saved to.'),
+    scriptFilePath: zod
+      .string()
+      .optional()
+      .describe('The file the Puppeteer script was saved to.'),
+    stepCount: zod.number().describe('The number of steps of the user flow.'),
+    unsupportedActions: zod
+      .array(zod.string())
+      .describe('The tools whose actions could not be exported.'),
+  },
+  handler: async (request, response, context) => {
+    const {steps, unsupportedActions} = context.getRecordedUserFlow();
+    if (!steps.length) {
+      throw new Error(
+        'No actions have been recorded yet. Use the input and navigation tools first.',
+      );
+    }
+    const flow = {
+      title: request.params.title ?? 'Recorded flow',
+      steps,
+    };
+    const json = JSON.stringify(flow, null, 2);
+    const script = await stringifyUserFlow(flow);
+
+    response.appendResponseLine(
+      `Exported a user flow with ${steps.length} steps.`,
+    );
+    if (unsupportedActions.length) {
+      response.appendResponseLine(
+        `The actions of the following tools cannot be expressed as user flow steps and were skipped: ${unsupportedActions.join(', ')}.`,
+      );
+    }
+
+    if (request.params.filePath) {
+      const scriptFilePath = request.params.filePath.replace(
+        /(\.json)?$/,
+        '.js',
+      );
+      const encoder = new TextEncoder();
+      const file = await context.saveFile(
+        encoder.encode(json),
+        request.params.filePath,
+      );
+      const scriptFile = await context.saveFile(
+        encoder.encode(script),
+        scriptFilePath,
+      );
+      response.appendResponseLine(
+        `Saved the user flow to ${file.filename} and the Puppeteer script to ${scriptFile.filename}.`,
+      );
+      response.setStructuredContent({
+        filePath: file.filename,
+        scriptFilePath: scriptFile.filename,
+        stepCount: steps.length,
+        unsupportedActions,
+      });
+      return;
+    }
+
+    response.appendResponseLine('## User flow');
+    response.appendResponseLine('```json');
+    response.appendResponseLine(json);
+    response.appendResponseLine('```');
+    response.appendResponseLine('## Puppeteer script');
+    response.appendResponseLine('```js');
+    response.appendResponseLine(script.trimEnd());
+    response.appendResponseLine('```');
+    response.setStructuredContent({
+      stepCount: steps.length,
+      unsupportedActions,
+    });
+  },
+});
+
+export const replayUserFlow = defineTool({
+  name: 'replay_user_flow',
+  description: `Replays a user flow recorded with the DevTools Recorder panel (or exported with export_user_flow) against the selected page. Every step waits for the page to settle like the input tools do. Stops at the first failing step and includes a snapshot of the page in that case.`,
+  annotations: {
+    category: ToolCategory.INPUT,
+    readOnlyHint: false,
+  },
+  schema: {
+    filePath: zod
+      .string()
+      .describe(
+        'The absolute path, or a path relative to the current working directory, of the Recorder JSON file to replay.',
+      ),
+  },
+  outputSchema: {
+    steps: zod
+      .array(
+        zod.object({
+          step: zod.string().describe('The type and target of the step.'),
+          duration: zod.number().describe('The duration in milliseconds.'),
+          error: zod
+            .string()
+            .optional()
+            .describe('The error message if the step failed.'),
+        }),
+      )
+      .describe('The steps that were run, in order.'),
+    stepCount: zod.number().describe('The number of steps of the user flow.'),
+    succeeded: zod.boolean().describe('Whether all steps succeeded.'),
+  },
+  handler: async (request, response, context) => {
+    const filePath = path.resolve(request.params.filePath);
+    let flow: UserFlow;
+    try {
+      flow = parseUserFlow(JSON.parse(await fs.readFile(filePath, 'utf-8')));
+    } catch (error) {
+      throw new Error(
+        `Failed to read the user flow from ${filePath}: ${(error as Error).message}`,
+      );
+    }
+
+    const results = await runUserFlow(flow, context.getSelectedPage(), action =>
+      context.waitForEventsAfterAction(action),
+    );
+    const failed = results.find(result => result.error);
+
+    response.appendResponseLine(`## Replay of "${flow.title}"`);
+    for (const [idx, result] of results.entries()) {
+      const status = result.error ? `failed\n   ${result.error}` : 'succeeded';
+      response.appendResponseLine(
+        `${idx + 1}. ${describeStep(result.step)} (${result.duration} ms): ${status}`,
+      );
+    }
+    if (failed) {
+      response.appendResponseLine(
+        `Step ${results.length} of ${flow.steps.length} failed. The remaining steps were not run.`,
+      );
+      response.includeSnapshot();
+    } else {
+      response.appendResponseLine(`All ${flow.steps.length} steps succeeded.`);
+    }
+    response.setStructuredContent({
+      steps: results.map(result => ({
+        step: describeStep(result.step),
+        duration: result.duration,
+        error: result.error,
+      })),
+      stepCount: flow.steps.length,
+      succeeded: !failed,
+    });
+  },
+});
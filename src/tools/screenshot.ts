@@ -4,6 +4,7 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
+import {getScreenshotResourceUri} from '../resources.js';
 import {zod} from '../third_party/index.js';
 import type {ElementHandle, Page} from '../third_party/index.js';
 
@@ -17,6 +18,7 @@ export const screenshot = defineTool({
     category: ToolCategory.DEBUGGING,
     // Not read-only due to filePath param.
     readOnlyHint: false,
+    writesToFilePathOnly: true,
   },
   schema: {
     format: zod
@@ -50,6 +52,12 @@ export const screenshot = defineTool({
         'The absolute path, or a path relative to the current working directory, to save the screenshot to instead of attaching it to the response.',
       ),
   },
+  outputSchema: {
+    filePath: zod
+      .string()
+      .optional()
+      .describe('The file the screenshot was saved to.'),
+  },
   handler: async (request, response, context) => {
     if (request.params.uid && request.params.fullPage) {
       throw new Error('Providing both "uid" and "fullPage" is not allowed.');
@@ -86,12 +94,22 @@ export const screenshot = defineTool({
     if (request.params.filePath) {
       const file = await context.saveFile(screenshot, request.params.filePath);
       response.appendResponseLine(`Saved screenshot to ${file.filename}.`);
+      response.setStructuredContent({filePath: file.filename});
     } else if (screenshot.length >= 2_000_000) {
-      const {filename} = await context.saveTemporaryFile(
-        screenshot,
-        `image/${request.params.format}`,
-      );
+      const mimeType = `image/${request.params.format}` as const;
+      const {filename} = await context.saveTemporaryFile(screenshot, mimeType);
       response.appendResponseLine(`Saved screenshot to ${filename}.`);
+      response.setStructuredContent({filePath: filename});
+      const screenshotId = context.storeScreenshot({
+        data: screenshot,
+        mimeType,
+      });
+      response.attachResourceLink({
+        uri: getScreenshotResourceUri(screenshotId),
+        name: `Screenshot ${screenshotId}`,
+        mimeType,
+        description: 'The screenshot that was too large to attach.',
+      });
     } else {
       response.attachImage({
         mimeType: `image/${request.params.format}`,
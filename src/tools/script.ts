@@ -5,14 +5,39 @@
  */
 
 import {zod} from '../third_party/index.js';
-import type {Frame, JSHandle, Page} from '../third_party/index.js';
+import type {Frame, JSHandle, Page, WebWorker} from '../third_party/index.js';
 
 import {ToolCategory} from './categories.js';
 import {defineTool} from './ToolDefinition.js';
+import type {Response} from './ToolDefinition.js';
+
+function appendResult(response: Response, result: string | undefined) {
+  response.appendResponseLine('```json');
+  response.appendResponseLine(`${result}`);
+  response.appendResponseLine('```');
+  response.setStructuredContent({
+    result: result === undefined ? undefined : JSON.parse(result),
+  });
+}
+
+async function evaluateInWorker(
+  worker: WebWorker,
+  fnDeclaration: string,
+): Promise<string | undefined> {
+  const fn = await worker.evaluateHandle(`(${fnDeclaration})`);
+  try {
+    return await worker.evaluate(async fn => {
+      // @ts-expect-error no types.
+      return JSON.stringify(await fn());
+    }, fn);
+  } finally {
+    void fn.dispose();
+  }
+}
 
 export const evaluateScript = defineTool({
   name: 'evaluate_script',
-  description: `Evaluate a JavaScript function inside the currently selected page. Returns the response as JSON
+  description: `Evaluate a JavaScript function inside the currently selected page, one of its frames or one of its workers. Returns the response as JSON
 so returned values have to JSON-serializable.`,
   annotations: {
     category: ToolCategory.DEBUGGING,
@@ -43,11 +68,51 @@ Example with arguments: \`(el) => {
       )
       .optional()
       .describe(`An optional list of arguments to pass to the function.`),
+    workerId: zod
+      .number()
+      .int()
+      .optional()
+      .describe(
+        'The id of a worker to evaluate the function in instead of the page. Call list_workers to list the workers. Element arguments cannot be passed to workers.',
+      ),
+    frameId: zod
+      .number()
+      .int()
+      .optional()
+      .describe(
+        'The id of a frame of the page to evaluate the function in. Call list_frames to list the frames. Defaults to the main frame, or to the frame of the element arguments.',
+      ),
+  },
+  outputSchema: {
+    result: zod
+      .unknown()
+      .optional()
+      .describe('The JSON value returned by the function.'),
   },
   handler: async (request, response, context) => {
+    if (request.params.workerId !== undefined) {
+      if (request.params.frameId !== undefined) {
+        throw new Error('Only one of workerId and frameId can be passed.');
+      }
+      if (request.params.args?.length) {
+        throw new Error('Element arguments cannot be passed to workers.');
+      }
+      const worker = context.getWorkerById(request.params.workerId);
+      await context.waitForEventsAfterAction(async () => {
+        const result = await evaluateInWorker(worker, request.params.function);
+        response.appendResponseLine(
+          `Script ran in worker ${request.params.workerId} and returned:`,
+        );
+        appendResult(response, result);
+      });
+      return;
+    }
     const args: Array<JSHandle<unknown>> = [];
     try {
       const frames = new Set<Frame>();
+      if (request.params.frameId !== undefined) {
+        frames.add(context.getFrameById(request.params.frameId));
+      }
       for (const el of request.params.args ?? []) {
         const handle = await context.getElementByUid(el.uid);
         frames.add(handle.frame);
@@ -57,7 +122,9 @@ Example with arguments: \`(el) => {
       // We can't evaluate the element handle across frames
       if (frames.size > 1) {
         throw new Error(
-          "Elements from different frames can't be evaluated together.",
+          request.params.frameId !== undefined
+            ? `Elements from other frames can't be evaluated in the frame ${request.params.frameId}.`
+            : "Elements from different frames can't be evaluated together.",
         );
       } else {
         pageOrFrame = [...frames.values()][0] ?? context.getSelectedPage();
@@ -74,10 +141,12 @@ Example with arguments: \`(el) => {
           },
           ...args,
         );
-        response.appendResponseLine('Script ran on page and returned:');
-        response.appendResponseLine('```json');
-        response.appendResponseLine(`${result}`);
-        response.appendResponseLine('```');
+        response.appendResponseLine(
+          request.params.frameId !== undefined
+            ? `Script ran in frame ${request.params.frameId} and returned:`
+            : 'Script ran on page and returned:',
+        );
+        appendResult(response, result);
       });
     } finally {
       void Promise.allSettled(args.map(arg => arg.dispose()));
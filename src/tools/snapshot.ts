@@ -13,11 +13,12 @@ export const takeSnapshot = defineTool({
   name: 'take_snapshot',
   description: `Take a text snapshot of the currently selected page based on the a11y tree. The snapshot lists page elements along with a unique
 identifier (uid). Always use the latest snapshot. Prefer taking a snapshot over taking a screenshot. The snapshot indicates the element selected
-in the DevTools Elements panel (if any).`,
+in the DevTools Elements panel (if any) and marks the iframes with the id of the frame they embed.`,
   annotations: {
     category: ToolCategory.DEBUGGING,
     // Not read-only due to filePath param.
     readOnlyHint: false,
+    writesToFilePathOnly: true,
   },
   schema: {
     verbose: zod
@@ -32,24 +33,43 @@ in the DevTools Elements panel (if any).`,
       .describe(
         'The absolute path, or a path relative to the current working directory, to save the snapshot to instead of attaching it to the response.',
       ),
+    frameId: zod
+      .number()
+      .int()
+      .optional()
+      .describe(
+        'The id of a frame to limit the snapshot to. Call list_frames to list the frames. Defaults to the whole page including its iframes.',
+      ),
   },
-  handler: async (request, response) => {
+  handler: async (request, response, context) => {
+    if (request.params.frameId !== undefined) {
+      // Fails early for unknown frames.
+      context.getFrameById(request.params.frameId);
+    }
     response.includeSnapshot({
       verbose: request.params.verbose ?? false,
       filePath: request.params.filePath,
+      frameId: request.params.frameId,
     });
   },
 });
 
 export const waitFor = defineTool({
   name: 'wait_for',
-  description: `Wait for the specified text to appear on the selected page.`,
+  description: `Wait for the specified text to appear on the selected page or in one of its frames.`,
   annotations: {
     category: ToolCategory.NAVIGATION,
     readOnlyHint: true,
   },
   schema: {
     text: zod.string().describe('Text to appear on the page'),
+    frameId: zod
+      .number()
+      .int()
+      .optional()
+      .describe(
+        'The id of a frame to wait for the text in. Call list_frames to list the frames. Defaults to any frame of the page.',
+      ),
     ...timeoutSchema,
   },
   handler: async (request, response, context) => {
@@ -59,6 +79,9 @@ export const waitFor = defineTool({
       `Element with text "${request.params.text}" found.`,
     );
 
-    response.includeSnapshot();
+    response.includeSnapshot({
+      verbose: false,
+      frameId: request.params.frameId,
+    });
   },
 });
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  parseStorageState,
+  readStorageState,
+  writeStorageState,
+} from '../storageState.js';
+import type {StorageState} from '../storageState.js';
+import {zod} from '../third_party/index.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool, timeoutSchema} from './ToolDefinition.js';
+
+function describeOrigins(state: StorageState): string {
+  return state.origins.length
+    ? state.origins.map(origin => origin.origin).join(', ')
+    : 'none';
+}
+
+export const saveStorageState = defineTool({
+  name: 'save_storage_state',
+  description: `Saves the cookies of the selected page's browser context and the localStorage, sessionStorage and IndexedDB data of the origins open in its pages to a JSON file. Use load_storage_state to start a later session already logged in.`,
+  annotations: {
+    category: ToolCategory.NAVIGATION,
+    readOnlyHint: false,
+  },
+  schema: {
+    filePath: zod
+      .string()
+      .describe(
+        'The absolute path, or a path relative to the current working directory, to save the storage state to.',
+      ),
+  },
+  outputSchema: {
+    filePath: zod.string().describe('The file the state was saved to.'),
+    cookieCount: zod.number(),
+    origins: zod.array(zod.string()),
+  },
+  handler: async (request, response, context) => {
+    const state = await readStorageState(
+      context.getSelectedPage(),
+      context.getPages(),
+    );
+    const file = await context.saveFile(
+      new TextEncoder().encode(JSON.stringify(state, null, 2)),
+      request.params.filePath,
+    );
+    context.recordUnsupportedUserFlowAction('save_storage_state');
+    response.appendResponseLine(
+      `Saved ${state.cookies.length} cookies and the storage of the origins: ${describeOrigins(state)} to ${file.filename}.`,
+    );
+    response.setStructuredContent({
+      filePath: file.filename,
+      cookieCount: state.cookies.length,
+      origins: state.origins.map(origin => origin.origin),
+    });
+  },
+});
+
+export const loadStorageState = defineTool({
+  name: 'load_storage_state',
+  description: `Restores cookies, localStorage, sessionStorage and IndexedDB data saved with save_storage_state into the selected page's browser context, or into a new page of a fresh isolated context. Navigate to one of the restored origins afterwards to use the state.`,
+  annotations: {
+    category: ToolCategory.NAVIGATION,
+    readOnlyHint: false,
+  },
+  schema: {
+    filePath: zod
+      .string()
+      .describe(
+        'The absolute path, or a path relative to the current working directory, of the storage state file.',
+      ),
+    isolatedContext: zod
+      .string()
+      .min(1)
+      .optional()
+      .describe(
+        'The name of an isolated context to open a new page in and restore the state into. See new_page.',
+      ),
+    ...timeoutSchema,
+  },
+  outputSchema: {
+    cookieCount: zod.number(),
+    origins: zod.array(zod.string()),
+  },
+  handler: async (request, response, context) => {
+    const filePath = path.resolve(request.params.filePath);
+    let state: StorageState;
+    try {
+      state = parseStorageState(
+        JSON.parse(await fs.readFile(filePath, 'utf-8')),
+      );
+    } catch (error) {
+      throw new Error(
+        `Failed to read the storage state from ${filePath}: ${(error as Error).message}`,
+      );
+    }
+    const page = request.params.isolatedContext
+      ? await context.newPage(request.params.isolatedContext)
+      : context.getSelectedPage();
+    await writeStorageState(page, state, {
+      timeout: request.params.timeout,
+      signal: context.getAbortSignal(),
+    });
+    context.recordUnsupportedUserFlowAction('load_storage_state');
+
+    response.appendResponseLine(
+      `Restored ${state.cookies.length} cookies and the storage of the origins: ${describeOrigins(state)}.`,
+    );
+    response.setIncludePages(true);
+    response.setStructuredContent({
+      cookieCount: state.cookies.length,
+      origins: state.origins.map(origin => origin.origin),
+    });
+  },
+});
@@ -0,0 +1,176 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {zod} from '../third_party/index.js';
+
+import {ToolCategory} from './categories.js';
+import {defineTool} from './ToolDefinition.js';
+
+const workerIdSchema = zod
+  .number()
+  .int()
+  .describe('The id of the worker. Call list_workers to list the workers.');
+
+export const listWorkers = defineTool({
+  name: 'list_workers',
+  description: `List the dedicated workers started by the selected page and the shared workers and service workers of its origin. Stopped workers are listed so that their output can be inspected.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: true,
+    requiresCdp: true,
+  },
+  schema: {},
+  outputSchema: {
+    workers: zod.array(
+      zod.object({
+        id: zod.number(),
+        type: zod.enum(['worker', 'shared_worker', 'service_worker']),
+        url: zod.string(),
+        running: zod.boolean(),
+      }),
+    ),
+  },
+  handler: async (_request, response, context) => {
+    const workers = context.getWorkers();
+    response.appendResponseLine('## Workers');
+    if (!workers.length) {
+      response.appendResponseLine('<no workers found>');
+    }
+    for (const worker of workers) {
+      response.appendResponseLine(
+        `workerid=${worker.id} [${worker.type}] ${worker.url} (${worker.running ? 'running' : 'stopped'})`,
+      );
+    }
+    response.setStructuredContent({workers});
+  },
+});
+
+export const listWorkerConsoleMessages = defineTool({
+  name: 'list_worker_console_messages',
+  description: `List the console messages and uncaught errors of a worker since it started.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: true,
+    requiresCdp: true,
+  },
+  schema: {
+    workerId: workerIdSchema,
+  },
+  outputSchema: {
+    messages: zod.array(
+      zod.object({
+        type: zod.string(),
+        text: zod.string(),
+        timestamp: zod.number(),
+      }),
+    ),
+  },
+  handler: async (request, response, context) => {
+    const messages = context.getWorkerConsoleMessages(request.params.workerId);
+    response.appendResponseLine(
+      `## Console messages of worker ${request.params.workerId}`,
+    );
+    if (!messages.length) {
+      response.appendResponseLine('<no console messages found>');
+    }
+    for (const message of messages) {
+      response.appendResponseLine(`[${message.type}] ${message.text}`);
+    }
+    response.setStructuredContent({messages});
+  },
+});
+
+export const listWorkerNetworkRequests = defineTool({
+  name: 'list_worker_network_requests',
+  description: `List the network requests made by a worker since it started, such as the fetches of a service worker.`,
+  annotations: {
+    category: ToolCategory.NETWORK,
+    readOnlyHint: true,
+    requiresCdp: true,
+  },
+  schema: {
+    workerId: workerIdSchema,
+  },
+  outputSchema: {
+    requests: zod.array(
+      zod.object({
+        url: zod.string(),
+        method: zod.string(),
+        resourceType: zod.string().optional(),
+        status: zod.number().optional(),
+        failure: zod.string().optional(),
+      }),
+    ),
+  },
+  handler: async (request, response, context) => {
+    const requests = context.getWorkerNetworkRequests(request.params.workerId);
+    response.appendResponseLine(
+      `## Network requests of worker ${request.params.workerId}`,
+    );
+    if (!requests.length) {
+      response.appendResponseLine('<no requests found>');
+    }
+    for (const request of requests) {
+      const status = request.failure
+        ? `[failed - ${request.failure}]`
+        : request.status
+          ? `[${request.status}]`
+          : '[pending]';
+      response.appendResponseLine(`${request.method} ${request.url} ${status}`);
+    }
+    response.setStructuredContent({requests});
+  },
+});
+
+export const manageServiceWorkers = defineTool({
+  name: 'manage_service_workers',
+  description: `Updates or unregisters the service worker registrations of the selected page's origin. Updating checks for a new version of the service worker script. Unregistering takes effect once the pages controlled by the service worker are closed or reloaded.`,
+  annotations: {
+    category: ToolCategory.DEBUGGING,
+    readOnlyHint: false,
+  },
+  schema: {
+    action: zod
+      .enum(['update', 'unregister'])
+      .describe('What to do with the service worker registrations.'),
+  },
+  outputSchema: {
+    scopes: zod
+      .array(zod.string())
+      .describe('The scopes of the affected registrations.'),
+  },
+  handler: async (request, response, context) => {
+    const page = context.getSelectedPage();
+    const scopes = await page.evaluate(async action => {
+      if (!('serviceWorker' in navigator)) {
+        throw new Error('Service workers are not available on this page.');
+      }
+      const registrations = await navigator.serviceWorker.getRegistrations();
+      for (const registration of registrations) {
+        if (action === 'update') {
+          await registration.update();
+        } else {
+          await registration.unregister();
+        }
+      }
+      return registrations.map(registration => registration.scope);
+    }, request.params.action);
+    context.recordUnsupportedUserFlowAction('manage_service_workers');
+
+    if (!scopes.length) {
+      response.appendResponseLine(
+        `No service workers are registered for ${page.url()}.`,
+      );
+    } else {
+      const verb =
+        request.params.action === 'update' ? 'Updated' : 'Unregistered';
+      response.appendResponseLine(
+        `${verb} the service workers of the scopes: ${scopes.join(', ')}.`,
+      );
+    }
+    response.setStructuredContent({scopes});
+  },
+});
@@ -92,6 +92,39 @@ ${summaryText}
 ${extraFormatDescriptions}`;
 }
 
+export interface InsightSetMetrics {
+  insightSetId: string;
+  url: string;
+  lcpMs?: number;
+  inpMs?: number;
+  cls: number;
+  insights: string[];
+}
+
+/**
+ * Returns the Core Web Vitals and the available insights of every insight
+ * set of the trace.
+ */
+export function getTraceMetrics(result: TraceResult): InsightSetMetrics[] {
+  const metrics: InsightSetMetrics[] = [];
+  for (const insightSet of result.insights?.values() ?? []) {
+    const lcp = TraceEngine.Insights.Common.getLCP(insightSet);
+    const inp = TraceEngine.Insights.Common.getINP(insightSet);
+    const cls = TraceEngine.Insights.Common.getCLS(insightSet);
+    metrics.push({
+      insightSetId: insightSet.id,
+      url: insightSet.url.href,
+      lcpMs: lcp ? lcp.value / 1000 : undefined,
+      inpMs: inp ? inp.value / 1000 : undefined,
+      cls: cls.value,
+      insights: Object.entries(insightSet.model)
+        .filter(([, insight]) => !(insight instanceof Error))
+        .map(([name]) => name),
+    });
+  }
+  return metrics;
+}
+
 export type InsightName = keyof TraceEngine.Insights.Types.InsightModels;
 export type InsightOutput = {output: string} | {error: string};
 
@@ -0,0 +1,220 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import type {TextSnapshotNode} from './McpContext.js';
+import {
+  parse,
+  PuppeteerRunnerExtension,
+  StepType,
+  stringify,
+} from './third_party/index.js';
+import type {
+  ElementHandle,
+  Frame,
+  Key,
+  Page,
+  Step,
+  UserFlow,
+} from './third_party/index.js';
+
+export {StepType};
+export type {Step as UserFlowStep, UserFlow};
+
+/**
+ * An element as it is referenced by the steps of a DevTools Recorder flow.
+ */
+export interface UserFlowElement {
+  // Alternative selectors, from the most to the least robust one.
+  selectors: string[][];
+  // The path of child frame indexes from the main frame to the element's
+  // frame. Undefined for the main frame.
+  frame?: number[];
+  // The center of the element relative to its top left corner.
+  offsetX: number;
+  offsetY: number;
+}
+
+// Text selectors are only used for short texts that likely identify the
+// element.
+const MAX_TEXT_SELECTOR_LENGTH = 64;
+
+function getFramePath(frame: Frame): number[] | undefined {
+  const path: number[] = [];
+  let current = frame;
+  let parent = current.parentFrame();
+  while (parent) {
+    path.unshift(parent.childFrames().indexOf(current));
+    current = parent;
+    parent = current.parentFrame();
+  }
+  return path.length ? path : undefined;
+}
+
+/**
+ * Resolves an element of a snapshot into aria, text, CSS and XPath
+ * selectors that DevTools Recorder and Puppeteer understand.
+ */
+export async function getUserFlowElement(
+  handle: ElementHandle<Element>,
+  node: TextSnapshotNode | undefined,
+): Promise<UserFlowElement> {
+  const {css, xpath, text, width, height} = await handle.evaluate(element => {
+    const getCssSelector = (target: Element): string => {
+      const parts: string[] = [];
+      let current: Element | null = target;
+      while (current) {
+        if (current.id) {
+          parts.unshift(`#${CSS.escape(current.id)}`);
+          break;
+        }
+        let part = current.localName;
+        const parent: Element | null = current.parentElement;
+        if (parent) {
+          const siblings = Array.from(parent.children).filter(sibling => {
+            return sibling.localName === current?.localName;
+          });
+          if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+          }
+        }
+        parts.unshift(part);
+        current = parent;
+      }
+      return parts.join(' > ');
+    };
+    const getXPath = (target: Element): string => {
+      const parts: string[] = [];
+      let current: Element | null = target;
+      while (current) {
+        if (current.id && !current.id.includes('"')) {
+          parts.unshift(`//*[@id="${current.id}"]`);
+          return parts.join('/');
+        }
+        let part = current.localName;
+        const parent: Element | null = current.parentElement;
+        if (parent) {
+          const siblings = Array.from(parent.children).filter(sibling => {
+            return sibling.localName === current?.localName;
+          });
+          if (siblings.length > 1) {
+            part += `[${siblings.indexOf(current) + 1}]`;
+          }
+        }
+        parts.unshift(part);
+        current = parent;
+      }
+      return '/' + parts.join('/');
+    };
+    const rect = element.getBoundingClientRect();
+    return {
+      css: getCssSelector(element),
+      xpath: getXPath(element),
+      text: element.textContent?.trim() ?? '',
+      width: rect.width,
+      height: rect.height,
+    };
+  });
+
+  const selectors: string[][] = [];
+  const name = node?.name ? String(node.name) : '';
+  if (name) {
+    selectors.push([`aria/${name}[role="${node?.role}"]`]);
+  }
+  if (text && text.length <= MAX_TEXT_SELECTOR_LENGTH && text === name) {
+    selectors.push([`text/${text}`]);
+  }
+  selectors.push([css]);
+  selectors.push([`xpath/${xpath}`]);
+
+  return {
+    selectors,
+    frame: getFramePath(handle.frame),
+    offsetX: Math.round(width / 2),
+    offsetY: Math.round(height / 2),
+  };
+}
+
+/**
+ * Returns the steps that press the key with the modifiers, as parsed by
+ * `parseKey`.
+ */
+export function getKeySteps(key: string, modifiers: string[]): Step[] {
+  const keys = [...modifiers, key] as Key[];
+  return [
+    ...keys.map(key => ({type: StepType.KeyDown, key}) as const),
+    ...keys.toReversed().map(key => ({type: StepType.KeyUp, key}) as const),
+  ];
+}
+
+/**
+ * Converts the flow into a Puppeteer script.
+ */
+export function stringifyUserFlow(flow: UserFlow): Promise<string> {
+  return stringify(flow);
+}
+
+/**
+ * Validates that the data is a DevTools Recorder user flow.
+ */
+export function parseUserFlow(data: unknown): UserFlow {
+  return parse(data);
+}
+
+/**
+ * Describes a step by its type and its target, for example
+ * `click aria/Submit[role="button"]`.
+ */
+export function describeStep(step: Step): string {
+  if ('url' in step && step.type === StepType.Navigate) {
+    return `${step.type} ${step.url}`;
+  }
+  if ('selectors' in step && step.selectors.length) {
+    const [selector] = step.selectors;
+    return `${step.type} ${Array.isArray(selector) ? selector.join(' >>> ') : selector}`;
+  }
+  if ('key' in step) {
+    return `${step.type} ${step.key}`;
+  }
+  return step.type;
+}
+
+export interface ReplayedUserFlowStep {
+  step: Step;
+  duration: number;
+  // The error message if the step failed.
+  error?: string;
+}
+
+/**
+ * Runs the steps of the flow against the page until a step fails. Every step
+ * is executed by `runAction` so that the caller can wait for the page to
+ * settle after it.
+ */
+export async function runUserFlow(
+  flow: UserFlow,
+  page: Page,
+  runAction: (action: () => Promise<void>) => Promise<void>,
+): Promise<ReplayedUserFlowStep[]> {
+  const extension = new PuppeteerRunnerExtension(page.browser(), page, {
+    timeout: flow.timeout,
+  });
+  const results: ReplayedUserFlowStep[] = [];
+  for (const step of flow.steps) {
+    const startTime = performance.now();
+    try {
+      await runAction(() => extension.runStep(step, flow));
+      results.push({step, duration: Math.round(performance.now() - startTime)});
+    } catch (error) {
+      results.push({
+        step,
+        duration: Math.round(performance.now() - startTime),
+        error: (error as Error).message,
+      });
+      break;
+    }
+  }
+  return results;
+}
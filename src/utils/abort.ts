@@ -0,0 +1,42 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Rejects with the abort reason as soon as the signal is aborted, even if
+ * the promise itself never settles.
+ */
+export function abortable<T>(
+  promise: Promise<T>,
+  signal: AbortSignal | undefined,
+): Promise<T> {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  const {promise: aborted, reject} = Promise.withResolvers<never>();
+  const onAbort = () => {
+    reject(signal.reason);
+  };
+  signal.addEventListener('abort', onAbort, {once: true});
+  return Promise.race([promise, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Waits for the given time unless the signal is aborted first.
+ */
+export function sleep(time: number, signal?: AbortSignal): Promise<void> {
+  return abortable(
+    new Promise<void>(resolve => {
+      const id = setTimeout(resolve, time);
+      signal?.addEventListener('abort', () => clearTimeout(id), {once: true});
+    }),
+    signal,
+  );
+}
@@ -0,0 +1,29 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Converts a glob pattern where `*` matches any sequence of characters and
+ * `?` matches a single character to a regular expression.
+ */
+function globToRegExp(glob: string): RegExp {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesGlob(value: string, patterns: string[]): boolean {
+  return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
@@ -0,0 +1,39 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {sleep} from './abort.js';
+
+export interface BackoffOptions {
+  // The number of attempts including the first one.
+  attempts: number;
+  // The delay before the second attempt. Doubles after every attempt.
+  initialDelay: number;
+  maxDelay: number;
+  onRetry?: (error: unknown, delay: number) => void;
+}
+
+/**
+ * Calls the action until it succeeds, waiting exponentially longer between
+ * the attempts. Rejects with the error of the last attempt.
+ */
+export async function retryWithBackoff<T>(
+  action: () => Promise<T>,
+  options: BackoffOptions,
+): Promise<T> {
+  let delay = options.initialDelay;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await action();
+    } catch (error) {
+      if (attempt >= options.attempts) {
+        throw error;
+      }
+      options.onRetry?.(error, delay);
+      await sleep(delay);
+      delay = Math.min(delay * 2, options.maxDelay);
+    }
+  }
+}
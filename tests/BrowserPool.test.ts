@@ -0,0 +1,58 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {BrowserPool} from '../src/BrowserPool.js';
+
+describe('BrowserPool', () => {
+  function createPool() {
+    return new BrowserPool(
+      new Map([
+        ['default', 'The default browser.'],
+        ['clean', 'A clean profile.'],
+      ]),
+    );
+  }
+
+  it('selects the default browser initially', () => {
+    const pool = createPool();
+    assert.strictEqual(pool.selectedName, 'default');
+    assert.deepStrictEqual(pool.list(), [
+      {
+        name: 'default',
+        description: 'The default browser.',
+        running: false,
+        selected: true,
+      },
+      {
+        name: 'clean',
+        description: 'A clean profile.',
+        running: false,
+        selected: false,
+      },
+    ]);
+  });
+
+  it('selects a named browser', () => {
+    const pool = createPool();
+    pool.select('clean');
+    assert.strictEqual(pool.selectedName, 'clean');
+    assert.deepStrictEqual(
+      pool.list().map(browser => browser.selected),
+      [false, true],
+    );
+  });
+
+  it('rejects unknown browsers', () => {
+    const pool = createPool();
+    assert.throws(
+      () => pool.select('unknown'),
+      /No browser named "unknown". Available browsers: default, clean./,
+    );
+    assert.strictEqual(pool.selectedName, 'default');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {guessMimeType} from '../src/DownloadCollector.js';
+
+describe('DownloadCollector', () => {
+  describe('guessMimeType', () => {
+    it('uses the MIME type of data URLs', () => {
+      assert.strictEqual(
+        guessMimeType('data:text/csv;charset=utf-8,a,b', 'download'),
+        'text/csv',
+      );
+    });
+
+    it('guesses the MIME type from the extension', () => {
+      assert.strictEqual(
+        guessMimeType('https://example.com/export', 'Report.CSV'),
+        'text/csv',
+      );
+      assert.strictEqual(
+        guessMimeType('blob:https://example.com/1234', 'data.json'),
+        'application/json',
+      );
+    });
+
+    it('returns undefined for unknown extensions', () => {
+      assert.strictEqual(
+        guessMimeType('https://example.com/file', 'file.unknown'),
+        undefined,
+      );
+    });
+  });
+});
@@ -4,11 +4,19 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import {describe, it} from 'node:test';
 
+import logger from 'debug';
+import {Locator} from 'puppeteer';
 import sinon from 'sinon';
 
+import {ensureBrowserConnected, getConnectedBrowser} from '../src/browser.js';
+import {McpContext} from '../src/McpContext.js';
 import type {TraceResult} from '../src/trace-processing/parse.js';
+import {StepType} from '../src/userFlow.js';
 
 import {html, withBrowser} from './utils.js';
 
@@ -100,4 +108,194 @@ describe('McpContext', () => {
       },
     );
   });
+
+  it('uses its own browser context when isolated', async () => {
+    await withBrowser(async (_response, context) => {
+      const isolatedContext = await McpContext.from(
+        context.browser,
+        logger('test'),
+        {
+          experimentalDevToolsDebugging: false,
+          isolatedBrowserContext: true,
+        },
+        Locator,
+      );
+      const page = isolatedContext.getSelectedPage();
+      assert.strictEqual(page.browserContext(), isolatedContext.browserContext);
+      assert.notStrictEqual(
+        page.browserContext(),
+        context.getSelectedPage().browserContext(),
+      );
+      assert.deepStrictEqual(isolatedContext.getPages(), [page]);
+
+      await isolatedContext.dispose();
+      assert.ok(page.isClosed());
+      assert.ok(isolatedContext.browserContext?.closed);
+    });
+  });
+
+  it('removes only its temporary download directory on dispose', async () => {
+    await withBrowser(async (_response, context) => {
+      const createIsolatedContext = (downloadDir?: string) =>
+        McpContext.from(
+          context.browser,
+          logger('test'),
+          {
+            experimentalDevToolsDebugging: false,
+            isolatedBrowserContext: true,
+            downloadDir,
+          },
+          Locator,
+        );
+      const temporaryContext = await createIsolatedContext();
+      const temporaryDir = temporaryContext.getDownloadDir();
+      assert.ok(fs.existsSync(temporaryDir));
+      await temporaryContext.dispose();
+      assert.ok(!fs.existsSync(temporaryDir));
+
+      const downloadDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'chrome-devtools-mcp-'),
+      );
+      try {
+        const configuredContext = await createIsolatedContext(downloadDir);
+        await configuredContext.dispose();
+        assert.ok(fs.existsSync(downloadDir));
+      } finally {
+        fs.rmSync(downloadDir, {recursive: true, force: true});
+      }
+    });
+  });
+
+  it('restores pages and emulation after a reconnect', async () => {
+    await withBrowser(async (_response, context) => {
+      const createIsolatedContext = () =>
+        McpContext.from(
+          context.browser,
+          logger('test'),
+          {
+            experimentalDevToolsDebugging: false,
+            isolatedBrowserContext: true,
+          },
+          Locator,
+        );
+      const previousContext = await createIsolatedContext();
+      await previousContext
+        .getSelectedPage()
+        .goto('data:text/html,<p>first</p>');
+      const secondPage = await previousContext.newPage();
+      await secondPage.goto('data:text/html,<p>second</p>');
+      previousContext.setNetworkConditions('Slow 3G');
+      await previousContext.setDialogPolicy({policy: 'auto-accept'});
+      await previousContext.setDialogPolicy({policy: 'auto-dismiss'}, 1);
+      previousContext.recordUserFlowStep({
+        type: StepType.Navigate,
+        url: 'data:text/html,<p>second</p>',
+      });
+      previousContext.recordUnsupportedUserFlowAction('emulate');
+
+      const recoveredContext = await createIsolatedContext();
+      await recoveredContext.recoverFrom(previousContext);
+
+      assert.deepStrictEqual(
+        recoveredContext.getPages().map(page => page.url()),
+        ['data:text/html,<p>first</p>', 'data:text/html,<p>second</p>'],
+      );
+      assert.strictEqual(recoveredContext.getSelectedPageIdx(), 1);
+      assert.strictEqual(recoveredContext.getNetworkConditions(), 'Slow 3G');
+      const [report] = recoveredContext.takeRecoveryReports();
+      assert.ok(
+        report?.recovered.includes('Network emulation (Slow 3G) of page 1.'),
+      );
+      assert.ok(
+        report?.recovered.includes('The global auto-accept dialog policy.'),
+      );
+      assert.ok(
+        report?.recovered.includes('The auto-dismiss dialog policy of page 1.'),
+      );
+      assert.strictEqual(
+        recoveredContext.getDialogPolicy().policy,
+        'auto-accept',
+      );
+      assert.strictEqual(
+        recoveredContext.getPageDialogPolicy(1)?.policy,
+        'auto-dismiss',
+      );
+      assert.deepStrictEqual(recoveredContext.getRecordedUserFlow(), {
+        steps: [{type: StepType.Navigate, url: 'data:text/html,<p>second</p>'}],
+        unsupportedActions: ['emulate'],
+      });
+      assert.deepStrictEqual(recoveredContext.takeRecoveryReports(), []);
+
+      await previousContext.dispose();
+      await recoveredContext.dispose();
+    });
+  });
+
+  it('reconnects and restores pages after the connection is closed', async () => {
+    await withBrowser(async (_response, context) => {
+      // A second connection to the browser of withBrowser, so that closing
+      // it leaves the shared one untouched.
+      const name = `reconnect-${crypto.randomUUID()}`;
+      const connectOptions = {
+        wsEndpoint: context.browser.wsEndpoint(),
+        devtools: false,
+      };
+      const browser = await ensureBrowserConnected(connectOptions, name);
+      const previousContext = await McpContext.from(
+        browser,
+        logger('test'),
+        {experimentalDevToolsDebugging: false},
+        Locator,
+      );
+      const page = await previousContext.newPage();
+      await page.goto('data:text/html,<p>kept</p>');
+      previousContext.setNetworkConditions('Slow 3G');
+
+      await browser.disconnect();
+      assert.strictEqual(getConnectedBrowser(name), undefined);
+
+      const reconnectedBrowser = await ensureBrowserConnected(
+        connectOptions,
+        name,
+      );
+      assert.notStrictEqual(reconnectedBrowser, browser);
+      assert.ok(reconnectedBrowser.connected);
+      const recoveredContext = await McpContext.from(
+        reconnectedBrowser,
+        logger('test'),
+        {experimentalDevToolsDebugging: false},
+        Locator,
+      );
+      await recoveredContext.recoverFrom(previousContext);
+
+      const recoveredPage = recoveredContext.getSelectedPage();
+      assert.strictEqual(recoveredPage.url(), 'data:text/html,<p>kept</p>');
+      assert.strictEqual(recoveredContext.getNetworkConditions(), 'Slow 3G');
+      const [report] = recoveredContext.takeRecoveryReports();
+      assert.strictEqual(
+        report?.reason,
+        'The browser disconnected and the server reconnected to it.',
+      );
+      await recoveredPage.close();
+      await reconnectedBrowser.disconnect();
+    });
+  });
+
+  it('reloads crashed pages', async () => {
+    await withBrowser(async (_response, context) => {
+      const page = context.getSelectedPage();
+      await page.setContent(html`<p>content</p>`);
+      await context.createTextSnapshot();
+      page.emit('error', new Error('Page crashed!'));
+
+      await context.recoverCrashedPages();
+
+      const [report] = context.takeRecoveryReports();
+      assert.strictEqual(
+        report?.reason,
+        `Page 0 (${page.url()}) crashed and was reloaded.`,
+      );
+      assert.strictEqual(context.getTextSnapshot(), null);
+    });
+  });
 });
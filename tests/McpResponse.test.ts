@@ -9,6 +9,8 @@ import {tmpdir} from 'node:os';
 import {join} from 'node:path';
 import {describe, it} from 'node:test';
 
+import type {ResponseOutputData} from '../src/outputSchema.js';
+
 import {
   getMockRequest,
   getMockResponse,
@@ -145,6 +147,74 @@ describe('McpResponse', () => {
     });
   });
 
+  it('returns structured content', async () => {
+    await withBrowser(async (response, context) => {
+      response.appendResponseLine('Testing 1');
+      response.setIncludePages(true);
+      response.setStructuredContent({result: 42});
+      await response.handle('test', context);
+      assert.deepStrictEqual(response.structuredContent, {
+        message: 'Testing 1',
+        pages: [{pageIdx: 0, url: 'about:blank', selected: true}],
+        result: 42,
+      });
+    });
+  });
+
+  it('adds resource links when resources are attached', async () => {
+    await withBrowser(async (response, context) => {
+      response.attachResourceLink({
+        uri: 'devtools://trace/1',
+        name: 'Performance trace 1',
+        mimeType: 'application/json',
+      });
+      const result = await response.handle('test', context);
+      assert.strictEqual(result[0].text, `# test response`);
+      assert.deepStrictEqual(result[1], {
+        type: 'resource_link',
+        uri: 'devtools://trace/1',
+        name: 'Performance trace 1',
+        mimeType: 'application/json',
+      });
+    });
+  });
+
+  it('links the snapshot resource when a snapshot is included', async () => {
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.setContent(html`<button>Click me</button>`);
+      response.includeSnapshot();
+      const result = await response.handle('test', context);
+      const snapshotId = context.getTextSnapshot()?.snapshotId;
+      assert.ok(snapshotId);
+      assert.strictEqual(result[1].type, 'resource_link');
+      assert.strictEqual(result[1].uri, `devtools://snapshot/${snapshotId}`);
+    });
+  });
+
+  it('only returns the root of large snapshots as structured content', async () => {
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.setContent(
+        html`<ul>
+          ${Array.from({length: 1000}, (_, i) => `<li>Item ${i}</li>`).join('')}
+        </ul>`,
+      );
+      response.includeSnapshot();
+      const result = await response.handle('test', context);
+      const snapshotId = context.getTextSnapshot()?.snapshotId;
+      assert.ok(snapshotId);
+      const text = result[0].type === 'text' ? result[0].text : '';
+      assert.ok(text.includes('Item 999'));
+      const snapshot = response.structuredContent
+        .snapshot as ResponseOutputData['snapshot'];
+      assert.strictEqual(snapshot?.uri, `devtools://snapshot/${snapshotId}`);
+      assert.strictEqual(snapshot?.truncated, true);
+      assert.strictEqual(snapshot?.root?.role, 'RootWebArea');
+      assert.deepStrictEqual(snapshot?.root?.children, []);
+    });
+  });
+
   it('adds cpu throttling setting when it is over 1', async t => {
     await withBrowser(async (response, context) => {
       context.setCpuThrottlingRate(4);
@@ -286,6 +356,31 @@ describe('McpResponse', () => {
     });
   });
 
+  it('reports pages opened by an action', async () => {
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await context.waitForEventsAfterAction(async () => {
+        await page.evaluate(() => {
+          window.open('about:blank');
+        });
+      });
+      response.setIncludePages(true);
+      const result = await response.handle('test', context);
+      const text = result[0].type === 'text' ? result[0].text : '';
+      assert.ok(text.includes('## Opened pages'), text);
+      assert.ok(text.includes('This action opened page 1 (opener: page 0).'));
+      assert.ok(text.includes('1: about:blank [opener=0]'));
+      assert.deepStrictEqual(response.structuredContent.openedPages, [
+        {pageIdx: 1, url: 'about:blank', selected: false, openerIdx: 0},
+      ]);
+
+      // Opened pages are only reported once.
+      const nextResult = await response.handle('test', context);
+      const nextText = nextResult[0].type === 'text' ? nextResult[0].text : '';
+      assert.ok(!nextText.includes('## Opened pages'));
+    });
+  });
+
   it('adds a message when no console messages exist', async t => {
     await withBrowser(async (response, context) => {
       response.setIncludeConsoleData(true);
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {describe, it} from 'node:test';
+
+import {
+  collectUids,
+  describeElements,
+  getResponseText,
+  mapUids,
+  readRecordedSession,
+  SessionRecorder,
+} from '../src/SessionRecorder.js';
+
+import {getMockSnapshot} from './utils.js';
+
+describe('SessionRecorder', () => {
+  it('collects and maps the uids of the params', () => {
+    const params = {
+      from_uid: '1_1',
+      to_uid: '1_2',
+      elements: [{uid: '1_3', value: 'text'}],
+    };
+    assert.deepStrictEqual(collectUids(params), ['1_1', '1_2', '1_3']);
+    assert.deepStrictEqual(
+      mapUids(params, uid => uid.replace('1_', '2_')),
+      {
+        from_uid: '2_1',
+        to_uid: '2_2',
+        elements: [{uid: '2_3', value: 'text'}],
+      },
+    );
+  });
+
+  it('describes elements by role, name and occurrence', () => {
+    const snapshot = getMockSnapshot([
+      {role: 'RootWebArea', name: 'Page'},
+      {role: 'button', name: 'Save'},
+      {role: 'button', name: 'Save'},
+    ]);
+    assert.deepStrictEqual(describeElements(['1_2', '1_9'], snapshot), {
+      '1_2': {role: 'button', name: 'Save', occurrence: 1},
+    });
+  });
+
+  it('returns the text of a response', () => {
+    assert.strictEqual(
+      getResponseText({
+        content: [
+          {type: 'text', text: '# click response'},
+          {type: 'image', data: '', mimeType: 'image/png'},
+        ],
+      }),
+      '# click response\n[image]',
+    );
+  });
+
+  it('writes and reads tool calls', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-devtools-mcp-'));
+    const filePath = path.join(dir, 'session.jsonl');
+    const call = {
+      sessionId: 'session-1',
+      tool: 'click',
+      params: {uid: '1_1'},
+      elements: {'1_1': {role: 'button', name: 'Save', occurrence: 0}},
+      startTime: 0,
+      duration: 10,
+      isError: false,
+      response: '# click response',
+    };
+    try {
+      const recorder = new SessionRecorder(filePath);
+      recorder.record(call);
+      recorder.record(call);
+      await recorder.close();
+      assert.deepStrictEqual(readRecordedSession(filePath), [call, call]);
+    } finally {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+  });
+});
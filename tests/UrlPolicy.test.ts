@@ -0,0 +1,171 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import puppeteer from 'puppeteer';
+
+import {writeStorageState} from '../src/storageState.js';
+import {UrlPolicy} from '../src/UrlPolicy.js';
+
+import {serverHooks} from './server.js';
+import {html} from './utils.js';
+
+describe('UrlPolicy', () => {
+  const server = serverHooks();
+  it('is disabled without patterns', () => {
+    const policy = new UrlPolicy({allowedUrls: [], blockedUrls: []});
+    assert.strictEqual(policy.enabled, false);
+    assert.ok(policy.isAllowed('https://example.com'));
+  });
+
+  it('matches hostnames', () => {
+    const policy = new UrlPolicy({
+      allowedUrls: ['*.example.com', 'example.com'],
+      blockedUrls: [],
+    });
+    assert.strictEqual(policy.enabled, true);
+    assert.ok(policy.isAllowed('https://example.com/path'));
+    assert.ok(policy.isAllowed('http://docs.example.com/'));
+    assert.ok(!policy.isAllowed('https://example.org/'));
+    assert.ok(!policy.isAllowed('https://example.com.evil.test/'));
+  });
+
+  it('matches origins', () => {
+    const policy = new UrlPolicy({
+      allowedUrls: ['https://example.com', 'http://localhost:*/'],
+      blockedUrls: [],
+    });
+    assert.ok(policy.isAllowed('https://example.com/path?query'));
+    assert.ok(!policy.isAllowed('http://example.com/'));
+    assert.ok(policy.isAllowed('http://localhost:8080/index.html'));
+  });
+
+  it('matches full URLs', () => {
+    const policy = new UrlPolicy({
+      allowedUrls: [],
+      blockedUrls: ['https://example.com/admin/*'],
+    });
+    assert.ok(policy.isAllowed('https://example.com/'));
+    assert.ok(!policy.isAllowed('https://example.com/admin/users'));
+  });
+
+  it('gives blocked patterns precedence', () => {
+    const policy = new UrlPolicy({
+      allowedUrls: ['example.com'],
+      blockedUrls: ['https://example.com/private*'],
+    });
+    assert.ok(policy.isAllowed('https://example.com/public'));
+    assert.ok(!policy.isAllowed('https://example.com/private/file'));
+  });
+
+  it('ignores URLs that do not load content', () => {
+    const policy = new UrlPolicy({
+      allowedUrls: ['example.com'],
+      blockedUrls: [],
+    });
+    assert.ok(policy.isAllowed('about:blank'));
+    assert.ok(policy.isAllowed('data:text/html,test'));
+    assert.ok(!policy.isAllowed('file:///etc/passwd'));
+  });
+
+  describe('in the browser', () => {
+    // 127.0.0.1 is blocked while localhost is allowed.
+    function createPolicy() {
+      return new UrlPolicy({allowedUrls: ['localhost'], blockedUrls: []});
+    }
+
+    async function launch() {
+      // A browser of its own, as the policy applies to all future pages.
+      return await puppeteer.launch({
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+        headless: true,
+        pipe: true,
+      });
+    }
+
+    it('blocks the first navigation of a new page', async () => {
+      server.addHtmlRoute('/blocked', html`<p>Blocked</p>`);
+      const blockedUrl = server
+        .getRoute('/blocked')
+        .replace('localhost', '127.0.0.1');
+      const browser = await launch();
+      try {
+        const policy = createPolicy();
+        await policy.enforce(browser);
+        const page = await browser.newPage();
+        await policy.enforceOnPage(page);
+
+        await assert.rejects(page.goto(blockedUrl), /ERR_BLOCKED_BY_CLIENT/);
+        assert.deepStrictEqual(policy.takeBlockedRequests(page), [
+          {url: blockedUrl, resourceType: 'document'},
+        ]);
+      } finally {
+        await browser.close();
+      }
+    });
+
+    it('lets the storage state page serve its own documents', async () => {
+      const browser = await launch();
+      try {
+        const policy = createPolicy();
+        await policy.enforce(browser);
+        const page = await browser.newPage();
+        await policy.enforceOnPage(page);
+
+        // Nothing listens on the port, so the document has to come from the
+        // handler of the storage page rather than the network.
+        await writeStorageState(page, {
+          cookies: [],
+          origins: [
+            {
+              origin: 'http://localhost:1',
+              localStorage: [{name: 'token', value: 'abc'}],
+              sessionStorage: [],
+              indexedDB: [],
+            },
+          ],
+        });
+      } finally {
+        await browser.close();
+      }
+    });
+
+    it('closes popups opened to blocked URLs', async () => {
+      server.addHtmlRoute('/opener', html`<p>Opener</p>`);
+      server.addHtmlRoute('/popup', html`<p>Popup</p>`);
+      const popupUrl = server
+        .getRoute('/popup')
+        .replace('localhost', '127.0.0.1');
+      const browser = await launch();
+      try {
+        const policy = createPolicy();
+        await policy.enforce(browser);
+        const page = await browser.newPage();
+        await policy.enforceOnPage(page);
+        await page.goto(server.getRoute('/opener'));
+
+        const popupClosed = new Promise<void>(resolve => {
+          browser.on('targetdestroyed', target => {
+            if (target.url() === popupUrl) {
+              resolve();
+            }
+          });
+        });
+        await page.evaluate(url => {
+          window.open(url);
+        }, popupUrl);
+        await popupClosed;
+
+        assert.deepStrictEqual(policy.takeBlockedRequests(page), [
+          {url: popupUrl, resourceType: 'popup'},
+        ]);
+      } finally {
+        await browser.close();
+      }
+    });
+  });
+});
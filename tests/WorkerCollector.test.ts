@@ -0,0 +1,38 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {formatRemoteObject} from '../src/WorkerCollector.js';
+
+describe('WorkerCollector', () => {
+  describe('formatRemoteObject', () => {
+    it('formats values', () => {
+      assert.strictEqual(
+        formatRemoteObject({type: 'string', value: 'hello'}),
+        'hello',
+      );
+      assert.strictEqual(formatRemoteObject({type: 'number', value: 1}), '1');
+      assert.strictEqual(
+        formatRemoteObject({type: 'number', unserializableValue: 'NaN'}),
+        'NaN',
+      );
+      assert.strictEqual(formatRemoteObject({type: 'undefined'}), 'undefined');
+    });
+
+    it('formats objects by their description', () => {
+      assert.strictEqual(
+        formatRemoteObject({
+          type: 'object',
+          className: 'Object',
+          description: 'Object',
+          objectId: '1',
+        }),
+        'Object',
+      );
+    });
+  });
+});
@@ -4,9 +4,17 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import {describe, it} from 'node:test';
 
-import {parseArguments} from '../src/cli.js';
+import {applyProfile, parseArguments as parseCliArguments} from '../src/cli.js';
+
+// Config files in the ancestors of the test run must not affect the results.
+function parseArguments(version: string, argv: string[]) {
+  return parseCliArguments(version, argv, {discoverConfig: false});
+}
 
 describe('cli args parsing', () => {
   const defaultArgs = {
@@ -16,6 +24,9 @@ describe('cli args parsing', () => {
     categoryPerformance: true,
     'category-network': true,
     categoryNetwork: true,
+    'read-only': false,
+    readOnly: false,
+    transport: 'stdio',
   };
 
   it('parses with default args', async () => {
@@ -198,4 +209,202 @@ describe('cli args parsing', () => {
       categoryEmulation: false,
     });
   });
+
+  it('parses the http transport', async () => {
+    const args = parseArguments('1.0.0', [
+      'node',
+      'main.js',
+      '--transport',
+      'http',
+      '--port',
+      '8000',
+    ]);
+    assert.deepStrictEqual(args, {
+      ...defaultArgs,
+      _: [],
+      headless: false,
+      isolated: false,
+      $0: 'npx chrome-devtools-mcp@latest',
+      channel: 'stable',
+      transport: 'http',
+      port: 8000,
+    });
+  });
+
+  it('parses the tool policy', async () => {
+    const args = parseArguments('1.0.0', [
+      'node',
+      'main.js',
+      '--read-only',
+      '--include-tools',
+      'list_*,get_*',
+      '--include-tools',
+      'take_snapshot',
+      '--exclude-tools',
+      'list_console_messages',
+    ]);
+    assert.deepStrictEqual(args, {
+      ...defaultArgs,
+      _: [],
+      headless: false,
+      isolated: false,
+      $0: 'npx chrome-devtools-mcp@latest',
+      channel: 'stable',
+      'read-only': true,
+      readOnly: true,
+      'include-tools': ['list_*', 'get_*', 'take_snapshot'],
+      includeTools: ['list_*', 'get_*', 'take_snapshot'],
+      'exclude-tools': ['list_console_messages'],
+      excludeTools: ['list_console_messages'],
+    });
+  });
+
+  it('parses the URL policy', async () => {
+    const args = parseArguments('1.0.0', [
+      'node',
+      'main.js',
+      '--allowed-url',
+      '*.example.com,example.com',
+      '--blocked-url',
+      'https://example.com/admin/*',
+    ]);
+    assert.deepStrictEqual(args, {
+      ...defaultArgs,
+      _: [],
+      headless: false,
+      isolated: false,
+      $0: 'npx chrome-devtools-mcp@latest',
+      channel: 'stable',
+      'allowed-url': ['*.example.com', 'example.com'],
+      allowedUrl: ['*.example.com', 'example.com'],
+      'blocked-url': ['https://example.com/admin/*'],
+      blockedUrl: ['https://example.com/admin/*'],
+    });
+  });
+
+  it('parses the tool timeout', async () => {
+    const args = parseArguments('1.0.0', [
+      'node',
+      'main.js',
+      '--tool-timeout',
+      '30000',
+    ]);
+    assert.deepStrictEqual(args, {
+      ...defaultArgs,
+      _: [],
+      headless: false,
+      isolated: false,
+      $0: 'npx chrome-devtools-mcp@latest',
+      channel: 'stable',
+      'tool-timeout': 30000,
+      toolTimeout: 30000,
+    });
+  });
+
+  it('parses the firefox browser', async () => {
+    const args = parseArguments('1.0.0', [
+      'node',
+      'main.js',
+      '--browser',
+      'firefox',
+    ]);
+    assert.deepStrictEqual(args, {
+      ...defaultArgs,
+      _: [],
+      headless: false,
+      isolated: false,
+      $0: 'npx chrome-devtools-mcp@latest',
+      browser: 'firefox',
+    });
+  });
+
+  it('parses loadExtension', async () => {
+    const args = parseArguments('1.0.0', [
+      'node',
+      'main.js',
+      '--load-extension',
+      './extension-a',
+      '--load-extension',
+      './extension-b',
+    ]);
+    assert.deepStrictEqual(args, {
+      ...defaultArgs,
+      _: [],
+      headless: false,
+      isolated: false,
+      $0: 'npx chrome-devtools-mcp@latest',
+      channel: 'stable',
+      'load-extension': ['./extension-a', './extension-b'],
+      loadExtension: ['./extension-a', './extension-b'],
+    });
+  });
+
+  it('merges the config file profile with the flags', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-devtools-mcp-'));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        headless: true,
+        chromeArg: ['--no-sandbox'],
+        profiles: {mobile: {viewport: '390x844', isolated: true}},
+      }),
+    );
+    try {
+      const args = parseArguments('1.0.0', [
+        'node',
+        'main.js',
+        '--config',
+        configPath,
+        '--profile',
+        'mobile',
+        '--no-headless',
+      ]);
+      assert.deepStrictEqual(args, {
+        ...defaultArgs,
+        _: [],
+        headless: false,
+        isolated: true,
+        $0: 'npx chrome-devtools-mcp@latest',
+        channel: 'stable',
+        config: configPath,
+        profile: 'mobile',
+        'chrome-arg': ['--no-sandbox'],
+        chromeArg: ['--no-sandbox'],
+        viewport: {
+          width: 390,
+          height: 844,
+        },
+      });
+    } finally {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+  });
+
+  it('applies a profile over the arguments', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-devtools-mcp-'));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        profiles: {clean: {isolated: true, viewport: '390x844'}},
+      }),
+    );
+    try {
+      const args = parseArguments('1.0.0', [
+        'node',
+        'main.js',
+        '--config',
+        configPath,
+        '--headless',
+      ]);
+      const profileArgs = applyProfile(args, configPath, 'clean');
+      assert.strictEqual(profileArgs.headless, true);
+      assert.strictEqual(profileArgs.isolated, true);
+      assert.deepStrictEqual(profileArgs.viewport, {width: 390, height: 844});
+      assert.strictEqual(args.isolated, false);
+    } finally {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+  });
 });
@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {after, before, describe, it} from 'node:test';
+
+import {cliOptions} from '../src/cli.js';
+import {
+  CONFIG_FILE_NAME,
+  findConfigFile,
+  listProfiles,
+  loadConfig,
+  loadProfile,
+} from '../src/config.js';
+
+describe('config', () => {
+  let dir: string;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-devtools-mcp-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  function writeConfig(name: string, content: unknown): string {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+  }
+
+  it('loads the top-level options', () => {
+    const filePath = writeConfig('top-level.json', {
+      headless: true,
+      chromeArg: ['--no-sandbox'],
+    });
+    assert.deepStrictEqual(loadConfig(filePath, cliOptions), {
+      filePath,
+      values: {headless: true, chromeArg: ['--no-sandbox']},
+    });
+  });
+
+  it('merges the profile over the top-level options', () => {
+    const filePath = writeConfig('profiles.json', {
+      headless: true,
+      viewport: '1280x720',
+      profiles: {
+        'mobile-throttled': {viewport: '390x844'},
+        'ci-headless': {isolated: true},
+      },
+    });
+    assert.deepStrictEqual(
+      loadConfig(filePath, cliOptions, 'mobile-throttled').values,
+      {headless: true, viewport: '390x844'},
+    );
+  });
+
+  it('loads only the options of a profile', () => {
+    const filePath = writeConfig('browsers.json', {
+      headless: true,
+      profiles: {clean: {isolated: true}, remote: {wsEndpoint: 'ws://host'}},
+    });
+    assert.deepStrictEqual(listProfiles(filePath), ['clean', 'remote']);
+    assert.deepStrictEqual(loadProfile(filePath, cliOptions, 'clean'), {
+      isolated: true,
+    });
+  });
+
+  it('throws for unknown options', () => {
+    const filePath = writeConfig('unknown.json', {
+      profiles: {ci: {headles: true}},
+    });
+    assert.throws(
+      () => loadConfig(filePath, cliOptions, 'ci'),
+      /Unknown option "headles" in profile "ci" of config file/,
+    );
+  });
+
+  it('throws for options of the wrong type', () => {
+    const filePath = writeConfig('type.json', {chromeArg: '--no-sandbox'});
+    assert.throws(
+      () => loadConfig(filePath, cliOptions),
+      /Option "chromeArg" in config file .* must be an array of strings\./,
+    );
+  });
+
+  it('throws for unknown profiles', () => {
+    const filePath = writeConfig('missing-profile.json', {
+      profiles: {ci: {}},
+    });
+    assert.throws(
+      () => loadConfig(filePath, cliOptions, 'mobile'),
+      /Profile "mobile" is not defined in config file .*\. Available profiles: ci\./,
+    );
+  });
+
+  it('throws for invalid JSON', () => {
+    const filePath = path.join(dir, 'invalid.json');
+    fs.writeFileSync(filePath, '{headless: true}');
+    assert.throws(
+      () => loadConfig(filePath, cliOptions),
+      /Failed to read config file/,
+    );
+  });
+
+  it('finds the config file in ancestor directories', () => {
+    const nested = path.join(dir, 'project', 'src');
+    fs.mkdirSync(nested, {recursive: true});
+    const filePath = writeConfig(path.join('project', CONFIG_FILE_NAME), {});
+    assert.strictEqual(findConfigFile(nested), filePath);
+  });
+
+  it('rejects launch options in discovered config files', () => {
+    const filePath = writeConfig('discovered.json', {
+      headless: true,
+      profiles: {evil: {executablePath: '/tmp/evil'}},
+    });
+    assert.deepStrictEqual(loadConfig(filePath, cliOptions).values, {
+      headless: true,
+    });
+    assert.throws(() => loadConfig(filePath, cliOptions, undefined, true), {
+      message: `Option "executablePath" in profile "evil" of discovered config file ${filePath} can only be set in a config file passed with --config.`,
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {readExtensionManifest} from '../src/extensions.js';
+
+describe('extensions', () => {
+  describe('readExtensionManifest', () => {
+    let dir: string;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-devtools-mcp-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('reads a manifest v3 extension', async () => {
+      fs.writeFileSync(
+        path.join(dir, 'manifest.json'),
+        JSON.stringify({
+          name: 'My extension',
+          version: '1.2.3',
+          manifest_version: 3,
+          action: {default_popup: 'popup.html'},
+          options_ui: {page: 'options/index.html'},
+          background: {service_worker: 'background.js'},
+        }),
+      );
+      assert.deepStrictEqual(await readExtensionManifest(dir), {
+        name: 'My extension',
+        version: '1.2.3',
+        manifestVersion: 3,
+        popup: 'popup.html',
+        options: 'options/index.html',
+        serviceWorker: 'background.js',
+      });
+    });
+
+    it('reads a manifest v2 extension', async () => {
+      fs.writeFileSync(
+        path.join(dir, 'manifest.json'),
+        JSON.stringify({
+          name: 'Legacy extension',
+          version: '1.0',
+          browser_action: {default_popup: 'popup.html'},
+          options_page: 'options.html',
+        }),
+      );
+      assert.deepStrictEqual(await readExtensionManifest(dir), {
+        name: 'Legacy extension',
+        version: '1.0',
+        manifestVersion: 2,
+        popup: 'popup.html',
+        options: 'options.html',
+        serviceWorker: undefined,
+      });
+    });
+
+    it('resolves a localized name', async () => {
+      fs.writeFileSync(
+        path.join(dir, 'manifest.json'),
+        JSON.stringify({
+          name: '__MSG_appName__',
+          version: '1.0',
+          manifest_version: 3,
+          default_locale: 'en',
+        }),
+      );
+      fs.mkdirSync(path.join(dir, '_locales', 'en'), {recursive: true});
+      fs.writeFileSync(
+        path.join(dir, '_locales', 'en', 'messages.json'),
+        JSON.stringify({appname: {message: 'Localized extension'}}),
+      );
+      const manifest = await readExtensionManifest(dir);
+      assert.strictEqual(manifest.name, 'Localized extension');
+    });
+
+    it('fails without a manifest', async () => {
+      await assert.rejects(
+        readExtensionManifest(dir),
+        /Failed to read the extension manifest/,
+      );
+    });
+  });
+});
@@ -13,6 +13,7 @@ import {
   getFormattedHeaderValue,
   getFormattedRequestBody,
   getFormattedResponseBody,
+  getRequestSummaryData,
   getShortDescriptionForRequest,
 } from '../../src/formatters/networkFormatter.js';
 import {getMockRequest, getMockResponse} from '../utils.js';
@@ -83,6 +84,48 @@ describe('networkFormatter', () => {
     });
   });
 
+  describe('getRequestSummaryData', () => {
+    it('works for pending requests', async () => {
+      const request = getMockRequest();
+      const result = getRequestSummaryData(request, 1);
+
+      assert.deepStrictEqual(result, {
+        reqid: 1,
+        method: 'GET',
+        url: 'http://example.com',
+        resourceType: 'document',
+        status: 'pending',
+        statusCode: undefined,
+        failure: undefined,
+        selectedInDevTools: undefined,
+      });
+    });
+    it('includes the status code', async () => {
+      const response = getMockResponse({
+        status: 404,
+      });
+      const request = getMockRequest({response});
+      const result = getRequestSummaryData(request, 1, true);
+
+      assert.strictEqual(result.status, 'failed');
+      assert.strictEqual(result.statusCode, 404);
+      assert.strictEqual(result.selectedInDevTools, true);
+    });
+    it('includes the failure', async () => {
+      const request = getMockRequest({
+        failure() {
+          return {
+            errorText: 'Error in Network',
+          };
+        },
+      });
+      const result = getRequestSummaryData(request, 1);
+
+      assert.strictEqual(result.status, 'failed');
+      assert.strictEqual(result.failure, 'Error in Network');
+    });
+  });
+
   describe('getFormattedHeaderValue', () => {
     it('works', () => {
       const result = getFormattedHeaderValue({
@@ -9,7 +9,11 @@ import {describe, it} from 'node:test';
 
 import type {ElementHandle} from 'puppeteer-core';
 
-import {formatSnapshotNode} from '../../src/formatters/snapshotFormatter.js';
+import {
+  countSnapshotNodes,
+  formatSnapshotNode,
+  getSnapshotNodeData,
+} from '../../src/formatters/snapshotFormatter.js';
 import type {TextSnapshotNode} from '../../src/McpContext.js';
 
 describe('snapshotFormatter', () => {
@@ -148,4 +152,125 @@ describe('snapshotFormatter', () => {
 `,
     );
   });
+
+  it('returns the data of a snapshot', () => {
+    const node: TextSnapshotNode = {
+      id: '1_1',
+      role: 'checkbox',
+      name: 'checkbox',
+      checked: true,
+      children: [
+        {
+          id: '1_2',
+          role: 'statictext',
+          name: 'text',
+          children: [],
+          elementHandle: async (): Promise<ElementHandle<Element> | null> => {
+            return null;
+          },
+        },
+      ],
+      elementHandle: async (): Promise<ElementHandle<Element> | null> => {
+        return null;
+      },
+    };
+
+    const data = getSnapshotNodeData(node, {
+      root: node,
+      idToNode: new Map(),
+      snapshotId: '1',
+      selectedElementUid: '1_2',
+    });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(data)), {
+      uid: '1_1',
+      role: 'checkbox',
+      name: 'checkbox',
+      attributes: {checked: true},
+      children: [
+        {
+          uid: '1_2',
+          role: 'statictext',
+          name: 'text',
+          selectedInDevTools: true,
+          children: [],
+        },
+      ],
+    });
+  });
+
+  it('leaves out nodes below the maximum depth', () => {
+    const elementHandle = async (): Promise<ElementHandle<Element> | null> => {
+      return null;
+    };
+    const node: TextSnapshotNode = {
+      id: '1_1',
+      role: 'RootWebArea',
+      children: [
+        {
+          id: '1_2',
+          role: 'list',
+          children: [
+            {id: '1_3', role: 'listitem', children: [], elementHandle},
+          ],
+          elementHandle,
+        },
+      ],
+      elementHandle,
+    };
+
+    assert.strictEqual(countSnapshotNodes(node), 3);
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(getSnapshotNodeData(node, undefined, 0))),
+      {uid: '1_1', role: 'RootWebArea', children: []},
+    );
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(getSnapshotNodeData(node, undefined, 1))),
+      {
+        uid: '1_1',
+        role: 'RootWebArea',
+        children: [{uid: '1_2', role: 'list', children: []}],
+      },
+    );
+  });
+
+  it('marks frame boundaries', () => {
+    const node: TextSnapshotNode = {
+      id: '1_1',
+      role: 'Iframe',
+      frame: {
+        id: 2,
+        parentId: 1,
+        url: 'https://pay.example/checkout',
+        origin: 'https://pay.example',
+        outOfProcess: true,
+      },
+      children: [
+        {
+          id: '1_2',
+          role: 'RootWebArea',
+          name: 'Checkout',
+          children: [],
+          elementHandle: async (): Promise<ElementHandle<Element> | null> => {
+            return null;
+          },
+        },
+      ],
+      elementHandle: async (): Promise<ElementHandle<Element> | null> => {
+        return null;
+      },
+    };
+
+    assert.strictEqual(
+      formatSnapshotNode(node),
+      `uid=1_1 Iframe [frame frameid=2 url="https://pay.example/checkout" out-of-process]
+  uid=1_2 RootWebArea "Checkout"
+`,
+    );
+    const data = getSnapshotNodeData(node);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(data.frame)), {
+      frameId: 2,
+      url: 'https://pay.example/checkout',
+      outOfProcess: true,
+    });
+  });
 });
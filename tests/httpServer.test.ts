@@ -0,0 +1,85 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import type http from 'node:http';
+import type {AddressInfo} from 'node:net';
+import {describe, it} from 'node:test';
+
+import {Client} from '@modelcontextprotocol/sdk/client/index.js';
+import {StreamableHTTPClientTransport} from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+import {MCP_ENDPOINT, startHttpServer} from '../src/httpServer.js';
+import {McpServer} from '../src/third_party/index.js';
+
+describe('startHttpServer', () => {
+  async function withHttpServer(
+    sessionIdleTimeout: number,
+    cb: (url: URL, closedSessions: string[]) => Promise<void>,
+  ) {
+    const closedSessions: string[] = [];
+    const port = 10101 + Math.floor(Math.random() * 10000);
+    const httpServer: http.Server = await startHttpServer({
+      port,
+      sessionIdleTimeout,
+      createServer: () => {
+        const server = new McpServer({name: 'test', version: '1.0.0'});
+        server.server.onclose = () => {
+          closedSessions.push('closed');
+        };
+        return server;
+      },
+    });
+    try {
+      const {port: actualPort} = httpServer.address() as AddressInfo;
+      await cb(
+        new URL(`http://127.0.0.1:${actualPort}${MCP_ENDPOINT}`),
+        closedSessions,
+      );
+    } finally {
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  }
+
+  it('closes idle Streamable HTTP sessions', async () => {
+    await withHttpServer(100, async (url, closedSessions) => {
+      const transport = new StreamableHTTPClientTransport(url);
+      const client = new Client({name: 'idle', version: '1.0.0'});
+      await client.connect(transport);
+      const sessionId = transport.sessionId;
+      assert.ok(sessionId);
+      // Goes away without ending the session with a DELETE request.
+      await client.close();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.deepStrictEqual(closedSessions, ['closed']);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          'mcp-session-id': sessionId,
+        },
+        body: JSON.stringify({jsonrpc: '2.0', id: 1, method: 'ping'}),
+      });
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  it('keeps sessions with requests open', async () => {
+    await withHttpServer(300, async (url, closedSessions) => {
+      const client = new Client({name: 'active', version: '1.0.0'});
+      await client.connect(new StreamableHTTPClientTransport(url));
+      for (let i = 0; i < 4; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await client.ping();
+      }
+      assert.deepStrictEqual(closedSessions, []);
+      await client.close();
+    });
+  });
+});
@@ -4,11 +4,15 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import assert from 'node:assert';
+import {spawn} from 'node:child_process';
 import fs from 'node:fs';
 import {describe, it} from 'node:test';
 
 import {Client} from '@modelcontextprotocol/sdk/client/index.js';
+import {SSEClientTransport} from '@modelcontextprotocol/sdk/client/sse.js';
 import {StdioClientTransport} from '@modelcontextprotocol/sdk/client/stdio.js';
+import {StreamableHTTPClientTransport} from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {LoggingMessageNotificationSchema} from '@modelcontextprotocol/sdk/types.js';
 import {executablePath} from 'puppeteer';
 
 describe('e2e', () => {
@@ -53,6 +57,9 @@ describe('e2e', () => {
             text: '# list_pages response\n## Pages\n0: about:blank [selected]',
           },
         ],
+        structuredContent: {
+          pages: [{pageIdx: 0, url: 'about:blank', selected: true}],
+        },
       });
     });
   });
@@ -74,6 +81,9 @@ describe('e2e', () => {
             text: '# list_pages response\n## Pages\n0: about:blank [selected]',
           },
         ],
+        structuredContent: {
+          pages: [{pageIdx: 0, url: 'about:blank', selected: true}],
+        },
       });
     });
   });
@@ -99,4 +109,107 @@ describe('e2e', () => {
       assert.deepStrictEqual(exposedNames, definedNames);
     });
   });
+
+  async function withHttpServer(cb: (port: number) => Promise<void>) {
+    const port = 10101 + Math.floor(Math.random() * 10000);
+    const serverProcess = spawn('node', [
+      'build/src/index.js',
+      '--headless',
+      '--isolated',
+      '--executable-path',
+      executablePath(),
+      '--transport',
+      'http',
+      '--port',
+      String(port),
+    ]);
+    try {
+      await new Promise<void>((resolve, reject) => {
+        serverProcess.once('exit', reject);
+        serverProcess.stderr.on('data', chunk => {
+          if (String(chunk).includes('chrome-devtools-mcp exposes content')) {
+            resolve();
+          }
+        });
+      });
+      await cb(port);
+    } finally {
+      serverProcess.kill();
+    }
+  }
+
+  it('serves several clients over HTTP', async () => {
+    await withHttpServer(async port => {
+      const streamableClient = new Client({
+        name: 'e2e-test-streamable',
+        version: '1.0.0',
+      });
+      const sseClient = new Client({
+        name: 'e2e-test-sse',
+        version: '1.0.0',
+      });
+      await streamableClient.connect(
+        new StreamableHTTPClientTransport(
+          new URL(`http://127.0.0.1:${port}/mcp`),
+        ),
+      );
+      await sseClient.connect(
+        new SSEClientTransport(new URL(`http://127.0.0.1:${port}/sse`)),
+      );
+      try {
+        const streamableTools = await streamableClient.listTools();
+        const sseTools = await sseClient.listTools();
+        assert.ok(streamableTools.tools.length > 0);
+        assert.deepStrictEqual(
+          streamableTools.tools.map(t => t.name),
+          sseTools.tools.map(t => t.name),
+        );
+      } finally {
+        await streamableClient.close();
+        await sseClient.close();
+      }
+    });
+  });
+
+  it('forwards the logs of a tool call only to its client', async () => {
+    await withHttpServer(async port => {
+      const clients = ['alice', 'bob'].map(
+        name => new Client({name, version: '1.0.0'}),
+      );
+      const logs: string[][] = [[], []];
+      try {
+        for (const [index, client] of clients.entries()) {
+          client.setNotificationHandler(
+            LoggingMessageNotificationSchema,
+            notification => {
+              logs[index].push(String(notification.params.data));
+            },
+          );
+          await client.connect(
+            new StreamableHTTPClientTransport(
+              new URL(`http://127.0.0.1:${port}/mcp`),
+            ),
+          );
+          await client.setLoggingLevel('debug');
+        }
+
+        await clients[0].callTool({
+          name: 'new_page',
+          arguments: {url: 'data:text/html,secret'},
+        });
+
+        assert.ok(
+          logs[0].some(message => message.startsWith('new_page request')),
+        );
+        assert.deepStrictEqual(
+          logs[1].filter(message => message.includes('new_page')),
+          [],
+        );
+      } finally {
+        for (const client of clients) {
+          await client.close();
+        }
+      }
+    });
+  });
 });
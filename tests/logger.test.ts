@@ -0,0 +1,92 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {addLogListener, logger, runInLogScope} from '../src/logger.js';
+import type {LoggingLevel} from '../src/third_party/index.js';
+
+describe('logger', () => {
+  it('notifies listeners of formatted messages', () => {
+    const messages: Array<[LoggingLevel, string]> = [];
+    const removeListener = addLogListener((level, message) => {
+      messages.push([level, message]);
+    });
+    try {
+      logger('Opened %d pages', 2);
+    } finally {
+      removeListener();
+    }
+    assert.deepStrictEqual(messages, [['debug', 'Opened 2 pages']]);
+  });
+
+  it('reports messages with errors at the error level', () => {
+    const levels: LoggingLevel[] = [];
+    const removeListener = addLogListener(level => {
+      levels.push(level);
+    });
+    try {
+      logger('Failed to close the page', new Error('Target closed'));
+    } finally {
+      removeListener();
+    }
+    assert.deepStrictEqual(levels, ['error']);
+  });
+
+  it('stops notifying removed listeners', () => {
+    let calls = 0;
+    const removeListener = addLogListener(() => {
+      calls++;
+    });
+    removeListener();
+    logger('Not forwarded');
+    assert.strictEqual(calls, 0);
+  });
+
+  it('only notifies listeners of the scope the message was logged in', async () => {
+    const alice = {};
+    const bob = {};
+    const messages = {
+      alice: [] as string[],
+      bob: [] as string[],
+      all: [] as string[],
+    };
+    const removeListeners = [
+      addLogListener((_level, message) => {
+        messages.alice.push(message);
+      }, alice),
+      addLogListener((_level, message) => {
+        messages.bob.push(message);
+      }, bob),
+      addLogListener((_level, message) => {
+        messages.all.push(message);
+      }),
+    ];
+    try {
+      await Promise.all([
+        runInLogScope(alice, async () => {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          logger('fill request: password');
+        }),
+        runInLogScope(bob, async () => {
+          logger('navigate request');
+        }),
+      ]);
+      logger('Server started');
+    } finally {
+      for (const removeListener of removeListeners) {
+        removeListener();
+      }
+    }
+    assert.deepStrictEqual(messages.alice, ['fill request: password']);
+    assert.deepStrictEqual(messages.bob, ['navigate request']);
+    assert.deepStrictEqual(messages.all, [
+      'navigate request',
+      'fill request: password',
+      'Server started',
+    ]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import {describe, it} from 'node:test';
+
+import {
+  findDivergence,
+  findElementUid,
+  formatReplay,
+  groupBySession,
+  normalizeResponse,
+  remapParams,
+} from '../src/replay.js';
+
+import {getMockSnapshot} from './utils.js';
+
+describe('replay', () => {
+  const snapshot = getMockSnapshot(
+    [
+      {role: 'RootWebArea', name: 'Page'},
+      {role: 'button', name: 'Save'},
+      {role: 'textbox', name: 'Email'},
+      {role: 'button', name: 'Save'},
+    ],
+    '3',
+  );
+
+  it('finds elements by role, name and occurrence', () => {
+    assert.strictEqual(
+      findElementUid({role: 'button', name: 'Save', occurrence: 1}, snapshot),
+      '3_3',
+    );
+    assert.strictEqual(
+      findElementUid({role: 'button', name: 'Cancel', occurrence: 0}, snapshot),
+      undefined,
+    );
+  });
+
+  it('remaps the uids of recorded params', () => {
+    const {params, missingUids} = remapParams(
+      {
+        sessionId: 'session-1',
+        tool: 'fill_form',
+        params: {
+          elements: [
+            {uid: '1_4', value: 'me@example.com'},
+            {uid: '1_7', value: 'unknown'},
+          ],
+        },
+        elements: {
+          '1_4': {role: 'textbox', name: 'Email', occurrence: 0},
+          '1_7': {role: 'checkbox', name: 'Subscribe', occurrence: 0},
+        },
+        startTime: 0,
+        duration: 0,
+        isError: false,
+        response: '',
+      },
+      snapshot,
+    );
+    assert.deepStrictEqual(params, {
+      elements: [
+        {uid: '3_2', value: 'me@example.com'},
+        {uid: '1_7', value: 'unknown'},
+      ],
+    });
+    assert.deepStrictEqual(missingUids, ['1_7']);
+  });
+
+  it('describes the first differing line', () => {
+    assert.strictEqual(findDivergence('a\nb', 'a\nb'), undefined);
+    assert.strictEqual(
+      findDivergence('a\nb', 'a\nc\nd'),
+      'Line 2 differs.\n  Recorded: b\n  Replayed: c',
+    );
+    assert.strictEqual(
+      findDivergence('a', 'a\nd'),
+      'Line 2 differs.\n  Recorded: <missing>\n  Replayed: d',
+    );
+  });
+
+  it('groups the calls by session', () => {
+    const call = (sessionId: string, tool: string) => ({
+      sessionId,
+      tool,
+      params: {},
+      elements: {},
+      startTime: 0,
+      duration: 0,
+      isError: false,
+      response: '',
+    });
+    const calls = [
+      call('a', 'navigate_page'),
+      call('b', 'list_pages'),
+      call('a', 'click'),
+    ];
+    assert.deepStrictEqual(groupBySession(calls), [
+      [calls[0], calls[2]],
+      [calls[1]],
+    ]);
+  });
+
+  it('normalizes the volatile parts of responses', () => {
+    const file = path.join(os.tmpdir(), 'chrome-devtools-mcp-abc', 'a.png');
+    assert.strictEqual(
+      normalizeResponse(`Saved screenshot to ${file}\nreqid=12 GET / (31 ms)`),
+      'Saved screenshot to <tmp>\nreqid=<id> GET / (<n> ms)',
+    );
+  });
+
+  it('formats the replay results', () => {
+    assert.strictEqual(
+      formatReplay([
+        {tool: 'navigate_page', duration: 120},
+        {tool: 'click', duration: 30, divergence: 'Line 2 differs.'},
+      ]),
+      `1. navigate_page (120 ms): matched
+2. click (30 ms): diverged
+   Line 2 differs.
+1 of 2 responses matched the recording.`,
+    );
+  });
+});
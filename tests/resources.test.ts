@@ -0,0 +1,132 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {
+  getRequestBodyResourceUri,
+  requestBodyResource,
+  screenshotResource,
+  snapshotResource,
+  traceResource,
+} from '../src/resources.js';
+import type {TraceResult} from '../src/trace-processing/parse.js';
+
+import {serverHooks} from './server.js';
+import {html, withBrowser} from './utils.js';
+
+describe('resources', () => {
+  const server = serverHooks();
+
+  describe('request body', () => {
+    it('reads the body of a request of another page', async () => {
+      server.addHtmlRoute('/body', html`<p>Body</p>`);
+      await withBrowser(async (_response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/body'));
+        const [request] = context.getNetworkRequests();
+        const reqid = context.getNetworkRequestStableId(request);
+        const pageId = context.getPageId(page);
+        // Another page with its own request ids is selected.
+        const otherPage = await context.newPage();
+        await otherPage.goto(server.getRoute('/body'));
+
+        const uri = new URL(getRequestBodyResourceUri(pageId, reqid));
+        const [content] = await requestBodyResource.read(
+          uri,
+          {pageId: String(pageId), reqid: String(reqid)},
+          context,
+        );
+        assert.ok(String(content.text).includes('<p>Body</p>'));
+
+        await page.close();
+        await context.createPagesSnapshot();
+        await assert.rejects(
+          requestBodyResource.read(
+            uri,
+            {pageId: String(pageId), reqid: String(reqid)},
+            context,
+          ),
+          {message: `The page of request ${reqid} is closed.`},
+        );
+      });
+    });
+  });
+
+  describe('snapshot', () => {
+    it('reads a stale snapshot', async () => {
+      await withBrowser(async (_response, context) => {
+        const page = context.getSelectedPage();
+        await page.setContent(html`<button>Click me</button>`);
+        await context.createTextSnapshot();
+        const snapshotId = context.getTextSnapshot()!.snapshotId;
+        await page.setContent(html`<button>Other</button>`);
+        await context.createTextSnapshot();
+
+        const uri = new URL(`devtools://snapshot/${snapshotId}`);
+        const [content] = await snapshotResource.read(
+          uri,
+          {snapshotId},
+          context,
+        );
+        assert.strictEqual(content.mimeType, 'text/plain');
+        assert.ok(String(content.text).includes('button "Click me"'));
+        assert.deepStrictEqual(
+          snapshotResource.list?.(context).map(resource => resource.uri),
+          context.getTextSnapshotIds().map(id => `devtools://snapshot/${id}`),
+        );
+      });
+    });
+
+    it('throws for unknown snapshots', async () => {
+      await withBrowser(async (_response, context) => {
+        await assert.rejects(
+          snapshotResource.read(
+            new URL('devtools://snapshot/42'),
+            {snapshotId: '42'},
+            context,
+          ),
+          {message: 'No snapshot found for snapshot id 42.'},
+        );
+      });
+    });
+  });
+
+  describe('screenshot', () => {
+    it('reads a stored screenshot', async () => {
+      await withBrowser(async (_response, context) => {
+        const screenshotId = context.storeScreenshot({
+          data: new Uint8Array([1, 2, 3]),
+          mimeType: 'image/png',
+        });
+        const [content] = await screenshotResource.read(
+          new URL(`devtools://screenshot/${screenshotId}`),
+          {screenshotId},
+          context,
+        );
+        assert.strictEqual(content.mimeType, 'image/png');
+        assert.strictEqual(content.blob, 'AQID');
+      });
+    });
+  });
+
+  describe('trace', () => {
+    it('reads the raw trace data', async () => {
+      await withBrowser(async (_response, context) => {
+        const traceId = context.storeTraceRecording(
+          {} as unknown as TraceResult,
+          new TextEncoder().encode('{"traceEvents":[]}'),
+        );
+        const [content] = await traceResource.read(
+          new URL(`devtools://trace/${traceId}`),
+          {traceId: String(traceId)},
+          context,
+        );
+        assert.strictEqual(content.text, '{"traceEvents":[]}');
+      });
+    });
+  });
+});
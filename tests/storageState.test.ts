@@ -0,0 +1,66 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {parseStorageState, toCookieData} from '../src/storageState.js';
+
+describe('storageState', () => {
+  describe('parseStorageState', () => {
+    it('fills in missing storage', () => {
+      assert.deepStrictEqual(
+        parseStorageState({
+          cookies: [],
+          origins: [{origin: 'https://example.com'}],
+        }),
+        {
+          cookies: [],
+          origins: [
+            {
+              origin: 'https://example.com',
+              localStorage: [],
+              sessionStorage: [],
+              indexedDB: [],
+            },
+          ],
+        },
+      );
+    });
+
+    it('rejects other data', () => {
+      assert.throws(
+        () => parseStorageState({cookies: []}),
+        /Expected an object with "cookies" and "origins" arrays./,
+      );
+      assert.throws(
+        () => parseStorageState({cookies: [], origins: [{}]}),
+        /Expected every entry of "origins" to have an origin./,
+      );
+    });
+  });
+
+  describe('toCookieData', () => {
+    it('drops the expiry of session cookies', () => {
+      const cookieData = toCookieData({
+        name: 'sid',
+        value: '1',
+        domain: 'example.com',
+        path: '/',
+        expires: -1,
+        size: 4,
+        httpOnly: true,
+        secure: true,
+        session: true,
+        sameSite: 'Lax',
+        priority: 'Medium',
+        sourceScheme: 'Secure',
+      });
+      assert.strictEqual(cookieData.expires, undefined);
+      assert.strictEqual(cookieData.httpOnly, true);
+      assert.ok(!('size' in cookieData));
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {
+  applyToolPolicy,
+  formatToolPolicy,
+  isDefaultToolPolicy,
+  isToolAllowed,
+} from '../src/toolPolicy.js';
+import type {ToolPolicy} from '../src/toolPolicy.js';
+import {selectBrowser} from '../src/tools/browsers.js';
+import {listConsoleMessages} from '../src/tools/console.js';
+import {closePage} from '../src/tools/pages.js';
+import {takeSnapshot} from '../src/tools/snapshot.js';
+import type {ToolDefinition} from '../src/tools/ToolDefinition.js';
+import {matchesGlob} from '../src/utils/glob.js';
+
+const defaultPolicy: ToolPolicy = {
+  readOnly: false,
+  includeTools: [],
+  excludeTools: [],
+};
+
+describe('toolPolicy', () => {
+  it('matches globs', () => {
+    assert.ok(matchesGlob('list_pages', ['list_*']));
+    assert.ok(matchesGlob('list_pages', ['get_*', 'list_page?']));
+    assert.ok(!matchesGlob('list_pages', ['list']));
+    assert.ok(!matchesGlob('list_pages', []));
+  });
+
+  it('allows all tools by default', () => {
+    assert.ok(isToolAllowed(defaultPolicy, closePage));
+  });
+
+  it('only allows read-only tools in read-only mode', () => {
+    const policy = {...defaultPolicy, readOnly: true};
+    assert.ok(!isToolAllowed(policy, closePage));
+    assert.ok(!isToolAllowed(policy, selectBrowser));
+    assert.ok(isToolAllowed(policy, listConsoleMessages));
+    assert.ok(isToolAllowed(policy, takeSnapshot));
+  });
+
+  it('applies include and exclude lists', () => {
+    const policy = {
+      ...defaultPolicy,
+      includeTools: ['list_*', 'close_page'],
+      excludeTools: ['close_*'],
+    };
+    assert.ok(isToolAllowed(policy, listConsoleMessages));
+    assert.ok(!isToolAllowed(policy, closePage));
+    assert.ok(!isToolAllowed(policy, takeSnapshot));
+  });
+
+  it('removes the filePath param in read-only mode', () => {
+    const tool = applyToolPolicy(
+      {...defaultPolicy, readOnly: true},
+      takeSnapshot as ToolDefinition,
+    );
+    assert.ok(!('filePath' in tool.schema));
+    assert.ok('verbose' in tool.schema);
+    assert.strictEqual(tool.annotations.readOnlyHint, true);
+    assert.strictEqual(
+      applyToolPolicy(defaultPolicy, takeSnapshot as ToolDefinition),
+      takeSnapshot,
+    );
+  });
+
+  it('formats the policy', () => {
+    assert.strictEqual(
+      formatToolPolicy(defaultPolicy),
+      'Tool policy: read-write',
+    );
+    assert.strictEqual(
+      formatToolPolicy({
+        readOnly: true,
+        includeTools: ['list_*'],
+        excludeTools: ['list_pages'],
+      }),
+      'Tool policy: read-only; including list_*; excluding list_pages',
+    );
+  });
+
+  it('detects the default policy', () => {
+    assert.ok(isDefaultToolPolicy(defaultPolicy));
+    assert.ok(!isDefaultToolPolicy({...defaultPolicy, readOnly: true}));
+    assert.ok(
+      !isDefaultToolPolicy({...defaultPolicy, excludeTools: ['list_pages']}),
+    );
+  });
+});
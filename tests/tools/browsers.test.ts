@@ -0,0 +1,35 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {listBrowsers, selectBrowser} from '../../src/tools/browsers.js';
+import {withBrowser} from '../utils.js';
+
+describe('browsers', () => {
+  describe('list_browsers', () => {
+    it('lists the only browser', async () => {
+      await withBrowser(async (response, context) => {
+        await listBrowsers.handler({params: {}}, response, context);
+        assert.deepStrictEqual(response.responseLines, [
+          '## Browsers',
+          'default: The only browser of the server. [running, selected]',
+        ]);
+      });
+    });
+  });
+
+  describe('select_browser', () => {
+    it('fails without a browser pool', async () => {
+      await withBrowser(async (response, context) => {
+        await assert.rejects(
+          selectBrowser.handler({params: {name: 'clean'}}, response, context),
+          /The server does not support switching browsers./,
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {listDialogs, setDialogPolicy} from '../../src/tools/dialogs.js';
+import {closePage, handleDialog, navigatePage} from '../../src/tools/pages.js';
+import {serverHooks} from '../server.js';
+import {html, withBrowser} from '../utils.js';
+
+describe('dialogs', () => {
+  const server = serverHooks();
+
+  // Chrome only shows beforeunload dialogs after a user interaction.
+  function setUpBeforeUnloadRoutes() {
+    server.addHtmlRoute(
+      '/form',
+      html`<button>Edit</button>
+        <script>
+          window.addEventListener('beforeunload', event => {
+            event.preventDefault();
+          });
+        </script>`,
+    );
+    server.addHtmlRoute('/other', html`<p>Other</p>`);
+  }
+
+  describe('set_dialog_policy', () => {
+    it('accepts dialogs with auto-accept', async () => {
+      await withBrowser(async (response, context) => {
+        await setDialogPolicy.handler(
+          {params: {policy: 'auto-accept'}},
+          response,
+          context,
+        );
+        const page = context.getSelectedPage();
+        assert.strictEqual(
+          await page.evaluate(() => confirm('Continue?')),
+          true,
+        );
+        assert.strictEqual(context.getDialog(), undefined);
+        assert.strictEqual(
+          response.responseLines[0],
+          'The global dialog policy is now auto-accept.',
+        );
+      });
+    });
+
+    it('enters the prompt value with prompt-value', async () => {
+      await withBrowser(async (response, context) => {
+        await setDialogPolicy.handler(
+          {params: {policy: 'prompt-value', promptValue: 'Alice', pageIdx: 0}},
+          response,
+          context,
+        );
+        const page = context.getSelectedPage();
+        assert.strictEqual(
+          await page.evaluate(() => prompt('Name?', 'Bob')),
+          'Alice',
+        );
+        assert.strictEqual(context.getDialogPolicy().policy, 'ask');
+        assert.deepStrictEqual(context.getPageDialogPolicy(0), {
+          policy: 'prompt-value',
+          promptValue: 'Alice',
+        });
+      });
+    });
+
+    it('requires a prompt value for prompt-value', async () => {
+      await withBrowser(async (response, context) => {
+        await assert.rejects(
+          setDialogPolicy.handler(
+            {params: {policy: 'prompt-value'}},
+            response,
+            context,
+          ),
+          {message: 'A promptValue is required for the prompt-value policy.'},
+        );
+      });
+    });
+
+    it('handles the open dialog when the policy changes', async () => {
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        const result = page.evaluate(() => confirm('Continue?'));
+        while (!context.getDialog()) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await setDialogPolicy.handler(
+          {params: {policy: 'auto-dismiss'}},
+          response,
+          context,
+        );
+        assert.strictEqual(await result, false);
+        assert.strictEqual(context.getDialog(), undefined);
+      });
+    });
+  });
+
+  describe('list_dialogs', () => {
+    it('lists the dialogs and how they were handled', async () => {
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        const alertResult = page.evaluate(() => alert('Saved'));
+        while (!context.getDialog()) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await handleDialog.handler(
+          {params: {action: 'accept'}},
+          response,
+          context,
+        );
+        await alertResult;
+        await setDialogPolicy.handler(
+          {params: {policy: 'auto-dismiss'}},
+          response,
+          context,
+        );
+        await page.evaluate(() => confirm('Delete?'));
+        response.resetResponseLineForTesting();
+
+        await listDialogs.handler({params: {}}, response, context);
+
+        assert.deepStrictEqual(response.responseLines, [
+          '## Dialog policies',
+          'Global: auto-dismiss',
+          '## Dialogs',
+          'dialogid=1 alert "Saved" on about:blank - accepted with handle_dialog',
+          'dialogid=2 confirm "Delete?" on about:blank - dismissed by the auto-dismiss policy',
+        ]);
+      });
+    });
+  });
+
+  describe('beforeunload', () => {
+    it('reports a beforeunload dialog blocking a navigation', async () => {
+      setUpBeforeUnloadRoutes();
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/form'));
+        await page.click('button');
+
+        await navigatePage.handler(
+          {params: {url: server.getRoute('/other')}},
+          response,
+          context,
+        );
+
+        assert.match(
+          response.responseLines[0],
+          /Unable to navigate in the {2}selected page: A beforeunload dialog \(dialogid=1\) is asking whether to leave the page/,
+        );
+        assert.strictEqual(context.getDialog()?.type(), 'beforeunload');
+        const navigation = page.waitForNavigation();
+        await handleDialog.handler(
+          {params: {action: 'accept'}},
+          response,
+          context,
+        );
+        await navigation;
+        assert.strictEqual(page.url(), server.getRoute('/other'));
+      });
+    });
+
+    it('stays on the page when the policy dismisses the dialog', async () => {
+      setUpBeforeUnloadRoutes();
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/form'));
+        await page.click('button');
+        await setDialogPolicy.handler(
+          {params: {policy: 'auto-dismiss'}},
+          response,
+          context,
+        );
+        response.resetResponseLineForTesting();
+
+        await navigatePage.handler(
+          {params: {url: server.getRoute('/other')}},
+          response,
+          context,
+        );
+
+        assert.match(
+          response.responseLines[0],
+          /was dismissed by the auto-dismiss dialog policy, so the page stayed open/,
+        );
+        assert.strictEqual(page.url(), server.getRoute('/form'));
+      });
+    });
+
+    it('closes a page when the policy accepts the dialog', async () => {
+      setUpBeforeUnloadRoutes();
+      await withBrowser(async (response, context) => {
+        const page = await context.newPage();
+        await page.goto(server.getRoute('/form'));
+        await page.click('button');
+        await setDialogPolicy.handler(
+          {params: {policy: 'auto-accept'}},
+          response,
+          context,
+        );
+
+        await closePage.handler({params: {pageIdx: 1}}, response, context);
+
+        assert.ok(page.isClosed());
+        assert.strictEqual(context.getDialogHistory()[0]?.type, 'beforeunload');
+        assert.strictEqual(
+          context.getDialogHistory()[0]?.resolvedBy,
+          'auto-accept',
+        );
+      });
+    });
+  });
+});
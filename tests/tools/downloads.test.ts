@@ -0,0 +1,72 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import type {McpContext} from '../../src/McpContext.js';
+import {listDownloads, readDownload} from '../../src/tools/downloads.js';
+import {serverHooks} from '../server.js';
+import {html, withBrowser} from '../utils.js';
+
+async function waitForDownload(context: McpContext) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const [download] = context.getDownloads();
+    if (download?.filePath) {
+      return download;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('The download did not complete.');
+}
+
+describe('downloads', () => {
+  const server = serverHooks();
+
+  it('lists and reads downloads', async () => {
+    server.addRoute('/export', (_req, res) => {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="report.csv"');
+      res.end('name,total\nalice,42\n');
+    });
+    server.addHtmlRoute('/app', html`<a href="/export">Export CSV</a>`);
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.goto(server.getRoute('/app'));
+      await page.click('a');
+      const download = await waitForDownload(context);
+      assert.strictEqual(download.filename, 'report.csv');
+      assert.strictEqual(download.state, 'completed');
+      assert.strictEqual(download.mimeType, 'text/csv');
+      assert.strictEqual(download.mimeTypeGuessed, true);
+      assert.strictEqual(download.url, server.getRoute('/export'));
+      assert.strictEqual(download.size, 20);
+      assert.ok(download.filePath?.endsWith('report.csv'));
+
+      await listDownloads.handler({params: {}}, response, context);
+      assert.ok(
+        response.responseLines[1]?.startsWith(
+          `downloadid=${download.id} report.csv [completed] 20 bytes text/csv (guessed from the filename)`,
+        ),
+      );
+
+      await readDownload.handler(
+        {params: {downloadId: download.id}},
+        response,
+        context,
+      );
+      assert.ok(response.responseLines.includes('name,total\nalice,42\n'));
+    });
+  });
+
+  it('throws for unknown downloads', async () => {
+    await withBrowser(async (response, context) => {
+      await assert.rejects(
+        readDownload.handler({params: {downloadId: 1000}}, response, context),
+        /No download with id 1000/,
+      );
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {
+  listExtensionConsoleMessages,
+  listExtensions,
+} from '../../src/tools/extensions.js';
+import {withBrowser} from '../utils.js';
+
+describe('extensions', () => {
+  describe('list_extensions', () => {
+    it('reports that no extensions are loaded', async () => {
+      await withBrowser(async (response, context) => {
+        await listExtensions.handler({params: {}}, response, context);
+        assert.deepStrictEqual(response.responseLines, [
+          '## Extensions',
+          'No extensions are loaded. Start the server with --loadExtension to debug an extension.',
+        ]);
+      });
+    });
+  });
+
+  describe('list_extension_console_messages', () => {
+    it('fails for unknown extensions', async () => {
+      await withBrowser(async (response, context) => {
+        await assert.rejects(
+          listExtensionConsoleMessages.handler(
+            {params: {id: 'abcdefghijklmnopabcdefghijklmnop'}},
+            response,
+            context,
+          ),
+          /No extensions are loaded./,
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {listFrames} from '../../src/tools/frames.js';
+import {evaluateScript} from '../../src/tools/script.js';
+import {takeSnapshot, waitFor} from '../../src/tools/snapshot.js';
+import {serverHooks} from '../server.js';
+import {html, withBrowser} from '../utils.js';
+
+describe('frames', () => {
+  const server = serverHooks();
+
+  // 127.0.0.1 is a different site than localhost, so the payment frame is
+  // rendered out of process.
+  function setUpRoutes() {
+    server.addHtmlRoute('/pay', html`<button>Pay now</button>`);
+    server.addHtmlRoute('/help', html`<p>Help</p>`);
+    const payUrl = server.getRoute('/pay').replace('localhost', '127.0.0.1');
+    server.addHtmlRoute(
+      '/shop',
+      html`<h1>Shop</h1>
+        <iframe src="${payUrl}"></iframe>
+        <iframe src="/help"></iframe>`,
+    );
+    return payUrl;
+  }
+
+  it('lists the frame tree', async () => {
+    const payUrl = setUpRoutes();
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.goto(server.getRoute('/shop'), {waitUntil: 'load'});
+      await listFrames.handler({params: {}}, response, context);
+
+      const frames = context.getFrames();
+      assert.deepStrictEqual(
+        frames.map(({url, origin, outOfProcess}) => ({
+          url,
+          origin,
+          outOfProcess,
+        })),
+        [
+          {
+            url: server.getRoute('/shop'),
+            origin: server.baseUrl,
+            outOfProcess: false,
+          },
+          {url: payUrl, origin: new URL(payUrl).origin, outOfProcess: true},
+          {
+            url: server.getRoute('/help'),
+            origin: server.baseUrl,
+            outOfProcess: false,
+          },
+        ],
+      );
+      assert.strictEqual(frames[1].parentId, frames[0].id);
+      assert.deepStrictEqual(response.responseLines, [
+        '## Frames',
+        `frameid=${frames[0].id} ${server.getRoute('/shop')} (origin: ${server.baseUrl}) [main frame]`,
+        `  frameid=${frames[1].id} ${payUrl} (origin: ${new URL(payUrl).origin}) [out-of-process]`,
+        `  frameid=${frames[2].id} ${server.getRoute('/help')} (origin: ${server.baseUrl})`,
+      ]);
+    });
+  });
+
+  it('evaluates a script in a frame', async () => {
+    const payUrl = setUpRoutes();
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.goto(server.getRoute('/shop'), {waitUntil: 'load'});
+      const payFrame = context.getFrames().find(frame => frame.url === payUrl);
+      assert.ok(payFrame);
+
+      await evaluateScript.handler(
+        {
+          params: {
+            function: String(() => location.origin),
+            frameId: payFrame.id,
+          },
+        },
+        response,
+        context,
+      );
+      assert.strictEqual(
+        response.responseLines[0],
+        `Script ran in frame ${payFrame.id} and returned:`,
+      );
+      assert.strictEqual(
+        JSON.parse(response.responseLines[2]),
+        new URL(payUrl).origin,
+      );
+    });
+  });
+
+  it('throws for unknown frames', async () => {
+    await withBrowser(async (response, context) => {
+      await assert.rejects(
+        evaluateScript.handler(
+          {params: {function: String(() => 1), frameId: 1000}},
+          response,
+          context,
+        ),
+        /No frame with id 1000/,
+      );
+    });
+  });
+
+  it('waits for text in a frame', async () => {
+    const payUrl = setUpRoutes();
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.goto(server.getRoute('/shop'), {waitUntil: 'load'});
+      const payFrame = context.getFrames().find(frame => frame.url === payUrl);
+      assert.ok(payFrame);
+
+      await waitFor.handler(
+        {params: {text: 'Pay now', frameId: payFrame.id}},
+        response,
+        context,
+      );
+      assert.strictEqual(
+        response.responseLines[0],
+        'Element with text "Pay now" found.',
+      );
+      assert.strictEqual(response.snapshotParams?.frameId, payFrame.id);
+    });
+  });
+
+  it('marks frame boundaries in the snapshot', async () => {
+    const payUrl = setUpRoutes();
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.goto(server.getRoute('/shop'), {waitUntil: 'load'});
+      const payFrame = context.getFrames().find(frame => frame.url === payUrl);
+      assert.ok(payFrame);
+
+      await takeSnapshot.handler({params: {}}, response, context);
+      const result = await response.handle('take_snapshot', context);
+      const text = result[0].type === 'text' ? result[0].text : '';
+      assert.ok(
+        text.includes(
+          `[frame frameid=${payFrame.id} url="${payUrl}" out-of-process]`,
+        ),
+        text,
+      );
+      assert.ok(text.includes('"Shop"'));
+    });
+  });
+
+  it('takes a snapshot of a frame', async () => {
+    const payUrl = setUpRoutes();
+    await withBrowser(async (response, context) => {
+      const page = context.getSelectedPage();
+      await page.goto(server.getRoute('/shop'), {waitUntil: 'load'});
+      const payFrame = context.getFrames().find(frame => frame.url === payUrl);
+      assert.ok(payFrame);
+
+      await takeSnapshot.handler(
+        {params: {frameId: payFrame.id}},
+        response,
+        context,
+      );
+      const result = await response.handle('take_snapshot', context);
+      const text = result[0].type === 'text' ? result[0].text : '';
+      assert.ok(text.includes('button "Pay now"'), text);
+      assert.ok(!text.includes('"Shop"'), text);
+    });
+  });
+});
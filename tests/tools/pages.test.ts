@@ -17,9 +17,12 @@ import {
   resizePage,
   handleDialog,
 } from '../../src/tools/pages.js';
-import {withBrowser} from '../utils.js';
+import {serverHooks} from '../server.js';
+import {html, withBrowser} from '../utils.js';
 
 describe('pages', () => {
+  const server = serverHooks();
+
   describe('list_pages', () => {
     it('list pages', async () => {
       await withBrowser(async (response, context) => {
@@ -41,6 +44,74 @@ describe('pages', () => {
         assert.ok(response.includePages);
       });
     });
+    it('creates pages in isolated contexts', async () => {
+      await withBrowser(async (response, context) => {
+        await newPage.handler(
+          {params: {url: 'about:blank', isolatedContext: 'alice'}},
+          response,
+          context,
+        );
+        await newPage.handler(
+          {params: {url: 'about:blank', isolatedContext: 'bob'}},
+          response,
+          context,
+        );
+        await newPage.handler(
+          {params: {url: 'about:blank', isolatedContext: 'alice'}},
+          response,
+          context,
+        );
+        // Pages are grouped by context.
+        const pages = context.getPages();
+        assert.strictEqual(pages.length, 4);
+        assert.strictEqual(new Set(pages).size, pages.length);
+        const [defaultPage, alice, alice2, bob] = pages;
+        assert.strictEqual(
+          context.getIsolatedContextName(defaultPage),
+          undefined,
+        );
+        assert.strictEqual(context.getIsolatedContextName(alice), 'alice');
+        assert.strictEqual(context.getIsolatedContextName(alice2), 'alice');
+        assert.strictEqual(context.getIsolatedContextName(bob), 'bob');
+        assert.strictEqual(alice.browserContext(), alice2.browserContext());
+        assert.notStrictEqual(alice.browserContext(), bob.browserContext());
+        assert.notStrictEqual(
+          alice.browserContext(),
+          defaultPage.browserContext(),
+        );
+      });
+    });
+    it('collects data of popups opened in isolated contexts', async () => {
+      await withBrowser(async (response, context) => {
+        const page = await context.newPage('alice');
+        await context.waitForEventsAfterAction(async () => {
+          await page.evaluate(() => {
+            window.open('about:blank');
+          });
+        });
+        const pages = context.getPages();
+        assert.strictEqual(pages.length, 3);
+        const popup = pages[2];
+        assert.strictEqual(popup.browserContext(), page.browserContext());
+        assert.strictEqual(context.getIsolatedContextName(popup), 'alice');
+
+        context.setSelectedPageIdx(2);
+        const consoleMessage = new Promise<void>(resolve => {
+          popup.once('console', () => resolve());
+        });
+        await popup.evaluate(() => {
+          console.log('Hello from the popup');
+        });
+        await consoleMessage;
+        const messages = context.getConsoleData();
+        assert.ok(
+          messages.some(
+            message =>
+              'text' in message && message.text() === 'Hello from the popup',
+          ),
+        );
+      });
+    });
   });
   describe('close_page', () => {
     it('closes a page', async () => {
@@ -53,6 +124,14 @@ describe('pages', () => {
         assert.ok(response.includePages);
       });
     });
+    it('disposes an isolated context with its last page', async () => {
+      await withBrowser(async (response, context) => {
+        const page = await context.newPage('alice');
+        const browserContext = page.browserContext();
+        await closePage.handler({params: {pageIdx: 1}}, response, context);
+        assert.ok(browserContext.closed);
+      });
+    });
     it('cannot close the last page', async () => {
       await withBrowser(async (response, context) => {
         const page = context.getSelectedPage();
@@ -94,6 +173,54 @@ describe('pages', () => {
       });
     });
 
+    it('reports the status, redirects and timing', async () => {
+      server.addHtmlRoute('/login', html`<main>Login</main>`);
+      server.addRoute('/account', (_req, res) => {
+        res.writeHead(302, {Location: '/login'});
+        res.end();
+      });
+      await withBrowser(async (response, context) => {
+        await navigatePage.handler(
+          {
+            params: {
+              url: server.getRoute('/account'),
+              waitUntil: 'networkidle0',
+            },
+          },
+          response,
+          context,
+        );
+        assert.deepStrictEqual(response.responseLines.slice(0, 4), [
+          `Successfully navigated to ${server.getRoute('/account')}.`,
+          'HTTP status: 200 OK',
+          `Redirects: ${server.getRoute('/account')} (302) -> ${server.getRoute('/login')}`,
+          `Final URL: ${server.getRoute('/login')}`,
+        ]);
+        assert.match(
+          response.responseLines[4] ?? '',
+          /^Timing: TTFB \d+ ms, DOMContentLoaded \d+ ms, load \d+ ms$/,
+        );
+      });
+    });
+
+    it('reports error statuses', async () => {
+      await withBrowser(async (response, context) => {
+        await navigatePage.handler(
+          {params: {url: `${server.baseUrl}/missing`}},
+          response,
+          context,
+        );
+        assert.strictEqual(
+          response.responseLines[1],
+          'HTTP status: 404 Not Found',
+        );
+        assert.strictEqual(
+          response.responseLines.at(-1),
+          'The server responded with an error status, so the page likely does not show the expected content.',
+        );
+      });
+    });
+
     it('throws an error if the page was closed not by the MCP server', async () => {
       await withBrowser(async (response, context) => {
         const page = await context.newPage();
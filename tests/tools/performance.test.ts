@@ -61,9 +61,11 @@ describe('performance', () => {
         sinon.assert.calledOnce(startTracingStub);
         sinon.assert.calledWithExactly(gotoStub, 'about:blank', {
           waitUntil: ['networkidle0'],
+          signal: undefined,
         });
         sinon.assert.calledWithExactly(gotoStub, 'https://www.test.com', {
           waitUntil: ['load'],
+          signal: undefined,
         });
         assert.ok(context.isRunningPerformanceTrace());
         assert.ok(
@@ -87,6 +89,10 @@ describe('performance', () => {
           .callsFake(() => {
             return Promise.resolve(rawData);
           });
+        const progress: string[] = [];
+        context.setProgressReporter(message => {
+          progress.push(message);
+        });
 
         const clock = sinon.useFakeTimers();
         const handlerPromise = startTrace.handler(
@@ -116,6 +122,32 @@ describe('performance', () => {
             .join('\n')
             .match(/The performance trace has been stopped/),
         );
+        assert.deepStrictEqual(progress, [
+          'reloading page',
+          'tracing',
+          'parsing trace and computing insights',
+        ]);
+      });
+    });
+
+    it('stops the trace when the tool call is aborted', async () => {
+      await withBrowser(async (response, context) => {
+        const selectedPage = context.getSelectedPage();
+        sinon.stub(selectedPage.tracing, 'start');
+        const stopTracingStub = sinon.stub(selectedPage.tracing, 'stop');
+        const controller = new AbortController();
+        context.setAbortSignal(controller.signal);
+
+        const handlerPromise = startTrace.handler(
+          {params: {reload: false, autoStop: true}},
+          response,
+          context,
+        );
+        controller.abort(new Error('cancelled'));
+        await assert.rejects(handlerPromise, {message: 'cancelled'});
+
+        sinon.assert.calledOnce(stopTracingStub);
+        assert.strictEqual(context.isRunningPerformanceTrace(), false);
       });
     });
 
@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {describe, it} from 'node:test';
+
+import {emulate} from '../../src/tools/emulation.js';
+import {click} from '../../src/tools/input.js';
+import {exportUserFlow, replayUserFlow} from '../../src/tools/recorder.js';
+import {StepType} from '../../src/userFlow.js';
+import {html, withBrowser} from '../utils.js';
+
+describe('recorder', () => {
+  describe('export_user_flow', () => {
+    it('fails without recorded actions', async () => {
+      await withBrowser(async (response, context) => {
+        await assert.rejects(
+          exportUserFlow.handler({params: {}}, response, context),
+          /No actions have been recorded yet/,
+        );
+      });
+    });
+
+    it('exports clicks with selectors', async () => {
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.setContent(html`<button id="submit">Submit</button>`);
+        await context.createTextSnapshot();
+        await click.handler({params: {uid: '1_1'}}, response, context);
+
+        const {steps} = context.getRecordedUserFlow();
+        assert.strictEqual(steps.length, 1);
+        const [step] = steps;
+        assert.strictEqual(step.type, StepType.Click);
+        assert.deepStrictEqual(step.selectors, [
+          ['aria/Submit[role="button"]'],
+          ['text/Submit'],
+          ['#submit'],
+          ['xpath///*[@id="submit"]'],
+        ]);
+
+        await exportUserFlow.handler(
+          {params: {title: 'Submit form'}},
+          response,
+          context,
+        );
+        assert.strictEqual(
+          response.responseLines[1],
+          'Exported a user flow with 1 steps.',
+        );
+        const output = response.responseLines.join('\n');
+        assert.ok(output.includes('"title": "Submit form"'), output);
+        assert.ok(output.includes('## Puppeteer script'), output);
+      });
+    });
+
+    it('lists unsupported actions', async () => {
+      await withBrowser(async (response, context) => {
+        await emulate.handler(
+          {params: {cpuThrottlingRate: 4}},
+          response,
+          context,
+        );
+        context.recordUserFlowStep({
+          type: StepType.SetViewport,
+          width: 800,
+          height: 600,
+          deviceScaleFactor: 1,
+          isMobile: false,
+          hasTouch: false,
+          isLandscape: true,
+        });
+        await exportUserFlow.handler({params: {}}, response, context);
+        assert.ok(
+          response.responseLines.includes(
+            'The actions of the following tools cannot be expressed as user flow steps and were skipped: emulate.',
+          ),
+        );
+      });
+    });
+  });
+
+  describe('replay_user_flow', () => {
+    async function writeFlow(flow: unknown): Promise<string> {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+      const filePath = path.join(dir, 'flow.json');
+      await fs.writeFile(filePath, JSON.stringify(flow));
+      return filePath;
+    }
+
+    it('replays the steps', async () => {
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.setContent(
+          html`<button onclick="this.innerText = 'clicked';">test</button>`,
+        );
+        const filePath = await writeFlow({
+          title: 'Click',
+          steps: [
+            {
+              type: 'click',
+              selectors: [['aria/test[role="button"]'], ['button']],
+              offsetX: 1,
+              offsetY: 1,
+            },
+          ],
+        });
+        await replayUserFlow.handler({params: {filePath}}, response, context);
+
+        assert.match(
+          response.responseLines[1],
+          /^1\. click aria\/test\[role="button"\] \(\d+ ms\): succeeded$/,
+        );
+        assert.strictEqual(response.responseLines[2], 'All 1 steps succeeded.');
+        assert.strictEqual(response.snapshotParams, undefined);
+        assert.ok(await page.$('text/clicked'));
+      });
+    });
+
+    it('reports the failing step with a snapshot', async () => {
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.setContent(html`<button>test</button>`);
+        const filePath = await writeFlow({
+          title: 'Missing element',
+          timeout: 500,
+          steps: [
+            {
+              type: 'click',
+              selectors: [['#missing']],
+              offsetX: 1,
+              offsetY: 1,
+            },
+            {type: 'keyDown', key: 'Enter'},
+          ],
+        });
+        await replayUserFlow.handler({params: {filePath}}, response, context);
+
+        assert.match(response.responseLines[1], /^1\. click #missing .*failed/);
+        assert.ok(
+          response.responseLines.includes(
+            'Step 1 of 2 failed. The remaining steps were not run.',
+          ),
+        );
+        assert.ok(response.snapshotParams);
+      });
+    });
+
+    it('rejects invalid files', async () => {
+      await withBrowser(async (response, context) => {
+        const filePath = await writeFlow({steps: []});
+        await assert.rejects(
+          replayUserFlow.handler({params: {filePath}}, response, context),
+          /Failed to read the user flow/,
+        );
+      });
+    });
+  });
+});
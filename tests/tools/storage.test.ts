@@ -0,0 +1,103 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {describe, it} from 'node:test';
+
+import {loadStorageState, saveStorageState} from '../../src/tools/storage.js';
+import {serverHooks} from '../server.js';
+import {html, withBrowser} from '../utils.js';
+
+describe('storage', () => {
+  const server = serverHooks();
+
+  it('saves and restores the storage state', async () => {
+    server.addHtmlRoute('/app', html`<main>App</main>`);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-devtools-mcp-'));
+    const filePath = path.join(dir, 'state.json');
+    try {
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/app'));
+        await page.evaluate(async () => {
+          document.cookie = 'sid=42';
+          localStorage.setItem('token', 'abc');
+          sessionStorage.setItem('tab', 'one');
+          const request = indexedDB.open('app', 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore('items', {keyPath: 'id'});
+          };
+          const db = await new Promise<IDBDatabase>(resolve => {
+            request.onsuccess = () => resolve(request.result);
+          });
+          const transaction = db.transaction('items', 'readwrite');
+          transaction.objectStore('items').put({id: 1, created: new Date(0)});
+          await new Promise(resolve => (transaction.oncomplete = resolve));
+          db.close();
+        });
+        await saveStorageState.handler({params: {filePath}}, response, context);
+        assert.strictEqual(
+          response.responseLines[0],
+          `Saved 1 cookies and the storage of the origins: ${server.baseUrl} to ${filePath}.`,
+        );
+      });
+
+      await withBrowser(async (response, context) => {
+        await loadStorageState.handler(
+          {params: {filePath, isolatedContext: 'restored'}},
+          response,
+          context,
+        );
+        assert.strictEqual(
+          response.responseLines[0],
+          `Restored 1 cookies and the storage of the origins: ${server.baseUrl}.`,
+        );
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/app'));
+        const restored = await page.evaluate(async () => {
+          const request = indexedDB.open('app');
+          const db = await new Promise<IDBDatabase>(resolve => {
+            request.onsuccess = () => resolve(request.result);
+          });
+          const item = await new Promise<{created: Date}>(resolve => {
+            const get = db.transaction('items').objectStore('items').get(1);
+            get.onsuccess = () => resolve(get.result);
+          });
+          db.close();
+          return {
+            cookie: document.cookie,
+            token: localStorage.getItem('token'),
+            tab: sessionStorage.getItem('tab'),
+            created: item.created instanceof Date,
+          };
+        });
+        assert.deepStrictEqual(restored, {
+          cookie: 'sid=42',
+          token: 'abc',
+          tab: 'one',
+          created: true,
+        });
+      });
+    } finally {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+  });
+
+  it('fails for invalid files', async () => {
+    await withBrowser(async (response, context) => {
+      await assert.rejects(
+        loadStorageState.handler(
+          {params: {filePath: '/nonexistent/state.json'}},
+          response,
+          context,
+        ),
+        /Failed to read the storage state from \/nonexistent\/state.json/,
+      );
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import logger from 'debug';
+import {Locator} from 'puppeteer';
+
+import {McpContext} from '../../src/McpContext.js';
+import {evaluateScript} from '../../src/tools/script.js';
+import {
+  listWorkerConsoleMessages,
+  listWorkerNetworkRequests,
+  listWorkers,
+  manageServiceWorkers,
+} from '../../src/tools/workers.js';
+import {serverHooks} from '../server.js';
+import {html, withBrowser} from '../utils.js';
+
+describe('workers', () => {
+  const server = serverHooks();
+
+  function addWorkerRoutes() {
+    server.addRoute('/worker.js', (_req, res) => {
+      res.setHeader('Content-Type', 'text/javascript');
+      res.end(`
+        console.log('worker started', 42);
+        fetch('/data.json').then(() => postMessage('ready'));
+      `);
+    });
+    server.addRoute('/data.json', (_req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+    server.addHtmlRoute(
+      '/page',
+      html`<script>
+        const worker = new Worker('/worker.js');
+        worker.onmessage = () => (window.workerReady = true);
+      </script>`,
+    );
+  }
+
+  function addServiceWorkerRoutes() {
+    server.addRoute('/sw.js', (_req, res) => {
+      res.setHeader('Content-Type', 'text/javascript');
+      res.end(`self.addEventListener('fetch', () => {});`);
+    });
+    server.addHtmlRoute(
+      '/sw-page',
+      html`<script>
+        navigator.serviceWorker
+          .register('/sw.js')
+          .then(() => navigator.serviceWorker.ready)
+          .then(() => (window.serviceWorkerReady = true));
+      </script>`,
+    );
+  }
+
+  describe('list_workers', () => {
+    it('lists the dedicated workers of the page', async () => {
+      addWorkerRoutes();
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/page'));
+        await page.waitForFunction('window.workerReady');
+        await listWorkers.handler({params: {}}, response, context);
+        assert.deepStrictEqual(response.responseLines, [
+          '## Workers',
+          `workerid=1 [worker] ${server.getRoute('/worker.js')} (running)`,
+        ]);
+      });
+    });
+
+    it('lists only the service workers of its browser contexts', async () => {
+      addServiceWorkerRoutes();
+      await withBrowser(async (response, context) => {
+        const isolatedContext = await McpContext.from(
+          context.browser,
+          logger('test'),
+          {
+            experimentalDevToolsDebugging: false,
+            isolatedBrowserContext: true,
+          },
+          Locator,
+        );
+        const otherBrowserContext =
+          await context.browser.createBrowserContext();
+        try {
+          const otherPage = await otherBrowserContext.newPage();
+          await otherPage.goto(server.getRoute('/sw-page'));
+          await otherPage.waitForFunction('window.serviceWorkerReady');
+          const page = isolatedContext.getSelectedPage();
+          await page.goto(server.getRoute('/sw-page'));
+          await page.waitForFunction('window.serviceWorkerReady');
+          while (!isolatedContext.getWorkers().length) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+          }
+
+          await listWorkers.handler({params: {}}, response, isolatedContext);
+
+          assert.deepStrictEqual(response.responseLines, [
+            '## Workers',
+            `workerid=1 [service_worker] ${server.getRoute('/sw.js')} (running)`,
+          ]);
+          assert.throws(() => isolatedContext.getWorkerById(2), {
+            message: 'No worker with id 2. Call list_workers first.',
+          });
+        } finally {
+          await otherBrowserContext.close();
+          await isolatedContext.dispose();
+        }
+      });
+    });
+
+    it('reports pages without workers', async () => {
+      await withBrowser(async (response, context) => {
+        await listWorkers.handler({params: {}}, response, context);
+        assert.deepStrictEqual(response.responseLines, [
+          '## Workers',
+          '<no workers found>',
+        ]);
+      });
+    });
+  });
+
+  describe('list_worker_console_messages', () => {
+    it('lists the console messages of a worker', async () => {
+      addWorkerRoutes();
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/page'));
+        await page.waitForFunction('window.workerReady');
+        await listWorkerConsoleMessages.handler(
+          {params: {workerId: 1}},
+          response,
+          context,
+        );
+        assert.deepStrictEqual(response.responseLines, [
+          '## Console messages of worker 1',
+          '[log] worker started 42',
+        ]);
+      });
+    });
+
+    it('fails for unknown workers', async () => {
+      await withBrowser(async (response, context) => {
+        await assert.rejects(
+          listWorkerConsoleMessages.handler(
+            {params: {workerId: 42}},
+            response,
+            context,
+          ),
+          /No worker with id 42/,
+        );
+      });
+    });
+  });
+
+  describe('list_worker_network_requests', () => {
+    it('lists the requests of a worker', async () => {
+      addWorkerRoutes();
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/page'));
+        await page.waitForFunction('window.workerReady');
+        await listWorkerNetworkRequests.handler(
+          {params: {workerId: 1}},
+          response,
+          context,
+        );
+        assert.deepStrictEqual(response.responseLines, [
+          '## Network requests of worker 1',
+          `GET ${server.getRoute('/data.json')} [200]`,
+        ]);
+      });
+    });
+  });
+
+  describe('evaluate_script', () => {
+    it('evaluates in a worker', async () => {
+      addWorkerRoutes();
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/page'));
+        await page.waitForFunction('window.workerReady');
+        await evaluateScript.handler(
+          {
+            params: {
+              function: String(() => typeof document),
+              workerId: 1,
+            },
+          },
+          response,
+          context,
+        );
+        assert.strictEqual(
+          response.responseLines[0],
+          'Script ran in worker 1 and returned:',
+        );
+        assert.strictEqual(JSON.parse(response.responseLines[2]), 'undefined');
+      });
+    });
+  });
+
+  describe('manage_service_workers', () => {
+    it('reports pages without registrations', async () => {
+      server.addHtmlRoute('/empty', html`<main>Empty</main>`);
+      await withBrowser(async (response, context) => {
+        const page = context.getSelectedPage();
+        await page.goto(server.getRoute('/empty'));
+        await manageServiceWorkers.handler(
+          {params: {action: 'unregister'}},
+          response,
+          context,
+        );
+        assert.deepStrictEqual(response.responseLines, [
+          `No service workers are registered for ${server.getRoute('/empty')}.`,
+        ]);
+      });
+    });
+  });
+});
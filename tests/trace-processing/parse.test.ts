@@ -7,6 +7,7 @@ import assert from 'node:assert';
 import {describe, it} from 'node:test';
 
 import {
+  getTraceMetrics,
   getTraceSummary,
   parseRawTraceBuffer,
 } from '../../src/trace-processing/parse.js';
@@ -37,6 +38,20 @@ describe('Trace parsing', async () => {
     t.assert.snapshot?.(output);
   });
 
+  it('can extract the metrics of a trace', async () => {
+    const rawData = loadTraceAsBuffer('web-dev-with-commit.json.gz');
+    const result = await parseRawTraceBuffer(rawData);
+    if ('error' in result) {
+      assert.fail(`Unexpected parse failure: ${result.error}`);
+    }
+
+    const [metrics] = getTraceMetrics(result);
+    assert.ok(metrics);
+    assert.strictEqual(metrics.url, 'https://web.dev/');
+    assert.ok(metrics.lcpMs && metrics.lcpMs > 0);
+    assert.ok(metrics.insights.includes('LCPBreakdown'));
+  });
+
   it('will return a message if there is an error', async () => {
     const result = await parseRawTraceBuffer(undefined);
     assert.deepEqual(result, {
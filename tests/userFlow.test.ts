@@ -0,0 +1,91 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {
+  describeStep,
+  getKeySteps,
+  parseUserFlow,
+  StepType,
+  stringifyUserFlow,
+} from '../src/userFlow.js';
+
+describe('userFlow', () => {
+  describe('getKeySteps', () => {
+    it('presses a single key', () => {
+      assert.deepStrictEqual(getKeySteps('Enter', []), [
+        {type: 'keyDown', key: 'Enter'},
+        {type: 'keyUp', key: 'Enter'},
+      ]);
+    });
+
+    it('releases modifiers in reverse order', () => {
+      assert.deepStrictEqual(getKeySteps('A', ['Control', 'Shift']), [
+        {type: 'keyDown', key: 'Control'},
+        {type: 'keyDown', key: 'Shift'},
+        {type: 'keyDown', key: 'A'},
+        {type: 'keyUp', key: 'A'},
+        {type: 'keyUp', key: 'Shift'},
+        {type: 'keyUp', key: 'Control'},
+      ]);
+    });
+  });
+
+  describe('stringifyUserFlow', () => {
+    it('converts the flow into a Puppeteer script', async () => {
+      const script = await stringifyUserFlow({
+        title: 'Test',
+        steps: getKeySteps('Enter', []),
+      });
+      assert.ok(script.includes(`require('puppeteer')`), script);
+      assert.ok(script.includes(`keyboard.down('Enter')`), script);
+      assert.ok(script.includes(`keyboard.up('Enter')`), script);
+    });
+  });
+
+  describe('parseUserFlow', () => {
+    it('parses a Recorder flow', () => {
+      const flow = parseUserFlow({
+        title: 'Test',
+        steps: [{type: 'navigate', url: 'https://example.com'}],
+      });
+      assert.deepStrictEqual(flow.steps, [
+        {type: StepType.Navigate, url: 'https://example.com'},
+      ]);
+    });
+
+    it('rejects invalid steps', () => {
+      assert.throws(
+        () => parseUserFlow({title: 'Test', steps: [{type: 'click'}]}),
+        /selectors/,
+      );
+    });
+  });
+
+  describe('describeStep', () => {
+    it('describes the target of the step', () => {
+      assert.strictEqual(
+        describeStep({type: StepType.Navigate, url: 'https://example.com'}),
+        'navigate https://example.com',
+      );
+      assert.strictEqual(
+        describeStep({
+          type: StepType.Click,
+          selectors: [['#frame', '#button'], ['xpath///button']],
+          offsetX: 1,
+          offsetY: 1,
+        }),
+        'click #frame >>> #button',
+      );
+      assert.strictEqual(
+        describeStep({type: StepType.KeyDown, key: 'Enter'}),
+        'keyDown Enter',
+      );
+      assert.strictEqual(describeStep({type: StepType.Close}), 'close');
+    });
+  });
+});
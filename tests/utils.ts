@@ -14,6 +14,7 @@ import type {
 } from 'puppeteer-core';
 
 import {McpContext} from '../src/McpContext.js';
+import type {TextSnapshot, TextSnapshotNode} from '../src/McpContext.js';
 import {McpResponse} from '../src/McpResponse.js';
 import {stableIdSymbol} from '../src/PageCollector.js';
 
@@ -179,3 +180,26 @@ export function stabilizeResponseOutput(text: unknown) {
   output = output.replaceAll(savedSnapshot, 'Saved snapshot to <file>');
   return output;
 }
+
+/**
+ * Creates a flat text snapshot of the nodes without a page.
+ */
+export function getMockSnapshot(
+  nodes: Array<{role: string; name?: string}>,
+  snapshotId = '1',
+): TextSnapshot {
+  const idToNode = new Map<string, TextSnapshotNode>();
+  for (const [idx, node] of nodes.entries()) {
+    const id = `${snapshotId}_${idx}`;
+    idToNode.set(id, {
+      ...node,
+      id,
+      children: [],
+    } as unknown as TextSnapshotNode);
+  }
+  return {
+    root: idToNode.get(`${snapshotId}_0`)!,
+    idToNode,
+    snapshotId,
+  };
+}
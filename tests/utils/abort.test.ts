@@ -0,0 +1,47 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {abortable, sleep} from '../../src/utils/abort.js';
+
+describe('abort', () => {
+  it('resolves with the value of the promise', async () => {
+    const controller = new AbortController();
+    assert.strictEqual(
+      await abortable(Promise.resolve(42), controller.signal),
+      42,
+    );
+  });
+
+  it('rejects when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const promise = abortable(
+      new Promise(() => {
+        // Never settles.
+      }),
+      controller.signal,
+    );
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(promise, {message: 'cancelled'});
+  });
+
+  it('rejects when the signal is already aborted', async () => {
+    await assert.rejects(
+      abortable(Promise.resolve(42), AbortSignal.abort(new Error('aborted'))),
+      {message: 'aborted'},
+    );
+  });
+
+  it('interrupts a sleep', async () => {
+    const start = Date.now();
+    await assert.rejects(
+      sleep(10_000, AbortSignal.timeout(10)),
+      (error: Error) => error.name === 'TimeoutError',
+    );
+    assert.ok(Date.now() - start < 5_000);
+  });
+});
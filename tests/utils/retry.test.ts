@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import assert from 'node:assert';
+import {describe, it} from 'node:test';
+
+import {retryWithBackoff} from '../../src/utils/retry.js';
+
+describe('retryWithBackoff', () => {
+  it('retries until the action succeeds', async () => {
+    let calls = 0;
+    const delays: number[] = [];
+    const result = await retryWithBackoff(
+      async () => {
+        calls++;
+        if (calls < 4) {
+          throw new Error(`attempt ${calls}`);
+        }
+        return 'connected';
+      },
+      {
+        attempts: 5,
+        initialDelay: 1,
+        maxDelay: 3,
+        onRetry: (_error, delay) => {
+          delays.push(delay);
+        },
+      },
+    );
+    assert.strictEqual(result, 'connected');
+    assert.deepStrictEqual(delays, [1, 2, 3]);
+  });
+
+  it('rejects with the last error', async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls++;
+          throw new Error(`attempt ${calls}`);
+        },
+        {attempts: 3, initialDelay: 1, maxDelay: 1},
+      ),
+      {message: 'attempt 3'},
+    );
+    assert.strictEqual(calls, 3);
+  });
+});